@@ -1,36 +1,58 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { authenticateAccessToken } = require('../services/tokenService');
 
-const protect = async (req, res, next) => {
-    let token;
-
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        try {
-            token = req.headers.authorization.split(' ')[1];
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Attach user to request object, excluding password
-            req.user = await User.findById(decoded.userId).select('-password');
-
-            if (!req.user) {
-                return res.status(401).json({ message: 'Not authorized, user not found.' });
-            }
-            next();
-        } catch (error) {
-            console.error('Authorization error:', error.message);
-            if (error.name === 'JsonWebTokenError') {
-                return res.status(401).json({ message: 'Not authorized, token failed (invalid signature).' });
-            }
-            if (error.name === 'TokenExpiredError') {
-                return res.status(401).json({ message: 'Not authorized, token expired.' });
-            }
-            return res.status(401).json({ message: 'Not authorized, token failed.' });
+// Verifies an access token and attaches the user, session and token expiry to the request.
+const authenticate = async (token, req, res, next) => {
+    try {
+        const { user, session, expiresAt, message } = await authenticateAccessToken(token);
+
+        if (!user) {
+            return res.status(401).json({ message });
+        }
+
+        // Attach user (excluding password) and the session the token belongs to
+        req.user = user;
+        req.session = session;
+        req.accessTokenExpiresAt = expiresAt;
+        next();
+    } catch (error) {
+        console.error('Authorization error:', error.message);
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({ message: 'Not authorized, token failed (invalid signature).' });
         }
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: 'Not authorized, token expired.' });
+        }
+        return res.status(401).json({ message: 'Not authorized, token failed.' });
     }
+};
+
+const protect = async (req, res, next) => {
+    const token = req.headers.authorization && req.headers.authorization.startsWith('Bearer')
+        ? req.headers.authorization.split(' ')[1]
+        : null;
 
     if (!token) {
-        res.status(401).json({ message: 'Not authorized, no token provided.' });
+        return res.status(401).json({ message: 'Not authorized, no token provided.' });
+    }
+    return authenticate(token, req, res, next);
+};
+
+// Like protect, but also accepts ?access_token= because browsers' EventSource cannot send headers.
+// Only for streams: query strings end up in proxy logs.
+const protectStream = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+        return authenticate(req.query.access_token, req, res, next);
+    }
+    return protect(req, res, next);
+};
+
+// Restricts a route to users with one of the given roles, e.g. authorize('admin'). Use after protect.
+// Roles are set on the user (User.role); `npm run set:role -- <username> admin` makes the first admin.
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role || 'user')) {
+        return res.status(403).json({ message: `Not authorized, requires role: ${roles.join(' or ')}.` });
     }
+    next();
 };
 
-module.exports = { protect };
\ No newline at end of file
+module.exports = { protect, protectStream, authorize };
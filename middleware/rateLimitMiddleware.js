@@ -0,0 +1,29 @@
+const { LIMITS, consumeRateLimit } = require('../services/authThrottleService');
+
+/**
+ * Limits requests per client IP and, when the limit has `perUsername`, per username in the request body.
+ * Responds 429 with a Retry-After header and `retryAt` once a limit is used up.
+ * @param {'all'|'credentials'} limitName - See LIMITS in services/authThrottleService.js.
+ */
+const rateLimit = limitName => async (req, res, next) => {
+    const limit = LIMITS[limitName];
+    const checks = [consumeRateLimit(`${limitName}:ip:${req.ip}`, limit.perIp)];
+    const username = req.body && req.body.username;
+    if (limit.perUsername && typeof username === 'string' && username.trim()) {
+        checks.push(consumeRateLimit(`${limitName}:username:${username.trim().toLowerCase()}`, limit.perUsername));
+    }
+
+    try {
+        const blocked = (await Promise.all(checks)).find(result => !result.allowed);
+        if (blocked) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((blocked.retryAt - Date.now()) / 1000))));
+            return res.status(429).json({ message: 'Too many requests. Please try again later.', retryAt: blocked.retryAt });
+        }
+    } catch (error) {
+        // Failing open keeps sign-in working if the limit store is unavailable; lockouts still apply.
+        console.error('Rate limit error:', error.message);
+    }
+    next();
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Audit record of a failed or blocked authentication attempt against an account, shown to its owner
+// (GET /api/auth/me/security-events). Never holds the password or code that was tried.
+const AuthEventSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: {
+        type: String,
+        enum: [
+            'signin_failed',
+            'attempt_blocked',
+            'account_locked',
+            'password_change_failed',
+            'account_deletion_failed',
+            'password_reset_failed',
+        ],
+        required: true
+    },
+    ip: { type: String, trim: true, default: null },
+    userAgent: { type: String, trim: true, default: null },
+    lockedUntil: { type: Date, default: null }, // For account_locked and attempt_blocked (tried while locked)
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+AuthEventSchema.index({ user: 1, createdAt: -1 });
+AuthEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthEvent', AuthEventSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A patient sharing their medications with a caregiver (another User).
+// There is at most one link per patient/caregiver pair; re-inviting reuses it.
+const CareLinkSchema = new mongoose.Schema({
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    caregiver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    permission: {
+        type: String,
+        enum: ['view', 'manage'], // view: read-only; manage: can also edit medications and record doses
+        default: 'view'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'revoked'],
+        default: 'pending'
+    },
+    acceptedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+CareLinkSchema.index({ patient: 1, caregiver: 1 }, { unique: true });
+CareLinkSchema.index({ caregiver: 1, status: 1 });
+
+module.exports = mongoose.model('CareLink', CareLinkSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A change to a patient's medications or doses, streamed to their signed-in clients and caregivers
+// (GET /api/medications/events). Kept for a few days so clients can catch up after reconnecting.
+const ChangeEventSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // The patient whose data changed
+    type: {
+        type: String,
+        enum: [
+            'medication.created',
+            'medication.updated',
+            'medication.archived',
+            'medication.restored',
+            'medication.deleted',
+            'dose.updated',
+        ],
+        required: true
+    },
+    medication: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication', required: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: null }, // The medication or dose event as it is now; null when deleted
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+ChangeEventSchema.index({ user: 1, createdAt: 1 });
+ChangeEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ChangeEvent', ChangeEventSchema);
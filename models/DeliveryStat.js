@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Notification delivery counters for one hour, summed across server instances (GET /api/admin/stats/delivery).
+// Counters are only ever incremented; a counter nothing happened to is missing and reads as 0.
+const DeliveryStatSchema = new mongoose.Schema({
+    hour: { type: Date, required: true }, // Start of the UTC hour
+    channels: { // Per channel (push, email, sms, webhook): { sent, failed }
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    invalidTokens: { type: Number }, // Push tokens pruned because Expo reported the app uninstalled
+    unreachable: { type: Number } // Notifications for users with no channel they could be reached on
+}, { timestamps: true });
+
+DeliveryStatSchema.index({ hour: 1 }, { unique: true, expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DeliveryStat', DeliveryStatSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One record per scheduled dose per (user-local) day, or one per as-needed (PRN) dose taken.
+const DoseEventSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    medication: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication', required: true },
+    scheduleId: { type: mongoose.Schema.Types.ObjectId, default: null }, // _id of the entry in Medication.schedules; null for PRN doses
+    date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // User's local date, "YYYY-MM-DD"
+    scheduledTime: { type: String, required: true }, // "HH:MM", copied from the schedule entry (local time taken for PRN doses)
+    quantity: { type: Number, min: 0, default: null }, // PRN doses: units taken, when different from the usual dose
+    status: {
+        type: String,
+        enum: ['pending', 'taken', 'skipped', 'missed'],
+        default: 'pending'
+    },
+    takenAt: { type: Date, default: null },
+    note: { type: String, trim: true, maxlength: [500, 'Note must be at most 500 characters.'] },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Patient or caregiver who answered the dose
+    // Reminder bookkeeping, managed by notificationService.js
+    notifiedCount: { type: Number, default: 0 },
+    lastNotifiedAt: { type: Date, default: null },
+    nextReminderAt: { type: Date, default: null }, // When the next follow-up reminder is due
+    snoozedUntil: { type: Date, default: null },
+    windowEndsAt: { type: Date, default: null }, // After this, an unanswered dose is marked missed
+    escalatedAt: { type: Date, default: null } // When the final missed-dose notification was sent
+}, { timestamps: true });
+
+// Scheduled doses are unique per day; PRN doses (no scheduleId) can be logged any number of times.
+// Replaces an earlier non-partial index on the same keys: run `npm run sync:indexes` when upgrading.
+DoseEventSchema.index(
+    { medication: 1, scheduleId: 1, date: 1 },
+    { unique: true, partialFilterExpression: { scheduleId: { $type: 'objectId' } } }
+);
+DoseEventSchema.index({ medication: 1, takenAt: 1 });
+DoseEventSchema.index({ user: 1, date: 1 });
+DoseEventSchema.index({ status: 1, date: 1 });
+DoseEventSchema.index({ status: 1, nextReminderAt: 1 });
+DoseEventSchema.index({ status: 1, windowEndsAt: 1 });
+
+module.exports = mongoose.model('DoseEvent', DoseEventSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const VITAL_KINDS = ['blood_pressure', 'glucose', 'weight', 'heart_rate'];
+const VITAL_UNITS = ['mmHg', 'mg/dL', 'mmol/L', 'kg', 'lb', 'bpm'];
+
+// A measurement. Blood pressure uses systolic/diastolic; the others use value.
+const VitalSchema = new mongoose.Schema({
+    kind: { type: String, enum: VITAL_KINDS, required: true },
+    systolic: { type: Number, min: 0, default: null },
+    diastolic: { type: Number, min: 0, default: null },
+    value: { type: Number, min: 0, default: null },
+    unit: { type: String, enum: VITAL_UNITS, required: true },
+    context: { type: String, enum: ['fasting', 'before_meal', 'after_meal', 'bedtime', null], default: null } // For glucose
+}, { _id: false });
+
+// Something the patient noticed or measured: a symptom, a side effect, or a vital sign, optionally linked
+// to the medication (or the dose) it may relate to. Summarised against medication changes for doctors
+// (GET /api/journal/summary).
+const JournalEntrySchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: ['symptom', 'side_effect', 'vital'], required: true },
+    name: { type: String, trim: true, lowercase: true, maxlength: [100, 'Name must be at most 100 characters.'] }, // Symptoms and side effects, e.g. "headache"
+    severity: { type: String, enum: ['mild', 'moderate', 'severe', null], default: null }, // Symptoms and side effects
+    vital: { type: VitalSchema, default: null },
+    recordedAt: { type: Date, required: true }, // When it happened or was measured
+    date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // User's local date of recordedAt, "YYYY-MM-DD"
+    medication: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication', default: null },
+    doseEvent: { type: mongoose.Schema.Types.ObjectId, ref: 'DoseEvent', default: null },
+    note: { type: String, trim: true, maxlength: [1000, 'Note must be at most 1000 characters.'] },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null } // Patient or caregiver
+}, { timestamps: true });
+
+JournalEntrySchema.index({ user: 1, date: 1 });
+JournalEntrySchema.index({ medication: 1 });
+
+module.exports = mongoose.model('JournalEntry', JournalEntrySchema);
+module.exports.VITAL_KINDS = VITAL_KINDS;
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Consecutive failed password checks for a username. Reaching the threshold locks the username for a while,
+// and each further lockout lasts longer. Keyed by username (not user) so unknown usernames lock the same way.
+const LoginLockoutSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    failures: { type: Number, default: 0 }, // Since the last success or lockout
+    lockouts: { type: Number, default: 0 }, // Lockouts so far; decides how long the next one lasts
+    lockedUntil: { type: Date, default: null },
+    lastFailureAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true } // Forgotten (and the lockout duration reset) after a quiet period
+});
+
+LoginLockoutSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginLockout', LoginLockoutSchema);
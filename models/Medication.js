@@ -1,19 +1,97 @@
 const mongoose = require('mongoose');
+const { FORMS, ROUTES, STRENGTH_UNITS, FOOD_INSTRUCTIONS, formatDose } = require('../utils/dosage');
 
 const ScheduleSchema = new mongoose.Schema({
     time: { type: String, required: true }, // e.g., "08:00", "14:30" or store as Date objects
     // You might want to store a full Date object if daily repetition needs to be calculated on the backend for scheduling
     // Or simply the time of day if notifications are scheduled on the client for repeats.
-    taken: { type: Boolean, default: false },
-    localNotificationId: { type: String } // To potentially manage client-side scheduled notifications
+    // Whether a dose was taken is tracked per day in the DoseEvent collection.
+    localNotificationId: { type: String }, // To potentially manage client-side scheduled notifications
+    quantity: { type: Number, min: 0, default: null } // Overrides dosage.quantity for this time, e.g. 2 in the morning, 1 at night
 });
 
+// What one dose is: e.g. 2 (quantity) tablets (form) of 500 mg (strength), by mouth, with food.
+const DosageSchema = new mongoose.Schema({
+    strength: {
+        value: { type: Number, min: 0, default: null },
+        unit: { type: String, enum: [...STRENGTH_UNITS, null], default: null }
+    },
+    quantity: { type: Number, min: 0, default: null }, // Units of `form` per dose, unless a schedule entry overrides it
+    form: { type: String, enum: [...FORMS, null], default: null },
+    route: { type: String, enum: [...ROUTES, null], default: null },
+    withFood: { type: String, enum: [...FOOD_INSTRUCTIONS, null], default: null },
+    maxDailyQuantity: { type: Number, min: 0, default: null } // Most units of `form` allowed in a day
+}, { _id: false });
+
+// When doses are due. Dates are the user's local "YYYY-MM-DD"; see utils/recurrence.js for evaluation.
+const RecurrenceSchema = new mongoose.Schema({
+    frequency: { type: String, enum: ['daily', 'weekly', 'interval'], default: 'daily' },
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }], // For 'weekly': 0 = Sunday ... 6 = Saturday
+    interval: { type: Number, min: 1, default: 1 }, // For 'interval': every N days counted from startDate
+    startDate: { type: String, default: null },
+    endDate: { type: String, default: null } // Last day of a fixed course, e.g. a 7-day antibiotic
+}, { _id: false });
+
+// Tapering: consecutive steps starting at recurrence.startDate, each overriding the dose for its duration
+// (`quantity` of dosage.form, or a free-text `amount`). The course ends after the last step.
+const TaperStepSchema = new mongoose.Schema({
+    durationDays: { type: Number, required: true, min: 1 },
+    quantity: { type: Number, min: 0, default: null },
+    amount: { type: String, trim: true }
+}, { _id: false });
+
+// Limits for as-needed (PRN) medications, whose doses are logged through POST /api/medications/:id/doses.
+const PrnSchema = new mongoose.Schema({
+    minIntervalMinutes: { type: Number, min: 1, default: null }, // Shortest time between two doses
+    maxDosesPer24h: { type: Number, min: 1, default: null }, // Most doses in any rolling 24 hours
+    onLimit: { type: String, enum: ['refuse', 'warn'], default: 'refuse' } // Whether a dose past a limit is refused or logged with a warning
+}, { _id: false });
+
+// Stock tracking. onHand = null means stock is not tracked for this medication.
+const InventorySchema = new mongoose.Schema({
+    onHand: { type: Number, min: 0, default: null }, // Units (pills, ml...) currently on hand
+    unitsPerDose: { type: Number, min: 0, default: 1 }, // Units consumed per dose when dosage.quantity is not set
+    refillThresholdDays: { type: Number, min: 0, default: 7 }, // Alert when projected supply falls below this
+    lastRefillAt: { type: Date, default: null },
+    lowStockAlertedAt: { type: Date, default: null } // Cleared on refill so the alert is sent once per refill
+}, { _id: false });
+
+// Why and when a medication was discontinued. Archived medications keep their dose history but get no
+// more reminders, and their course ends on the local date they were archived (see utils/recurrence.js).
+const ArchiveSchema = new mongoose.Schema({
+    archivedAt: { type: Date, required: true },
+    date: { type: String, required: true }, // The owner's local "YYYY-MM-DD" on archivedAt
+    reason: { type: String, trim: true, maxlength: [500, 'Reason must be at most 500 characters.'], default: null },
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { _id: false });
+
 const MedicationSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     name: { type: String, required: true, trim: true },
-    amount: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['scheduled', 'prn'], default: 'scheduled' }, // 'prn' = as needed, without schedule times
+    amount: { type: String, trim: true }, // Display text; generated from `dosage` when it has a quantity
+    dosage: { type: DosageSchema, default: () => ({}) },
     precautions: { type: String, trim: true },
-    schedules: [ScheduleSchema]
+    schedules: [ScheduleSchema],
+    recurrence: { type: RecurrenceSchema, default: () => ({}) },
+    taper: [TaperStepSchema],
+    inventory: { type: InventorySchema, default: () => ({}) },
+    prn: { type: PrnSchema, default: () => ({}) },
+    status: { type: String, enum: ['active', 'archived'], default: 'active' }, // Medications saved before archiving have no status: treat as active
+    archive: { type: ArchiveSchema, default: null }
 }, { timestamps: true });
 
+// Medications from before structured dosage may only have the free-text amount.
+MedicationSchema.pre('validate', function(next) {
+    if (this.dosage && this.dosage.quantity) {
+        this.amount = formatDose(this.dosage);
+    }
+    if (!this.amount) {
+        this.invalidate('amount', 'Either dosage with a quantity or an amount is required.');
+    }
+    next();
+});
+
+MedicationSchema.index({ user: 1, status: 1 });
+
 module.exports = mongoose.model('Medication', MedicationSchema);
\ No newline at end of file
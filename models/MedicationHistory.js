@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One field that changed in an edit. Nested fields use dotted paths, e.g. "dosage.quantity";
+// lists (schedules, taper) are compared and stored whole.
+const FieldChangeSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// A version of a medication: who created, edited, archived or restored it, when, and what changed
+// (GET /api/medications/:id/history). Kept until the medication itself is deleted.
+const MedicationHistorySchema = new mongoose.Schema({
+    medication: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // The medication's owner
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // The owner or a caregiver
+    action: { type: String, enum: ['created', 'updated', 'archived', 'restored'], required: true },
+    changes: [FieldChangeSchema],
+    reason: { type: String, trim: true, default: null }, // For 'archived'
+    version: { type: Date, default: null } // The medication's updatedAt after this change; sync compares it with the client's copy
+}, { timestamps: true });
+
+MedicationHistorySchema.index({ medication: 1, createdAt: -1 });
+MedicationHistorySchema.index({ medication: 1, version: 1 });
+MedicationHistorySchema.index({ user: 1 });
+
+module.exports = mongoose.model('MedicationHistory', MedicationHistorySchema);
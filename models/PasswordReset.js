@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A single-use, time-limited password reset code. Only a hash of the code is stored.
+const PasswordResetSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    codeHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 }, // Wrong guesses against this code
+    usedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+PasswordResetSchema.index({ user: 1, createdAt: -1 });
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // Kept a day after expiry, then removed
+
+module.exports = mongoose.model('PasswordReset', PasswordResetSchema);
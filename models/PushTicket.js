@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// An Expo push ticket awaiting its delivery receipt. Receipts are fetched later to find dead tokens.
+const PushTicketSchema = new mongoose.Schema({
+    ticketId: { type: String, required: true, unique: true },
+    token: { type: String, required: true }, // The Expo push token the message was sent to
+    receiptCheckedAt: { type: Date, default: null },
+    receiptStatus: { type: String, enum: ['ok', 'error', null], default: null },
+    receiptError: { type: String, default: null } // e.g. 'DeviceNotRegistered'
+}, { timestamps: true });
+
+PushTicketSchema.index({ receiptCheckedAt: 1, createdAt: 1 });
+PushTicketSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // Expo keeps receipts for about a day
+
+module.exports = mongoose.model('PushTicket', PushTicketSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A fixed-window request counter, e.g. sign-in attempts from one IP in the current 15 minutes.
+// Kept in MongoDB so every server instance counts against the same limit (see services/authThrottleService.js).
+const RateLimitSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // "<limit>:<ip|username>:<value>", e.g. "credentials:ip:203.0.113.7"
+    count: { type: Number, default: 0 },
+    resetAt: { type: Date, required: true } // End of the current window
+});
+
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 }); // Finished windows are removed
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// The reminder work for one dose, from the first reminder through follow-ups to the missed-dose escalation.
+// Workers lease a job before running it, so several server instances can share the queue (see jobQueue.js).
+const ReminderJobSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // "<medicationId>:<scheduleId>:<date>", one job per dose
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    medication: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication', required: true },
+    scheduleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // User's local date of the dose
+    scheduledTime: { type: String, required: true }, // "HH:MM"
+    stage: { // What the job does next
+        type: String,
+        enum: ['reminder', 'followUp', 'escalate'],
+        default: 'reminder'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed'],
+        default: 'pending'
+    },
+    runAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 }, // Failed attempts at the current stage
+    lockedBy: { type: String, default: null }, // Worker holding the lease
+    lockedUntil: { type: Date, default: null }, // Lease expiry; an expired lease can be taken over
+    lastAttemptAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    result: { type: String, default: null }, // Why the job completed, e.g. "Dose answered."
+    completedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null } // Finished jobs are removed after this
+}, { timestamps: true });
+
+ReminderJobSchema.index({ status: 1, runAt: 1 });
+ReminderJobSchema.index({ user: 1 });
+ReminderJobSchema.index({ medication: 1 });
+ReminderJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ReminderJob', ReminderJobSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session is one refresh token "family": the refresh token is rotated on every
+// use, and presenting an already-rotated token again revokes the whole session (see services/tokenService.js).
+const SessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true }, // SHA-256 of the current refresh token
+    previousTokenHashes: [{ type: String }], // The most recent rotated-out tokens, kept to detect reuse
+    userAgent: { type: String, trim: true, default: null },
+    ip: { type: String, trim: true, default: null },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'account_disabled', null], default: null }
+}, { timestamps: true });
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired sessions
+
+module.exports = mongoose.model('Session', SessionSchema);
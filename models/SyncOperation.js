@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// The result of an operation applied by POST /api/medications/sync, keyed by the client's idempotency key,
+// so an operation resent after a lost response is answered again instead of being applied twice.
+// The key is claimed (pending) before the operation is applied, so two requests cannot both apply it.
+const SyncOperationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Who sent it (patient or caregiver)
+    key: { type: String, required: true },
+    status: { type: String, enum: ['pending', 'applied'], default: 'pending' },
+    result: { type: mongoose.Schema.Types.Mixed, default: null }, // Set once applied
+    expiresAt: { type: Date, required: true } // Shortly after the claim while pending, so a crashed request frees its keys
+}, { timestamps: true });
+
+SyncOperationSchema.index({ user: 1, key: 1 }, { unique: true });
+SyncOperationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SyncOperation', SyncOperationSchema);
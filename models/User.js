@@ -1,6 +1,40 @@
 // backend/src/models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimezone } = require('../utils/timezone');
+
+// A device that receives push notifications.
+const DeviceSchema = new mongoose.Schema({
+    token: { type: String, required: true, trim: true }, // Expo push token
+    platform: { type: String, enum: ['ios', 'android', 'web', 'unknown'], default: 'unknown' },
+    label: { type: String, trim: true, maxlength: [60, 'Device label must be at most 60 characters.'] }, // e.g. "Mum's tablet"
+    lastSeenAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+const NOTIFICATION_CHANNELS = ['push', 'email', 'sms', 'webhook'];
+const ROLES = ['user', 'admin'];
+
+// Which channels notifications go out on; fallbacks are tried in order only if none of `channels` delivered.
+const NotificationChannelsSchema = new mongoose.Schema({
+    channels: { type: [{ type: String, enum: NOTIFICATION_CHANNELS }], default: ['push'] },
+    fallbacks: { type: [{ type: String, enum: NOTIFICATION_CHANNELS }], default: [] }
+}, { _id: false });
+
+// When and how reminders are sent; applied by the reminder worker (see services/notificationPreferenceService.js).
+const NotificationPreferencesSchema = new mongoose.Schema({
+    quietHours: { // Local times; reminders due in between wait until the end, or are skipped if the dose window closes first
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+        end: { type: String, default: '07:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+    },
+    mutedMedications: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Medication' }], // No reminders; missed doses still reach caregivers
+    digest: { // One summary of the day's doses instead of a reminder per dose
+        enabled: { type: Boolean, default: false },
+        time: { type: String, default: '07:30', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+        lastSentDate: { type: String, default: null } // Local date of the last digest, so each day's is sent once
+    },
+    alertLevel: { type: String, enum: ['normal', 'critical'], default: 'normal' } // Critical alerts ignore quiet hours
+}, { _id: false });
 
 const UserSchema = new mongoose.Schema({
     username: {
@@ -16,15 +50,75 @@ const UserSchema = new mongoose.Schema({
         required: [true, 'Password is required.'], // Changed from your provided file
         minlength: [6, 'Password must be at least 6 characters.'] // Added validation
     },
-    expoPushToken: {
+    expoPushToken: { // Legacy single token; new clients register in `devices` instead
         type: String,
         trim: true,
         default: null 
     },
+    devices: [DeviceSchema],
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address.']
+    },
+    phoneNumber: { // E.164, e.g. "+919876543210"
+        type: String,
+        trim: true,
+        default: null,
+        match: [/^\+[1-9]\d{6,14}$/, 'Phone number must be in international format, e.g. +919876543210.']
+    },
+    webhookUrl: {
+        type: String,
+        trim: true,
+        default: null,
+        match: [/^https?:\/\/\S+$/, 'Webhook URL must start with http:// or https://.']
+    },
+    notificationChannels: { type: NotificationChannelsSchema, default: () => ({}) },
+    notificationPreferences: { type: NotificationPreferencesSchema, default: () => ({}) },
     notificationSound: { 
         type: String,
         trim: true,
         default: 'default' 
+    },
+    timezone: { // IANA timezone, e.g. "Asia/Kolkata". null means the server default is used.
+        type: String,
+        trim: true,
+        default: null,
+        validate: {
+            validator: (value) => value === null || isValidTimezone(value),
+            message: props => `${props.value} is not a valid IANA timezone.`
+        }
+    },
+    calendarFeedTokenHash: { // sha256 of the secret in the calendar feed URL; null when no feed is enabled
+        type: String,
+        default: null,
+        select: false
+    },
+    calendarFeedCreatedAt: {
+        type: Date,
+        default: null
+    },
+    role: { // Admins can use /api/admin (see authorize() in middleware/authMiddleware.js)
+        type: String,
+        enum: ROLES,
+        default: 'user'
+    },
+    disabledAt: { // Set by an admin; disabled users cannot sign in and get no reminders
+        type: Date,
+        default: null
+    },
+    disabledReason: {
+        type: String,
+        trim: true,
+        default: null,
+        maxlength: [500, 'Reason must be at most 500 characters.']
+    },
+    disabledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     }
 }, { timestamps: true });
 
@@ -45,4 +139,19 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+// All push tokens to notify: every registered device plus the legacy expoPushToken, if still set.
+UserSchema.methods.getPushTokens = function() {
+    const tokens = (this.devices || []).map(device => device.token);
+    if (this.expoPushToken && !tokens.includes(this.expoPushToken)) {
+        tokens.push(this.expoPushToken);
+    }
+    return tokens;
+};
+
+UserSchema.index({ 'devices.token': 1 });
+UserSchema.index({ calendarFeedTokenHash: 1 });
+UserSchema.index({ 'notificationPreferences.digest.enabled': 1, 'notificationPreferences.digest.time': 1 });
+UserSchema.index({ role: 1 });
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.ROLES = ROLES;
\ No newline at end of file
@@ -0,0 +1,216 @@
+const express = require('express');
+const User = require('../models/User');
+const { ROLES } = require('../models/User');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { listJobs, retryFailedJob } = require('../services/jobQueue');
+const { ADMIN_USER_FIELDS, disableAccount, enableAccount } = require('../services/accountService');
+const { getDeliveryStats } = require('../services/deliveryStatsService');
+
+const router = express.Router();
+
+const JOB_STATUSES = ['pending', 'completed', 'failed'];
+const MAX_JOBS_LIMIT = 500;
+const MAX_USERS_LIMIT = 200;
+const MAX_REASON_LENGTH = 500;
+const MAX_STATS_HOURS = 90 * 24; // Hourly delivery counters are kept for 90 days
+
+// ?status= on GET /api/admin/users.
+const USER_STATUS_FILTERS = {
+    active: { disabledAt: null },
+    disabled: { disabledAt: { $ne: null } },
+    all: {},
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    List reminder jobs by status (pending includes jobs currently leased by a worker), with totals
+// @route   GET /api/admin/jobs?status=pending|failed|completed&limit=100
+// @access  Admin
+router.get('/jobs', protect, authorize('admin'), async (req, res) => {
+    const status = req.query.status || 'pending';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_JOBS_LIMIT);
+
+    if (!JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of: ${JOB_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        const { counts, jobs } = await listJobs({ status, limit });
+        res.json({ counts, jobs });
+    } catch (error) {
+        console.error("List jobs error:", error);
+        res.status(500).json({ message: 'Server error listing jobs.', error: error.message });
+    }
+});
+
+// @desc    Put a failed reminder job back in the queue
+// @route   POST /api/admin/jobs/:jobId/retry
+// @access  Admin
+router.post('/jobs/:jobId/retry', protect, authorize('admin'), async (req, res) => {
+    try {
+        const job = await retryFailedJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ message: 'Failed job not found.' });
+        }
+        res.json({ message: 'Job queued for retry.', job });
+    } catch (error) {
+        console.error("Retry job error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Job not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error retrying job.', error: error.message });
+    }
+});
+
+// @desc    List and search users, newest first, with totals for paging
+// @route   GET /api/admin/users?search=&role=user|admin&status=active|disabled|all&limit=50&page=1
+// @access  Admin
+router.get('/users', protect, authorize('admin'), async (req, res) => {
+    const { search, role } = req.query;
+    const statusFilter = USER_STATUS_FILTERS[req.query.status || 'all'];
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_USERS_LIMIT);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    if (!statusFilter) {
+        return res.status(400).json({ message: `Status must be one of: ${Object.keys(USER_STATUS_FILTERS).join(', ')}.` });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+    }
+    if (search !== undefined && typeof search !== 'string') {
+        return res.status(400).json({ message: 'Search must be a string.' });
+    }
+
+    try {
+        const filter = { ...statusFilter };
+        if (role) filter.role = role;
+        if (search && search.trim()) {
+            // Matches anywhere in the username or email, case-insensitively.
+            const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+            filter.$or = [{ username: pattern }, { email: pattern }];
+        }
+
+        const [total, users] = await Promise.all([
+            User.countDocuments(filter),
+            User.find(filter)
+                .select(ADMIN_USER_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+        ]);
+        res.json({ total, page, limit, users });
+    } catch (error) {
+        console.error("List users error:", error);
+        res.status(500).json({ message: 'Server error listing users.', error: error.message });
+    }
+});
+
+// @desc    Disable a user: signs them out everywhere and blocks sign-in and notifications. Body: { reason? }
+// @route   POST /api/admin/users/:userId/disable
+// @access  Admin
+router.post('/users/:userId/disable', protect, authorize('admin'), async (req, res) => {
+    const reason = req.body && req.body.reason;
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+        return res.status(400).json({ message: `Reason must be a string of at most ${MAX_REASON_LENGTH} characters.` });
+    }
+    if (req.user._id.equals(req.params.userId)) {
+        return res.status(400).json({ message: 'You cannot disable your own account.' });
+    }
+
+    try {
+        const existing = await User.findById(req.params.userId).select('disabledAt');
+        if (!existing) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (existing.disabledAt) {
+            return res.status(409).json({ message: 'User is already disabled.' });
+        }
+
+        const user = await disableAccount(existing._id, req.user._id, reason || null);
+        console.log(`[Backend Admin] User "${user.username}" disabled by "${req.user.username}".`);
+        res.json({ message: 'User disabled.', user });
+    } catch (error) {
+        console.error("Disable user error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'User not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error disabling user.', error: error.message });
+    }
+});
+
+// @desc    Enable a disabled user
+// @route   POST /api/admin/users/:userId/enable
+// @access  Admin
+router.post('/users/:userId/enable', protect, authorize('admin'), async (req, res) => {
+    try {
+        const user = await enableAccount(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        console.log(`[Backend Admin] User "${user.username}" enabled by "${req.user.username}".`);
+        res.json({ message: 'User enabled.', user });
+    } catch (error) {
+        console.error("Enable user error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'User not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error enabling user.', error: error.message });
+    }
+});
+
+// @desc    Change a user's role. Body: { role }
+// @route   PUT /api/admin/users/:userId/role
+// @access  Admin
+router.put('/users/:userId/role', protect, authorize('admin'), async (req, res) => {
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+    }
+    // Keeps at least one admin: the last one cannot lock everyone out by demoting themselves.
+    if (req.user._id.equals(req.params.userId) && role !== 'admin') {
+        return res.status(400).json({ message: 'You cannot remove your own admin role.' });
+    }
+
+    try {
+        const user = await User.findOneAndUpdate(
+            { _id: req.params.userId },
+            { $set: { role } },
+            { new: true, runValidators: true }
+        ).select(ADMIN_USER_FIELDS);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        console.log(`[Backend Admin] User "${user.username}" given role "${role}" by "${req.user.username}".`);
+        res.json(user);
+    } catch (error) {
+        console.error("Update user role error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'User not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error updating user role.', error: error.message });
+    }
+});
+
+// @desc    Notification delivery statistics: sent and failed per channel, pruned push tokens, push receipts,
+//          users without push tokens, and the reminder job queue
+// @route   GET /api/admin/stats/delivery?hours=24
+// @access  Admin
+router.get('/stats/delivery', protect, authorize('admin'), async (req, res) => {
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_STATS_HOURS) {
+        return res.status(400).json({ message: `Hours must be a whole number from 1 to ${MAX_STATS_HOURS}.` });
+    }
+
+    try {
+        const stats = await getDeliveryStats(new Date(Date.now() - hours * 60 * 60 * 1000));
+        res.json(stats);
+    } catch (error) {
+        console.error("Get delivery stats error:", error);
+        res.status(500).json({ message: 'Server error fetching delivery statistics.', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,26 +1,105 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Expo } = require('expo-server-sdk');
 const User = require('../models/User');
+const Medication = require('../models/Medication');
 const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+} = require('../services/tokenService');
+const { canSendResetCodes, requestPasswordReset, consumeResetCode } = require('../services/passwordResetService');
+const { deleteAccount, exportAccountData } = require('../services/accountService');
+const {
+    getLockedUntil,
+    registerFailure,
+    clearFailures,
+    recordAuthEvent,
+    listAuthEvents,
+} = require('../services/authThrottleService');
+const { CHANNEL_NAMES } = require('../services/notificationDispatcher');
+const { validateNotificationPreferences } = require('../services/notificationPreferenceService');
+const { isValidTimezone } = require('../utils/timezone');
 
 const router = express.Router();
 
-// Generate JWT
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, {
-        expiresIn: '30d', // Token expires in 30 days
-    });
+router.use(rateLimit('all'));
+
+const MIN_PASSWORD_LENGTH = 6; // Mirrors the minlength on User.password
+
+const DEVICE_PLATFORMS = ['ios', 'android', 'web', 'unknown'];
+const MAX_SECURITY_EVENTS = 200;
+
+// Adds a push token to a user's devices, or refreshes it if already registered.
+// A token belongs to one physical device, so it is removed from any other account first.
+const registerDevice = async (user, { token, platform, label }) => {
+    await User.updateMany({ _id: { $ne: user._id }, 'devices.token': token }, { $pull: { devices: { token } } });
+    await User.updateMany({ _id: { $ne: user._id }, expoPushToken: token }, { $set: { expoPushToken: null } });
+
+    let device = user.devices.find(d => d.token === token);
+    if (!device) {
+        user.devices.push({ token });
+        device = user.devices[user.devices.length - 1];
+    }
+    if (platform !== undefined) device.platform = platform;
+    if (label !== undefined) device.label = label;
+    device.lastSeenAt = new Date();
+    if (user.expoPushToken === token) {
+        user.expoPushToken = null; // Migrated from the legacy single-token field
+    }
+    await user.save();
+    return device;
+};
+
+// Checks a known user's password with the sign-in lockout: wrong passwords count towards locking the
+// username and are recorded for the account owner. `lockedUntil` is set when the username is (now) locked.
+const checkPasswordWithLockout = async (user, password, req, failureType) => {
+    const lockedUntil = await getLockedUntil(user.username);
+    if (lockedUntil) {
+        await recordAuthEvent(user, 'attempt_blocked', req, { lockedUntil });
+        return { ok: false, lockedUntil };
+    }
+    if (await user.comparePassword(password)) {
+        await clearFailures(user.username);
+        return { ok: true, lockedUntil: null };
+    }
+
+    await recordAuthEvent(user, failureType, req);
+    const failure = await registerFailure(user.username);
+    if (failure.lockedUntil) {
+        await recordAuthEvent(user, 'account_locked', req, { lockedUntil: failure.lockedUntil });
+    }
+    return { ok: false, lockedUntil: failure.lockedUntil };
+};
+
+const sendLockedOut = (res, lockedUntil) => {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000))));
+    res.status(429).json({ message: 'Too many failed attempts. Please try again later.', lockedUntil });
+};
+
+const REFRESH_ERROR_MESSAGES = {
+    invalid: 'Invalid refresh token.',
+    expired: 'Refresh token expired. Please sign in again.',
+    revoked: 'This session has been logged out. Please sign in again.',
+    reused: 'Refresh token was already used. The session has been revoked for your security; please sign in again.',
 };
 
 // @desc    Register a new user
 // @route   POST /api/auth/signup
 // @access  Public
-router.post('/signup', async (req, res) => {
-    const { username, password } = req.body;
+router.post('/signup', rateLimit('credentials'), async (req, res) => {
+    const { username, password, timezone } = req.body || {};
 
     if (!username || !password) {
         return res.status(400).json({ message: 'Please provide username and password.' });
     }
+    if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+        return res.status(400).json({ message: 'Timezone must be a valid IANA timezone (e.g. "Asia/Kolkata").' });
+    }
 
     try {
         const userExists = await User.findOne({ username: username.toLowerCase() });
@@ -31,14 +110,19 @@ router.post('/signup', async (req, res) => {
         const user = await User.create({
             username: username.toLowerCase(),
             password, // Password will be hashed by the pre-save hook in User model
+            timezone: timezone || null,
         });
 
         if (user) {
+            const { token, refreshToken } = await createSession(user, req);
             res.status(201).json({
                 _id: user._id,
                 username: user.username,
+                role: user.role,
                 expoPushToken: user.expoPushToken,
-                token: generateToken(user._id),
+                timezone: user.timezone,
+                token, // Short-lived access token
+                refreshToken,
             });
         } else {
             res.status(400).json({ message: 'Invalid user data.' });
@@ -52,23 +136,42 @@ router.post('/signup', async (req, res) => {
 // @desc    Authenticate user & get token (Sign In)
 // @route   POST /api/auth/signin
 // @access  Public
-router.post('/signin', async (req, res) => {
-    console.log("Signin request body:", req.body); // Debugging line to check request body
+router.post('/signin', rateLimit('credentials'), async (req, res) => {
     const { username, password } = req.body;
 
-    if (!username || !password) {
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
         return res.status(400).json({ message: 'Please provide username and password.' });
     }
 
     try {
         const user = await User.findOne({ username: username.toLowerCase() });
+        if (!user) {
+            // Unknown usernames lock out the same way, so lockouts do not reveal which accounts exist.
+            const lockedUntil = (await getLockedUntil(username.toLowerCase()))
+                || (await registerFailure(username.toLowerCase())).lockedUntil;
+            if (lockedUntil) {
+                return sendLockedOut(res, lockedUntil);
+            }
+            return res.status(401).json({ message: 'Invalid username or password.' });
+        }
 
-        if (user && (await user.comparePassword(password))) {
+        const { ok, lockedUntil } = await checkPasswordWithLockout(user, password, req, 'signin_failed');
+        if (lockedUntil) {
+            return sendLockedOut(res, lockedUntil);
+        }
+        if (ok && user.disabledAt) {
+            return res.status(403).json({ message: 'This account has been disabled.' });
+        }
+        if (ok) {
+            const { token, refreshToken } = await createSession(user, req);
             res.json({
                 _id: user._id,
                 username: user.username,
+                role: user.role,
                 expoPushToken: user.expoPushToken,
-                token: generateToken(user._id),
+                timezone: user.timezone,
+                token, // Short-lived access token
+                refreshToken,
             });
         } else {
             res.status(401).json({ message: 'Invalid username or password.' });
@@ -79,7 +182,171 @@ router.post('/signin', async (req, res) => {
     }
 });
 
-// @desc    Update user's Expo Push Token
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    try {
+        const { token, refreshToken: nextRefreshToken, error } = await rotateRefreshToken(refreshToken, req);
+        if (error) {
+            return res.status(401).json({ message: REFRESH_ERROR_MESSAGES[error] });
+        }
+        res.json({ token, refreshToken: nextRefreshToken });
+    } catch (error) {
+        console.error("Refresh token error:", error);
+        res.status(500).json({ message: 'Server error refreshing token.', error: error.message });
+    }
+});
+
+// @desc    Log out the current device (revokes its session)
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+    try {
+        await revokeSession(req.session._id, 'logout');
+        res.json({ message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error("Logout error:", error);
+        res.status(500).json({ message: 'Server error during logout.', error: error.message });
+    }
+});
+
+// @desc    Log out all devices (revokes every session, including the current one)
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        const count = await revokeAllSessions(req.user._id, 'logout_all');
+        res.json({ message: `Logged out of ${count} session(s).` });
+    } catch (error) {
+        console.error("Logout all error:", error);
+        res.status(500).json({ message: 'Server error logging out all devices.', error: error.message });
+    }
+});
+
+// @desc    Revoke one of the user's sessions (e.g. a lost phone)
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+router.delete('/sessions/:sessionId', protect, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user._id);
+        if (!sessions.some(session => session._id.toString() === req.params.sessionId)) {
+            return res.status(404).json({ message: 'Session not found.' });
+        }
+
+        await revokeSession(req.params.sessionId, 'revoked');
+        res.json({ message: 'Session revoked successfully.' });
+    } catch (error) {
+        console.error("Revoke session error:", error);
+        res.status(500).json({ message: 'Server error revoking session.', error: error.message });
+    }
+});
+
+// @desc    Change password (requires the current password)
+// @route   POST /api/auth/change-password
+// @access  Private
+router.post('/change-password', protect, async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'Please provide your current and new password.' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        const { ok, lockedUntil } = await checkPasswordWithLockout(user, currentPassword, req, 'password_change_failed');
+        if (lockedUntil) {
+            return sendLockedOut(res, lockedUntil);
+        }
+        if (!ok) {
+            return res.status(401).json({ message: 'Current password is incorrect.' });
+        }
+
+        user.password = newPassword; // Hashed by the pre-save hook
+        await user.save();
+        // Other devices must sign in again with the new password; this one stays logged in.
+        await revokeAllSessions(user._id, 'revoked', req.session._id);
+
+        res.json({ message: 'Password changed successfully.' });
+    } catch (error) {
+        console.error("Change password error:", error);
+        res.status(500).json({ message: 'Server error changing password.', error: error.message });
+    }
+});
+
+// @desc    Request a password reset code
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', rateLimit('credentials'), async (req, res) => {
+    const { username } = req.body || {};
+
+    if (!username || typeof username !== 'string') {
+        return res.status(400).json({ message: 'Please provide your username.' });
+    }
+    // Refused before looking the user up, so this cannot be used to discover usernames either.
+    if (!canSendResetCodes()) {
+        return res.status(503).json({ message: 'Password reset is not available. Please contact support.' });
+    }
+
+    try {
+        const user = await User.findOne({ username: username.toLowerCase() });
+        if (user) {
+            await requestPasswordReset(user);
+        }
+        // Same response either way, so this endpoint cannot be used to discover usernames.
+        res.json({ message: 'If that account exists, a reset code has been sent.' });
+    } catch (error) {
+        console.error("Forgot password error:", error);
+        res.status(500).json({ message: 'Server error requesting password reset.', error: error.message });
+    }
+});
+
+// @desc    Reset password with a reset code
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', rateLimit('credentials'), async (req, res) => {
+    const { username, code, newPassword } = req.body || {};
+
+    if (!username || !code || !newPassword) {
+        return res.status(400).json({ message: 'Please provide username, reset code and new password.' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    try {
+        const user = await User.findOne({ username: String(username).toLowerCase() });
+        if (!user || !(await consumeResetCode(user, code))) {
+            if (user) {
+                await recordAuthEvent(user, 'password_reset_failed', req);
+            }
+            return res.status(400).json({ message: 'Invalid or expired reset code.' });
+        }
+
+        user.password = newPassword; // Hashed by the pre-save hook
+        await user.save();
+        await revokeAllSessions(user._id, 'revoked');
+
+        res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+    } catch (error) {
+        console.error("Reset password error:", error);
+        res.status(500).json({ message: 'Server error resetting password.', error: error.message });
+    }
+});
+
+// @desc    Update user's Expo Push Token (legacy; registers the token as a device)
 // @route   POST /api/auth/update-push-token
 // @access  Private
 router.post('/update-push-token', protect, async (req, res) => {
@@ -87,11 +354,13 @@ router.post('/update-push-token', protect, async (req, res) => {
     if (!expoPushToken) {
         return res.status(400).json({ message: 'Expo push token is required.' });
     }
+    if (!Expo.isExpoPushToken(expoPushToken)) {
+        return res.status(400).json({ message: 'Invalid Expo push token.' });
+    }
     try {
         const user = await User.findById(req.user._id);
         if (user) {
-            user.expoPushToken = expoPushToken;
-            await user.save();
+            await registerDevice(user, { token: expoPushToken });
             res.json({ message: 'Push token updated successfully.' });
         } else {
             res.status(404).json({ message: 'User not found.' });
@@ -103,7 +372,72 @@ router.post('/update-push-token', protect, async (req, res) => {
 });
 
 
-// @desc    Get current user profile
+// @desc    List the user's registered devices
+// @route   GET /api/auth/devices
+// @access  Private
+router.get('/devices', protect, async (req, res) => {
+    res.json(req.user.devices);
+});
+
+
+// @desc    Register (or refresh) a device for push notifications
+// @route   POST /api/auth/devices
+// @access  Private
+router.post('/devices', protect, async (req, res) => {
+    const { token, platform, label } = req.body || {};
+
+    if (!token || !Expo.isExpoPushToken(token)) {
+        return res.status(400).json({ message: 'A valid Expo push token is required.' });
+    }
+    if (platform !== undefined && !DEVICE_PLATFORMS.includes(platform)) {
+        return res.status(400).json({ message: `Platform must be one of: ${DEVICE_PLATFORMS.join(', ')}.` });
+    }
+    if (label !== undefined && typeof label !== 'string') {
+        return res.status(400).json({ message: 'Label must be a string.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const device = await registerDevice(user, { token, platform, label });
+        res.status(201).json(device);
+    } catch (error) {
+        console.error("Register device error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error registering device.', error: error.message });
+    }
+});
+
+
+// @desc    Unregister a device (it stops receiving notifications)
+// @route   DELETE /api/auth/devices/:deviceId
+// @access  Private
+router.delete('/devices/:deviceId', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        const device = user && user.devices.id(req.params.deviceId);
+        if (!device) {
+            return res.status(404).json({ message: 'Device not found.' });
+        }
+
+        device.deleteOne();
+        await user.save();
+        res.json({ message: 'Device removed successfully.' });
+    } catch (error) {
+        console.error("Remove device error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Device not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error removing device.', error: error.message });
+    }
+});
+
+// @desc    Get current user profile, including active sessions
 // @route   GET /api/auth/me
 // @access  Private
 router.get('/me', protect, async (req, res) => {
@@ -111,7 +445,8 @@ router.get('/me', protect, async (req, res) => {
         // req.user is populated by the 'protect' middleware
         const user = await User.findById(req.user._id).select('-password');
         if (user) {
-            res.json(user);
+            const sessions = await listSessions(user._id, req.session._id);
+            res.json({ ...user.toJSON(), sessions });
         } else {
             res.status(404).json({ message: 'User not found' });
         }
@@ -122,6 +457,70 @@ router.get('/me', protect, async (req, res) => {
 });
 
 
+// @desc    List failed and blocked authentication attempts against the user's account, newest first
+// @route   GET /api/auth/me/security-events?limit=50
+// @access  Private
+router.get('/me/security-events', protect, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_SECURITY_EVENTS);
+
+    try {
+        res.json(await listAuthEvents(req.user._id, limit));
+    } catch (error) {
+        console.error("List security events error:", error);
+        res.status(500).json({ message: 'Server error fetching security events.', error: error.message });
+    }
+});
+
+
+// @desc    Export all of the user's data as JSON
+// @route   GET /api/auth/me/export
+// @access  Private
+router.get('/me/export', protect, async (req, res) => {
+    try {
+        const data = await exportAccountData(req.user._id);
+        if (!data) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        res.attachment(`swasthay-export-${req.user.username}.json`);
+        res.json(data);
+    } catch (error) {
+        console.error("Export account error:", error);
+        res.status(500).json({ message: 'Server error exporting account data.', error: error.message });
+    }
+});
+
+
+// @desc    Permanently delete the user's account and all related data (requires the password)
+// @route   DELETE /api/auth/me
+// @access  Private
+router.delete('/me', protect, async (req, res) => {
+    const { password } = req.body || {};
+
+    if (!password) {
+        return res.status(400).json({ message: 'Please provide your password to delete your account.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        const { ok, lockedUntil } = await checkPasswordWithLockout(user, password, req, 'account_deletion_failed');
+        if (lockedUntil) {
+            return sendLockedOut(res, lockedUntil);
+        }
+        if (!ok) {
+            return res.status(401).json({ message: 'Password is incorrect.' });
+        }
+
+        await deleteAccount(user._id);
+        res.json({ message: 'Account and all related data deleted successfully.' });
+    } catch (error) {
+        console.error("Delete account error:", error);
+        res.status(500).json({ message: 'Server error deleting account.', error: error.message });
+    }
+});
+
 // @desc    Update user's notification sound preference
 // @route   PUT /api/auth/settings/notificationsound
 // @access  Private
@@ -158,5 +557,169 @@ router.put('/settings/notificationsound', protect, async (req, res) => {
     }
 });
 
+// @desc    Update notification channels (push, email, SMS, webhook), contact details and fallbacks
+// @route   PUT /api/auth/settings/channels
+// @access  Private
+router.put('/settings/channels', protect, async (req, res) => {
+    const { channels, fallbacks, email, phoneNumber, webhookUrl } = req.body || {};
+
+    const isChannelList = list => Array.isArray(list) && list.every(name => CHANNEL_NAMES.includes(name));
+    if (channels !== undefined && (!isChannelList(channels) || channels.length === 0)) {
+        return res.status(400).json({ message: `Channels must be a non-empty list of: ${CHANNEL_NAMES.join(', ')}.` });
+    }
+    if (fallbacks !== undefined && !isChannelList(fallbacks)) {
+        return res.status(400).json({ message: `Fallbacks must be a list of: ${CHANNEL_NAMES.join(', ')}.` });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        // Contact details: a string sets the value, null or "" clears it.
+        if (email !== undefined) user.email = email || null;
+        if (phoneNumber !== undefined) user.phoneNumber = phoneNumber || null;
+        if (webhookUrl !== undefined) user.webhookUrl = webhookUrl || null;
+        if (channels !== undefined) user.notificationChannels.channels = [...new Set(channels)];
+        if (fallbacks !== undefined) user.notificationChannels.fallbacks = [...new Set(fallbacks)];
+
+        const missingContact = [...user.notificationChannels.channels, ...user.notificationChannels.fallbacks]
+            .find(name => (name === 'email' && !user.email) || (name === 'sms' && !user.phoneNumber) || (name === 'webhook' && !user.webhookUrl));
+        if (missingContact) {
+            return res.status(400).json({ message: `Please provide contact details for the "${missingContact}" channel.` });
+        }
+
+        await user.save();
+        res.json({
+            message: 'Notification channels updated successfully.',
+            notificationChannels: user.notificationChannels,
+            email: user.email,
+            phoneNumber: user.phoneNumber,
+            webhookUrl: user.webhookUrl
+        });
+
+    } catch (error) {
+        console.error("Update notification channels error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error updating notification channels.', error: error.message });
+    }
+});
+
+// What the notification preference routes return.
+const notificationSettings = user => ({
+    notificationPreferences: user.notificationPreferences,
+    notificationSound: user.notificationSound,
+});
+
+// @desc    Get notification preferences (quiet hours, muted medications, morning digest, alert level) and sound
+// @route   GET /api/auth/settings/notifications
+// @access  Private
+router.get('/settings/notifications', protect, async (req, res) => {
+    res.json(notificationSettings(req.user));
+});
+
+// @desc    Update notification preferences; only the fields sent are changed
+// @route   PUT /api/auth/settings/notifications
+// @access  Private
+router.put('/settings/notifications', protect, async (req, res) => {
+    const { quietHours, mutedMedications, digest, alertLevel, notificationSound } = req.body || {};
+
+    const preferencesError = validateNotificationPreferences({ quietHours, mutedMedications, digest, alertLevel });
+    if (preferencesError) {
+        return res.status(400).json({ message: preferencesError });
+    }
+    if (notificationSound !== undefined && typeof notificationSound !== 'string') {
+        return res.status(400).json({ message: 'Sound name must be a string.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (mutedMedications !== undefined) {
+            // Only the user's own medications can be muted.
+            const ids = [...new Set(mutedMedications)];
+            const ownCount = ids.every(id => mongoose.isValidObjectId(id))
+                ? await Medication.countDocuments({ _id: { $in: ids }, user: user._id })
+                : -1;
+            if (ownCount !== ids.length) {
+                return res.status(400).json({ message: 'mutedMedications must only contain IDs of your own medications.' });
+            }
+            user.notificationPreferences.mutedMedications = ids;
+        }
+        const preferences = user.notificationPreferences;
+        ['enabled', 'start', 'end'].forEach((field) => {
+            if (quietHours && quietHours[field] !== undefined) preferences.quietHours[field] = quietHours[field];
+        });
+        ['enabled', 'time'].forEach((field) => {
+            if (digest && digest[field] !== undefined) preferences.digest[field] = digest[field];
+        });
+        if (alertLevel !== undefined) preferences.alertLevel = alertLevel;
+        if (notificationSound !== undefined) {
+            user.notificationSound = notificationSound.trim() || 'default';
+        }
+        await user.save();
+
+        res.json({ message: 'Notification preferences updated successfully.', ...notificationSettings(user) });
+
+    } catch (error) {
+        console.error("Update notification preferences error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error updating notification preferences.', error: error.message });
+    }
+});
+
+// @desc    Update user's general settings (currently timezone and notification sound)
+// @route   PUT /api/auth/settings
+// @access  Private
+router.put('/settings', protect, async (req, res) => {
+    const { timezone, notificationSound } = req.body || {};
+
+    if (timezone === undefined && notificationSound === undefined) {
+        return res.status(400).json({ message: 'Please provide at least one setting to update.' });
+    }
+    if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+        return res.status(400).json({ message: 'Timezone must be a valid IANA timezone (e.g. "Asia/Kolkata").' });
+    }
+    if (notificationSound !== undefined && typeof notificationSound !== 'string') {
+        return res.status(400).json({ message: 'Sound name must be a string.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (timezone !== undefined) {
+            user.timezone = timezone || null; // null falls back to the server default timezone
+        }
+        if (notificationSound !== undefined) {
+            user.notificationSound = notificationSound.trim() || 'default';
+        }
+        await user.save();
+
+        res.json({
+            message: 'Settings updated successfully.',
+            timezone: user.timezone,
+            notificationSound: user.notificationSound
+        });
+
+    } catch (error) {
+        console.error("Update settings error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error updating settings.', error: error.message });
+    }
+});
+
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,156 @@
+const express = require('express');
+const CareLink = require('../models/CareLink');
+const User = require('../models/User');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const PERMISSIONS = ['view', 'manage'];
+
+// @desc    Invite another user to be your caregiver
+// @route   POST /api/caregivers/invite
+// @access  Private
+router.post('/invite', protect, async (req, res) => {
+    const { username, permission = 'view' } = req.body || {};
+
+    if (!username || typeof username !== 'string') {
+        return res.status(400).json({ message: 'Please provide the caregiver\'s username.' });
+    }
+    if (!PERMISSIONS.includes(permission)) {
+        return res.status(400).json({ message: 'Permission must be "view" or "manage".' });
+    }
+
+    try {
+        const caregiver = await User.findOne({ username: username.toLowerCase() });
+        if (!caregiver) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (caregiver._id.equals(req.user._id)) {
+            return res.status(400).json({ message: 'You cannot invite yourself as a caregiver.' });
+        }
+
+        const existing = await CareLink.findOne({ patient: req.user._id, caregiver: caregiver._id });
+        if (existing && existing.status !== 'revoked') {
+            return res.status(400).json({ message: `This user is already ${existing.status === 'active' ? 'your caregiver' : 'invited'}.` });
+        }
+
+        // A previously revoked link is reused, so there is only ever one link per pair.
+        const link = existing || new CareLink({ patient: req.user._id, caregiver: caregiver._id });
+        link.permission = permission;
+        link.status = 'pending';
+        link.acceptedAt = null;
+        link.revokedAt = null;
+        link.revokedBy = null;
+        await link.save();
+
+        res.status(201).json(link);
+    } catch (error) {
+        console.error("Invite caregiver error:", error);
+        res.status(500).json({ message: 'Server error inviting caregiver.', error: error.message });
+    }
+});
+
+// @desc    List your caregivers and the patients you care for
+// @route   GET /api/caregivers
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const [caregivers, patients] = await Promise.all([
+            CareLink.find({ patient: req.user._id, status: { $ne: 'revoked' } }).populate('caregiver', 'username'),
+            CareLink.find({ caregiver: req.user._id, status: { $ne: 'revoked' } }).populate('patient', 'username'),
+        ]);
+        res.json({ caregivers, patients });
+    } catch (error) {
+        console.error("Get care links error:", error);
+        res.status(500).json({ message: 'Server error fetching caregivers.', error: error.message });
+    }
+});
+
+// @desc    Accept a caregiver invitation (caregiver side)
+// @route   POST /api/caregivers/:linkId/accept
+// @access  Private
+router.post('/:linkId/accept', protect, async (req, res) => {
+    try {
+        const link = await CareLink.findOne({ _id: req.params.linkId, caregiver: req.user._id });
+
+        if (!link) {
+            return res.status(404).json({ message: 'Invitation not found.' });
+        }
+        if (link.status !== 'pending') {
+            return res.status(400).json({ message: `This invitation is already ${link.status}.` });
+        }
+
+        link.status = 'active';
+        link.acceptedAt = new Date();
+        await link.save();
+        res.json(link);
+    } catch (error) {
+        console.error("Accept care link error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Invitation not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error accepting invitation.', error: error.message });
+    }
+});
+
+// @desc    Change a caregiver's permission (patient side)
+// @route   PUT /api/caregivers/:linkId
+// @access  Private
+router.put('/:linkId', protect, async (req, res) => {
+    const { permission } = req.body || {};
+
+    if (!PERMISSIONS.includes(permission)) {
+        return res.status(400).json({ message: 'Permission must be "view" or "manage".' });
+    }
+
+    try {
+        const link = await CareLink.findOne({ _id: req.params.linkId, patient: req.user._id, status: { $ne: 'revoked' } });
+
+        if (!link) {
+            return res.status(404).json({ message: 'Caregiver link not found.' });
+        }
+
+        link.permission = permission;
+        await link.save();
+        res.json(link);
+    } catch (error) {
+        console.error("Update care link error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Caregiver link not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error updating caregiver link.', error: error.message });
+    }
+});
+
+// @desc    Revoke a caregiver link or decline an invitation (either side)
+// @route   POST /api/caregivers/:linkId/revoke
+// @access  Private
+router.post('/:linkId/revoke', protect, async (req, res) => {
+    try {
+        const link = await CareLink.findOne({
+            _id: req.params.linkId,
+            $or: [{ patient: req.user._id }, { caregiver: req.user._id }],
+        });
+
+        if (!link) {
+            return res.status(404).json({ message: 'Caregiver link not found.' });
+        }
+        if (link.status === 'revoked') {
+            return res.status(400).json({ message: 'This caregiver link is already revoked.' });
+        }
+
+        link.status = 'revoked';
+        link.revokedAt = new Date();
+        link.revokedBy = req.user._id;
+        await link.save();
+        res.json({ message: 'Caregiver link revoked successfully.' });
+    } catch (error) {
+        console.error("Revoke care link error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Caregiver link not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error revoking caregiver link.', error: error.message });
+    }
+});
+
+module.exports = router;
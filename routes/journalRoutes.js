@@ -0,0 +1,202 @@
+const express = require('express');
+const JournalEntry = require('../models/JournalEntry');
+const { protect } = require('../middleware/authMiddleware');
+const { resolvePatient } = require('../services/careService');
+const { ENTRY_TYPES, applyJournalFields, buildJournalSummary } = require('../services/journalService');
+const { parseDateRange } = require('../utils/timezone');
+
+const router = express.Router();
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 30;
+
+// Loads a journal entry and checks the logged-in user may act on it, either as its owner or as a caregiver
+// with the required permission. `owner` is missing when not authorized.
+const findEntryForUser = async (user, entryId, required) => {
+    const entry = await JournalEntry.findById(entryId);
+    if (!entry) return {};
+    const { patient } = await resolvePatient(user, entry.user, required);
+    return { entry, owner: patient };
+};
+
+// @desc    Record a symptom, side effect or vital sign, optionally linked to a medication or dose
+// @route   POST /api/journal
+// @access  Private
+router.post('/', protect, async (req, res) => {
+    const body = req.body || {};
+
+    try {
+        // Caregivers with "manage" permission can add entries for a patient by passing patientId.
+        const { patient, status, message } = await resolvePatient(req.user, body.patientId, 'manage');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const entry = new JournalEntry({ user: patient._id, recordedBy: req.user._id });
+        const validationError = await applyJournalFields(entry, body, patient);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const createdEntry = await entry.save();
+        res.status(201).json(createdEntry);
+    } catch (error) {
+        console.error("Create journal entry error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error creating journal entry.', error: error.message });
+    }
+});
+
+// @desc    List journal entries, newest first
+// @route   GET /api/journal?from=YYYY-MM-DD&to=YYYY-MM-DD&type=&medicationId=&patientId=
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    const { type, medicationId } = req.query;
+    if (type !== undefined && !ENTRY_TYPES.includes(type)) {
+        return res.status(400).json({ message: `Type must be one of: ${ENTRY_TYPES.join(', ')}.` });
+    }
+
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const range = parseDateRange(req.query, patient.timezone);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const filter = { user: patient._id, date: { $gte: range.from, $lte: range.to } };
+        if (type) filter.type = type;
+        if (medicationId) filter.medication = medicationId;
+        const entries = await JournalEntry.find(filter)
+            .populate('medication', 'name')
+            .sort({ recordedAt: -1 });
+        res.json(entries);
+    } catch (error) {
+        console.error("Get journal entries error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient or medication not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error fetching journal entries.', error: error.message });
+    }
+});
+
+// @desc    Summarise the journal against medication starts, dose changes and stops, for a doctor's visit
+// @route   GET /api/journal/summary?from=YYYY-MM-DD&to=YYYY-MM-DD&windowDays=7&patientId=
+// @access  Private
+router.get('/summary', protect, async (req, res) => {
+    const windowDays = req.query.windowDays === undefined ? DEFAULT_WINDOW_DAYS : Number(req.query.windowDays);
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_WINDOW_DAYS) {
+        return res.status(400).json({ message: `windowDays must be a whole number from 1 to ${MAX_WINDOW_DAYS}.` });
+    }
+
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const range = parseDateRange(req.query, patient.timezone);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const summary = await buildJournalSummary(patient, range, windowDays);
+        res.json(summary);
+    } catch (error) {
+        console.error("Get journal summary error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error building journal summary.', error: error.message });
+    }
+});
+
+// @desc    Get a single journal entry
+// @route   GET /api/journal/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const { entry, owner } = await findEntryForUser(req.user, req.params.id, 'view');
+        if (!entry) {
+            return res.status(404).json({ message: 'Journal entry not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to view this journal entry.' });
+        }
+        await entry.populate('medication', 'name');
+        res.json(entry);
+    } catch (error) {
+        console.error("Get journal entry error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Journal entry not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error fetching journal entry.', error: error.message });
+    }
+});
+
+// @desc    Update a journal entry. Pass medicationId or doseEventId as null to unlink it.
+// @route   PUT /api/journal/:id
+// @access  Private
+router.put('/:id', protect, async (req, res) => {
+    try {
+        const { entry, owner } = await findEntryForUser(req.user, req.params.id, 'manage');
+        if (!entry) {
+            return res.status(404).json({ message: 'Journal entry not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to update this journal entry.' });
+        }
+
+        const validationError = await applyJournalFields(entry, req.body || {}, owner);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+        entry.recordedBy = req.user._id;
+
+        const updatedEntry = await entry.save();
+        res.json(updatedEntry);
+    } catch (error) {
+        console.error("Update journal entry error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Journal entry not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error updating journal entry.', error: error.message });
+    }
+});
+
+// @desc    Delete a journal entry
+// @route   DELETE /api/journal/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const { entry, owner } = await findEntryForUser(req.user, req.params.id, 'manage');
+        if (!entry) {
+            return res.status(404).json({ message: 'Journal entry not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to delete this journal entry.' });
+        }
+
+        await JournalEntry.deleteOne({ _id: entry._id });
+        res.json({ message: 'Journal entry removed successfully.' });
+    } catch (error) {
+        console.error("Delete journal entry error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Journal entry not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error deleting journal entry.', error: error.message });
+    }
+});
+
+module.exports = router;
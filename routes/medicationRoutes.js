@@ -1,35 +1,105 @@
 const express = require('express');
 const Medication = require('../models/Medication');
-const { protect } = require('../middleware/authMiddleware');
+const DoseEvent = require('../models/DoseEvent');
+const { protect, protectStream } = require('../middleware/authMiddleware');
+const { getAdherenceReport, getDoseHistory } = require('../services/adherenceService');
+const { resolvePatient, getVisiblePatientIds } = require('../services/careService');
+const { getSupplyForecast } = require('../services/inventoryService');
+const { checkMedication, getInteractionReport } = require('../services/interactionService');
+const { createFeedToken, revokeFeedToken, findUserByFeedToken, buildCalendar } = require('../services/calendarService');
+const { buildMedicationsCsv, buildDoseHistoryCsv, buildReportPdf } = require('../services/exportService');
+const { RESOURCE_TYPES, buildBundle, importBundle } = require('../services/fhirService');
+const { getPrnStatuses, checkPrnDose } = require('../services/prnService');
+const { snapshotMedication, recordCreated, recordUpdate, recordStatusChange, getHistory } = require('../services/medicationHistoryService');
+const {
+    DOSE_STATUSES,
+    validateNewMedication,
+    buildMedication,
+    applyMedicationUpdate,
+    validateArchiveReason,
+    archiveMedication,
+    deleteMedication,
+    recordScheduledDose,
+    recordPrnDose,
+} = require('../services/medicationService');
+const { publishChange, subscribe, getChangesSince } = require('../services/changeFeedService');
+const { validateOperations, applySyncBatch } = require('../services/syncService');
+const { snoozeDose } = require('../services/notificationService');
 // const { sendPushNotification } = require('../services/notificationService'); // If you want to trigger from here
+const { getLocalDateTime, isValidDateString, parseDateRange } = require('../utils/timezone');
+const { isDueOn } = require('../utils/recurrence');
 
 const router = express.Router();
 
+const MAX_SNOOZE_MINUTES = 240;
+const MAX_HISTORY_ENTRIES = 200;
+const STREAM_HEARTBEAT_SECONDS = 25; // Keeps proxies from closing idle streams
+const STREAM_RETRY_MS = 5000; // How long EventSource waits before reconnecting
+
+// ?status= on GET /api/medications. Medications saved before archiving existed have no status and count as active.
+const STATUS_FILTERS = {
+    active: { status: { $ne: 'archived' } },
+    archived: { status: 'archived' },
+    all: {},
+};
+
+// Loads a medication and checks the logged-in user may act on it, either as its owner or as a caregiver
+// with the required permission. `owner` (whose timezone decides what "today" is) is missing when not authorized.
+const findMedicationForUser = async (user, medicationId, required) => {
+    const medication = await Medication.findById(medicationId);
+    if (!medication) return {};
+    const { patient } = await resolvePatient(user, medication.user, required);
+    return { medication, owner: patient };
+};
+
+// Adds where as-needed medications stand (nextAllowedAt, lastTakenAt, dosesInLast24h) to GET responses.
+const withPrnStatus = async (medications) => {
+    const statuses = await getPrnStatuses(medications, new Date());
+    return medications.map((medication) => {
+        const status = statuses.get(medication._id.toString());
+        return status ? { ...medication.toObject(), ...status } : medication;
+    });
+};
+
+// Adds each scheduled dose's outcome on a day (the patient's today by default) to its schedule entry:
+// `status`, and `taken` as stored on schedules before outcomes moved to DoseEvent, which older clients still read.
+const withDoseStatus = async (medications, timeZone, date = getLocalDateTime(new Date(), timeZone).date) => {
+    const events = await DoseEvent.find({ medication: { $in: medications.map(m => m._id) }, date, scheduleId: { $ne: null } });
+    const statusByDose = new Map(events.map(e => [`${e.medication}|${e.scheduleId}`, e.status]));
+    const withPrn = await withPrnStatus(medications);
+    return withPrn.map((medication) => {
+        const result = medication.toObject ? medication.toObject() : medication;
+        result.schedules = result.schedules.map((schedule) => {
+            const status = statusByDose.get(`${result._id}|${schedule._id}`) || 'pending';
+            return { ...schedule, status, taken: status === 'taken' };
+        });
+        return result;
+    });
+};
+
 // @desc    Create a new medication
 // @route   POST /api/medications
 // @access  Private
 router.post('/', protect, async (req, res) => {
-    const { name, amount, precautions, schedules } = req.body;
-
-    if (!name || !amount || !schedules || !Array.isArray(schedules)) {
-        return res.status(400).json({ message: 'Name, amount, and schedules are required.' });
-    }
-    // Basic validation for schedule times
-    if (schedules.some(s => !s.time || !/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(s.time))) {
-        return res.status(400).json({ message: 'All schedule entries must have a valid time in HH:MM format.' });
+    const validationError = validateNewMedication(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
     }
 
     try {
-        const medication = new Medication({
-            user: req.user._id,
-            name,
-            amount,
-            precautions,
-            schedules, // Expecting schedules to have { time: "HH:MM", localNotificationId: "client_generated_id" }
-        });
+        // Caregivers with "manage" permission can add medications for a patient by passing patientId.
+        const { patient, status, message } = await resolvePatient(req.user, req.body.patientId, 'manage');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
 
+        const medication = buildMedication(req.body, patient);
         const createdMedication = await medication.save();
-        res.status(201).json(createdMedication);
+        await recordCreated(createdMedication, req.user._id);
+        await publishChange(patient._id, 'medication.created', createdMedication._id, createdMedication);
+        // Warnings never block saving; they are returned alongside the medication's fields.
+        const warnings = await checkMedication(createdMedication, patient);
+        res.status(201).json({ ...createdMedication.toObject(), warnings });
 
         // Example: If you wanted to send an immediate push notification from backend
         // if (req.user.expoPushToken) {
@@ -46,32 +116,417 @@ router.post('/', protect, async (req, res) => {
         if (error.name === 'ValidationError') {
             return res.status(400).json({ message: "Validation Error", errors: error.errors });
         }
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
         res.status(500).json({ message: 'Server error creating medication.', error: error.message });
     }
 });
 
-// @desc    Get all medications for the logged-in user
-// @route   GET /api/medications
+// @desc    Get all medications for the logged-in user (or a patient they care for, via ?patientId=)
+// @route   GET /api/medications?status=active|archived|all (default active)
 // @access  Private
 router.get('/', protect, async (req, res) => {
+    const statusFilter = STATUS_FILTERS[req.query.status || 'active'];
+    if (!statusFilter) {
+        return res.status(400).json({ message: `Status must be one of: ${Object.keys(STATUS_FILTERS).join(', ')}.` });
+    }
+
     try {
-        const medications = await Medication.find({ user: req.user._id }).sort({ createdAt: -1 });
-        res.json(medications);
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const medications = await Medication.find({ user: patient._id, ...statusFilter }).sort({ createdAt: -1 });
+        res.json(await withDoseStatus(medications, patient.timezone));
     } catch (error) {
         console.error("Get medications error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
         res.status(500).json({ message: 'Server error fetching medications.', error: error.message });
     }
 });
 
+// @desc    Get the user's dose events for a day (defaults to today in the patient's timezone)
+// @route   GET /api/medications/doses?date=YYYY-MM-DD&patientId=
+// @access  Private
+router.get('/doses', protect, async (req, res) => {
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const date = req.query.date || getLocalDateTime(new Date(), patient.timezone).date;
+        if (!isValidDateString(date)) {
+            return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format.' });
+        }
+
+        const doseEvents = await DoseEvent.find({ user: patient._id, date }).sort({ scheduledTime: 1 });
+        res.json(doseEvents);
+    } catch (error) {
+        console.error("Get dose events error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error fetching dose events.', error: error.message });
+    }
+});
+
+// @desc    Get adherence statistics across all of the user's medications
+// @route   GET /api/medications/adherence?from=YYYY-MM-DD&to=YYYY-MM-DD&patientId=
+// @access  Private
+router.get('/adherence', protect, async (req, res) => {
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const range = parseDateRange(req.query, patient.timezone);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const report = await getAdherenceReport(patient, range);
+        res.json(report);
+    } catch (error) {
+        console.error("Get adherence error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error calculating adherence.', error: error.message });
+    }
+});
+
+// @desc    Create (or replace) the user's calendar feed token. The old feed URL stops working.
+// @route   POST /api/medications/calendar/token
+// @access  Private
+router.post('/calendar/token', protect, async (req, res) => {
+    try {
+        const token = await createFeedToken(req.user._id);
+        res.status(201).json({
+            message: 'Calendar feed created. Subscribe to the URL in your calendar app.',
+            token,
+            url: `${req.protocol}://${req.get('host')}/api/medications/calendar.ics?token=${token}`
+        });
+    } catch (error) {
+        console.error("Create calendar token error:", error);
+        res.status(500).json({ message: 'Server error creating calendar feed.', error: error.message });
+    }
+});
+
+// @desc    Revoke the user's calendar feed token
+// @route   DELETE /api/medications/calendar/token
+// @access  Private
+router.delete('/calendar/token', protect, async (req, res) => {
+    try {
+        await revokeFeedToken(req.user._id);
+        res.json({ message: 'Calendar feed revoked.' });
+    } catch (error) {
+        console.error("Revoke calendar token error:", error);
+        res.status(500).json({ message: 'Server error revoking calendar feed.', error: error.message });
+    }
+});
+
+// @desc    iCalendar feed of the user's medication schedule, with an alarm for every dose
+// @route   GET /api/medications/calendar.ics?token=
+// @access  Public (authenticated by the calendar feed token, since calendar apps cannot send headers)
+router.get('/calendar.ics', async (req, res) => {
+    try {
+        const user = await findUserByFeedToken(req.query.token);
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid or revoked calendar feed token.' });
+        }
+
+        const medications = await Medication.find({ user: user._id, ...STATUS_FILTERS.active }).sort({ createdAt: 1 });
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="medications.ics"');
+        res.send(buildCalendar(user, medications));
+    } catch (error) {
+        console.error("Get calendar feed error:", error);
+        res.status(500).json({ message: 'Server error building calendar feed.', error: error.message });
+    }
+});
+
+// @desc    Export the medication list as CSV
+// @route   GET /api/medications/export/medications.csv?patientId=
+// @access  Private
+router.get('/export/medications.csv', protect, async (req, res) => {
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const medications = await Medication.find({ user: patient._id }).sort({ name: 1 });
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment('medications.csv');
+        res.send(buildMedicationsCsv(medications, patient));
+    } catch (error) {
+        console.error("Export medications error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error exporting medications.', error: error.message });
+    }
+});
+
+// @desc    Export the dose history as CSV
+// @route   GET /api/medications/export/doses.csv?from=YYYY-MM-DD&to=YYYY-MM-DD&patientId=
+// @access  Private
+router.get('/export/doses.csv', protect, async (req, res) => {
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const range = parseDateRange(req.query, patient.timezone);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const history = await getDoseHistory(patient, range);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(`doses-${range.from}-to-${range.to}.csv`);
+        res.send(buildDoseHistoryCsv(history, patient));
+    } catch (error) {
+        console.error("Export dose history error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error exporting dose history.', error: error.message });
+    }
+});
+
+// @desc    Printable PDF with the medication list and dose history, e.g. for a doctor's visit
+// @route   GET /api/medications/export/report.pdf?from=YYYY-MM-DD&to=YYYY-MM-DD&patientId=
+// @access  Private
+router.get('/export/report.pdf', protect, async (req, res) => {
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const range = parseDateRange(req.query, patient.timezone);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const [medications, history] = await Promise.all([
+            Medication.find({ user: patient._id, ...STATUS_FILTERS.active }).sort({ name: 1 }),
+            getDoseHistory(patient, range),
+        ]);
+        const pdf = await buildReportPdf(patient, medications, history, range);
+        res.set('Content-Type', 'application/pdf');
+        res.attachment(`medication-report-${range.from}-to-${range.to}.pdf`);
+        res.send(pdf);
+    } catch (error) {
+        console.error("Export report error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error exporting report.', error: error.message });
+    }
+});
+
+// @desc    Export medications as a FHIR R4 Bundle of MedicationStatement (default) or MedicationRequest resources
+// @route   GET /api/medications/fhir?resourceType=MedicationStatement|MedicationRequest&patientId=
+// @access  Private
+router.get('/fhir', protect, async (req, res) => {
+    const resourceType = req.query.resourceType || 'MedicationStatement';
+    if (!RESOURCE_TYPES.includes(resourceType)) {
+        return res.status(400).json({ message: `resourceType must be one of: ${RESOURCE_TYPES.join(', ')}.` });
+    }
+
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const medications = await Medication.find({ user: patient._id }).sort({ createdAt: 1 });
+        res.type('application/fhir+json').json(buildBundle(patient, medications, resourceType));
+    } catch (error) {
+        console.error("FHIR export error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error exporting FHIR resources.', error: error.message });
+    }
+});
+
+// @desc    Import medications from a FHIR R4 Bundle of MedicationStatement/MedicationRequest resources
+// @route   POST /api/medications/fhir/import?patientId=
+// @access  Private
+router.post('/fhir/import', protect, async (req, res) => {
+    const bundle = req.body;
+    if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+        return res.status(400).json({ message: 'Request body must be a FHIR Bundle with an entry list.' });
+    }
+
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'manage');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        const { created, errors } = await importBundle(patient, bundle);
+        await Promise.all(created.map(async (medication) => {
+            await recordCreated(medication, req.user._id);
+            await publishChange(patient._id, 'medication.created', medication._id, medication);
+        }));
+        // Entries are imported independently; errors lists the ones that could not be mapped, by index.
+        res.status(created.length > 0 ? 201 : 400).json({
+            message: `Imported ${created.length} of ${created.length + errors.length} entries.`,
+            created,
+            errors
+        });
+    } catch (error) {
+        console.error("FHIR import error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error importing FHIR Bundle.', error: error.message });
+    }
+});
+
+// @desc    Apply changes made offline (create, update, archive, delete, dose) in one batch and return the merged state
+// @route   POST /api/medications/sync
+// @access  Private
+router.post('/sync', protect, async (req, res) => {
+    // Expecting { patientId?, operations: [{ key, type, medicationId | clientId, baseUpdatedAt, clientTimestamp, ... }] }
+    const { operations, patientId } = req.body || {};
+    const operationsError = validateOperations(operations);
+    if (operationsError) {
+        return res.status(400).json({ message: operationsError });
+    }
+
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, patientId, 'manage');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        // Each operation's outcome is in `results`; the request itself succeeds even when some were not applied.
+        const results = await applySyncBatch(req.user, patient, operations);
+
+        const today = getLocalDateTime(new Date(), patient.timezone).date;
+        const dates = [...new Set([today, ...results.filter(r => r.doseEvent).map(r => r.doseEvent.date)])];
+        const [medications, doseEvents] = await Promise.all([
+            Medication.find({ user: patient._id }).sort({ createdAt: -1 }),
+            DoseEvent.find({ user: patient._id, date: { $in: dates } }).sort({ date: 1, scheduledTime: 1 }),
+        ]);
+        res.json({ results, medications: await withPrnStatus(medications), doseEvents, serverTime: new Date() });
+    } catch (error) {
+        console.error("Sync error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error syncing changes.', error: error.message });
+    }
+});
+
+// @desc    Check the user's current medications for duplicate ingredients and known interactions
+// @route   GET /api/medications/interactions?patientId=&name=
+// @access  Private
+router.get('/interactions', protect, async (req, res) => {
+    try {
+        const { patient, status, message } = await resolvePatient(req.user, req.query.patientId, 'view');
+        if (!patient) {
+            return res.status(status).json({ message });
+        }
+
+        // ?name= checks a medication before it is added.
+        const report = await getInteractionReport(patient, { candidateName: req.query.name });
+        res.json(report);
+    } catch (error) {
+        console.error("Get interactions error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Patient not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error checking interactions.', error: error.message });
+    }
+});
+
+// @desc    Stream changes to the user's medications and doses, and those of patients they care for, as Server-Sent Events
+// @route   GET /api/medications/events?access_token=&lastEventId=
+// @access  Private (the access token may be passed as ?access_token=, since EventSource cannot send headers)
+router.get('/events', protectStream, async (req, res) => {
+    let heartbeat;
+    let expiry;
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        unsubscribe();
+    };
+    req.on('close', close);
+
+    try {
+        const patientIds = await getVisiblePatientIds(req.user);
+        // Browsers send the id of the last event they received as Last-Event-ID when they reconnect.
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+        const write = message => res.write(`id: ${message.id}\nevent: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+        // Live events wait while missed ones are replayed, so the client receives them in order.
+        const waiting = [];
+        let replaying = Boolean(lastEventId);
+        unsubscribe = subscribe(patientIds, message => (replaying ? waiting.push(message) : write(message)));
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no', // Stops nginx buffering the stream
+        });
+        res.flushHeaders();
+        res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+        if (lastEventId) {
+            const { reset, events } = await getChangesSince(patientIds, lastEventId);
+            if (reset) {
+                // Too old or too much to replay: the client should reload with GET /api/medications.
+                res.write('event: reset\ndata: {}\n\n');
+            }
+            const replayed = new Set(events.map(event => event.id));
+            events.forEach(write);
+            waiting.filter(message => !replayed.has(message.id)).forEach(write);
+            replaying = false;
+        }
+
+        heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_SECONDS * 1000);
+        // The stream ends when the access token does; the client reconnects with a fresh one and Last-Event-ID.
+        const msUntilExpiry = Math.max(req.accessTokenExpiresAt.getTime() - Date.now(), 0);
+        expiry = setTimeout(() => {
+            res.write('event: token-expired\ndata: {}\n\n');
+            res.end();
+            close();
+        }, Math.min(msUntilExpiry, 2 ** 31 - 1));
+    } catch (error) {
+        console.error("Change stream error:", error);
+        close();
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ message: 'Server error opening change stream.', error: error.message });
+    }
+});
+
 // @desc    Get a single medication by ID
 // @route   GET /api/medications/:id
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
     try {
-        const medication = await Medication.findById(req.params.id);
+        const { medication, owner } = await findMedicationForUser(req.user, req.params.id, 'view');
 
-        if (medication && medication.user.toString() === req.user._id.toString()) {
-            res.json(medication);
+        if (medication && owner) {
+            const [withStatus] = await withDoseStatus([medication], owner.timezone);
+            res.json(withStatus);
         } else if (!medication) {
             res.status(404).json({ message: 'Medication not found.' });
         } else {
@@ -86,30 +541,57 @@ router.get('/:id', protect, async (req, res) => {
     }
 });
 
+// @desc    Get adherence statistics for a single medication
+// @route   GET /api/medications/:id/adherence?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private
+router.get('/:id/adherence', protect, async (req, res) => {
+    try {
+        const { medication, owner } = await findMedicationForUser(req.user, req.params.id, 'view');
+        if (!medication) {
+            return res.status(404).json({ message: 'Medication not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to view this medication.' });
+        }
+
+        const range = parseDateRange(req.query, owner.timezone);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const report = await getAdherenceReport(owner, { ...range, medicationId: medication._id });
+        res.json(report);
+    } catch (error) {
+        console.error("Get medication adherence error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Medication not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error calculating adherence.', error: error.message });
+    }
+});
+
 // @desc    Update a medication
 // @route   PUT /api/medications/:id
 // @access  Private
 router.put('/:id', protect, async (req, res) => {
-    const { name, amount, precautions, schedules } = req.body;
-
     try {
-        const medication = await Medication.findById(req.params.id);
+        const { medication, owner } = await findMedicationForUser(req.user, req.params.id, 'manage');
 
-        if (medication && medication.user.toString() === req.user._id.toString()) {
-            medication.name = name || medication.name;
-            medication.amount = amount || medication.amount;
-            medication.precautions = precautions !== undefined ? precautions : medication.precautions;
-            if (schedules && Array.isArray(schedules)) {
-                 // Basic validation for schedule times
-                if (schedules.some(s => !s.time || !/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(s.time))) {
-                    return res.status(400).json({ message: 'All schedule entries must have a valid time in HH:MM format.' });
-                }
-                medication.schedules = schedules;
+        if (medication && owner) {
+            if (medication.status === 'archived') {
+                return res.status(409).json({ message: 'Archived medications cannot be edited; restore it first.' });
+            }
+            const before = snapshotMedication(medication);
+            const updateError = applyMedicationUpdate(medication, req.body, owner);
+            if (updateError) {
+                return res.status(400).json({ message: updateError });
             }
-
 
             const updatedMedication = await medication.save();
-            res.json(updatedMedication);
+            await recordUpdate(before, updatedMedication, req.user._id);
+            await publishChange(updatedMedication.user, 'medication.updated', updatedMedication._id, updatedMedication);
+            const warnings = await checkMedication(updatedMedication, owner);
+            res.json({ ...updatedMedication.toObject(), warnings });
         } else if (!medication) {
             res.status(404).json({ message: 'Medication not found.' });
         } else {
@@ -127,15 +609,17 @@ router.put('/:id', protect, async (req, res) => {
     }
 });
 
-// @desc    Delete a medication
+// @desc    Delete a medication with its dose events, reminders and history. To discontinue a medication
+//          but keep its history, archive it instead (POST /api/medications/:id/archive).
 // @route   DELETE /api/medications/:id
 // @access  Private
 router.delete('/:id', protect, async (req, res) => {
     try {
-        const medication = await Medication.findById(req.params.id);
+        const { medication, owner } = await findMedicationForUser(req.user, req.params.id, 'manage');
 
-        if (medication && medication.user.toString() === req.user._id.toString()) {
-            await Medication.deleteOne({ _id: req.params.id });
+        if (medication && owner) {
+            await deleteMedication(medication);
+            await publishChange(medication.user, 'medication.deleted', medication._id, null);
             res.json({ message: 'Medication removed successfully.' });
         } else if (!medication) {
             res.status(404).json({ message: 'Medication not found.' });
@@ -151,36 +635,263 @@ router.delete('/:id', protect, async (req, res) => {
     }
 });
 
+// @desc    Archive (discontinue) a medication, with an optional reason
+// @route   POST /api/medications/:id/archive
+// @access  Private
+router.post('/:id/archive', protect, async (req, res) => {
+    const reason = req.body && req.body.reason; // Optional { reason: "Switched to ..." }
+    const reasonError = validateArchiveReason(reason);
+    if (reasonError) {
+        return res.status(400).json({ message: reasonError });
+    }
+
+    try {
+        const { medication, owner } = await findMedicationForUser(req.user, req.params.id, 'manage');
+
+        if (!medication) {
+            return res.status(404).json({ message: 'Medication not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to update this medication.' });
+        }
+        if (medication.status === 'archived') {
+            return res.status(409).json({ message: 'This medication is already archived.' });
+        }
+
+        const archivedMedication = await archiveMedication(medication, owner, req.user._id, reason);
+        await publishChange(owner._id, 'medication.archived', archivedMedication._id, archivedMedication);
+        res.json(archivedMedication);
+    } catch (error) {
+        console.error("Archive medication error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Medication not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error archiving medication.', error: error.message });
+    }
+});
+
+// @desc    Restore an archived medication; reminders resume from its next scheduled dose
+// @route   POST /api/medications/:id/restore
+// @access  Private
+router.post('/:id/restore', protect, async (req, res) => {
+    try {
+        const { medication, owner } = await findMedicationForUser(req.user, req.params.id, 'manage');
+
+        if (!medication) {
+            return res.status(404).json({ message: 'Medication not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to update this medication.' });
+        }
+        if (medication.status !== 'archived') {
+            return res.status(409).json({ message: 'This medication is not archived.' });
+        }
+
+        medication.status = 'active';
+        medication.archive = null;
+        const restoredMedication = await medication.save();
+        await recordStatusChange(restoredMedication, req.user._id);
+        await publishChange(restoredMedication.user, 'medication.restored', restoredMedication._id, restoredMedication);
+        const warnings = await checkMedication(restoredMedication, owner);
+        res.json({ ...restoredMedication.toObject(), warnings });
+    } catch (error) {
+        console.error("Restore medication error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Medication not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error restoring medication.', error: error.message });
+    }
+});
+
+// @desc    Get a medication's change history (who changed what, when), newest first
+// @route   GET /api/medications/:id/history?limit=50&before=ISO date-time
+// @access  Private
+router.get('/:id/history', protect, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_HISTORY_ENTRIES);
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && Number.isNaN(before.getTime())) {
+        return res.status(400).json({ message: 'before must be a valid date-time.' });
+    }
+
+    try {
+        const { medication, owner } = await findMedicationForUser(req.user, req.params.id, 'view');
+
+        if (!medication) {
+            return res.status(404).json({ message: 'Medication not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to view this medication.' });
+        }
+
+        res.json(await getHistory(medication._id, { limit, before }));
+    } catch (error) {
+        console.error("Get medication history error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Medication not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error fetching medication history.', error: error.message });
+    }
+});
+
+// @desc    Record a refill, adding units to the medication's stock
+// @route   POST /api/medications/:id/refill
+// @access  Private
+router.post('/:id/refill', protect, async (req, res) => {
+    const { quantity } = req.body || {}; // Expecting { quantity: 30 }
+
+    if (typeof quantity !== 'number' || quantity <= 0) {
+        return res.status(400).json({ message: 'Quantity must be a number greater than 0.' });
+    }
+
+    try {
+        const { medication, owner } = await findMedicationForUser(req.user, req.params.id, 'manage');
+
+        if (!medication) {
+            return res.status(404).json({ message: 'Medication not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to update this medication.' });
+        }
+
+        // Starts tracking stock if it was not tracked before.
+        medication.inventory.onHand = (medication.inventory.onHand || 0) + quantity;
+        medication.inventory.lastRefillAt = new Date();
+        medication.inventory.lowStockAlertedAt = null;
+        const updatedMedication = await medication.save();
+        await publishChange(updatedMedication.user, 'medication.updated', updatedMedication._id, updatedMedication);
+
+        const today = getLocalDateTime(new Date(), owner.timezone).date;
+        res.json({
+            medication: updatedMedication,
+            supply: getSupplyForecast(updatedMedication, today)
+        });
+
+    } catch (error) {
+        console.error("Record refill error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Medication not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error recording refill.', error: error.message });
+    }
+});
+
+// @desc    Log a dose of an as-needed (PRN) medication, checked against its interval and daily limits
+// @route   POST /api/medications/:id/doses
+// @access  Private
+router.post('/:id/doses', protect, async (req, res) => {
+    const body = req.body || {}; // Every field is optional: no body logs one usual dose now
+    const { quantity, note } = body; // Expecting { takenAt?: ISO date-time (defaults to now), quantity?, note? }
+    const takenAt = body.takenAt ? new Date(body.takenAt) : new Date();
+
+    if (Number.isNaN(takenAt.getTime()) || takenAt > new Date()) {
+        return res.status(400).json({ message: 'takenAt must be a valid date-time and not in the future.' });
+    }
+    if (quantity !== undefined && (typeof quantity !== 'number' || quantity <= 0)) {
+        return res.status(400).json({ message: 'Quantity must be a number greater than 0.' });
+    }
+    if (note !== undefined && typeof note !== 'string') {
+        return res.status(400).json({ message: 'Note must be a string.' });
+    }
+
+    try {
+        const { medication, owner } = await findMedicationForUser(req.user, req.params.id, 'manage');
+
+        if (!medication) {
+            return res.status(404).json({ message: 'Medication not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to update this medication.' });
+        }
+        if (medication.status === 'archived') {
+            return res.status(409).json({ message: 'This medication is archived; restore it to log doses.' });
+        }
+        if (medication.type !== 'prn') {
+            return res.status(400).json({ message: 'Only as-needed (PRN) medications can log ad-hoc doses; scheduled doses are recorded on their schedule entry.' });
+        }
+
+        const violations = await checkPrnDose(medication, takenAt);
+        if (violations.length > 0 && medication.prn.onLimit !== 'warn') {
+            const [status] = (await getPrnStatuses([medication], new Date())).values();
+            return res.status(409).json({ message: 'This dose would exceed the medication\'s limits.', violations, nextAllowedAt: status.nextAllowedAt });
+        }
+
+        const doseEvent = await recordPrnDose(medication, owner, { takenAt, quantity, note, recordedBy: req.user._id });
+        await publishChange(medication.user, 'dose.updated', medication._id, doseEvent);
+
+        const [status] = (await getPrnStatuses([medication], new Date())).values();
+        // Doses past a limit are only logged when the medication is set to warn; `violations` says which limit.
+        res.status(201).json({ doseEvent, violations, ...status });
+
+    } catch (error) {
+        console.error("Log PRN dose error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Medication not found (invalid ID format).' });
+        }
+        res.status(500).json({ message: 'Server error logging dose.', error: error.message });
+    }
+});
 
-// @desc    Update a specific schedule entry (e.g., mark as taken)
+// @desc    Record the outcome of a scheduled dose for a day (e.g., mark as taken). Responds with the medication,
+//          its schedules' outcomes for that day (status, taken) and the dose event.
 // @route   PATCH /api/medications/:medicationId/schedules/:scheduleId
 // @access  Private
 router.patch('/:medicationId/schedules/:scheduleId', protect, async (req, res) => {
     const { medicationId, scheduleId } = req.params;
-    const { taken } = req.body; // Expecting { taken: true/false }
+    const { taken, note } = req.body || {}; // Expecting { status: 'taken'|'skipped'|'pending' } or legacy { taken: true/false }
+    let { status } = req.body || {};
 
-    if (typeof taken !== 'boolean') {
-        return res.status(400).json({ message: 'Invalid "taken" status. Must be true or false.' });
+    if (status === undefined && typeof taken === 'boolean') {
+        status = taken ? 'taken' : 'pending';
+    }
+    if (!DOSE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status. Must be "taken", "skipped" or "pending".' });
+    }
+    if (note !== undefined && typeof note !== 'string') {
+        return res.status(400).json({ message: 'Note must be a string.' });
     }
 
     try {
-        const medication = await Medication.findOne({ _id: medicationId, user: req.user._id });
+        const { medication, owner } = await findMedicationForUser(req.user, medicationId, 'manage');
 
         if (!medication) {
-            return res.status(404).json({ message: 'Medication not found or not authorized.' });
+            return res.status(404).json({ message: 'Medication not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to update this medication.' });
+        }
+
+        const today = getLocalDateTime(new Date(), owner.timezone).date;
+        const date = req.body.date || today; // The patient's local day the dose belongs to
+        if (!isValidDateString(date) || date > today) {
+            return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format and not in the future.' });
         }
 
         const schedule = medication.schedules.id(scheduleId);
         if (!schedule) {
             return res.status(404).json({ message: 'Schedule entry not found.' });
         }
+        if (!isDueOn(medication, date)) {
+            return res.status(400).json({ message: 'This medication is not scheduled on that date.' });
+        }
 
-        schedule.taken = taken;
-        await medication.save();
-        res.json(medication); // Send back the updated medication document
+        const doseEvent = await recordScheduledDose(medication, schedule, { date, status, note, recordedBy: req.user._id });
+        await publishChange(medication.user, 'dose.updated', medication._id, doseEvent);
+        // Send back the medication, as before dose events, with the day's outcomes and the updated dose event
+        const reloaded = await Medication.findById(medication._id); // Stock may have changed
+        const [updatedMedication] = await withDoseStatus([reloaded || medication], owner.timezone, date);
+        res.json({ ...updatedMedication, doseEvent });
 
     } catch (error) {
         console.error("Update schedule error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation Error", errors: error.errors });
+        }
         if (error.kind === 'ObjectId') {
             return res.status(404).json({ message: 'Invalid ID format.' });
         }
@@ -189,4 +900,58 @@ router.patch('/:medicationId/schedules/:scheduleId', protect, async (req, res) =
 });
 
 
+// @desc    Snooze a scheduled dose's reminders for a number of minutes
+// @route   POST /api/medications/:medicationId/schedules/:scheduleId/snooze
+// @access  Private
+router.post('/:medicationId/schedules/:scheduleId/snooze', protect, async (req, res) => {
+    const { medicationId, scheduleId } = req.params;
+    const { minutes } = req.body || {}; // Expecting { minutes: 10, date?: "YYYY-MM-DD" }
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+        return res.status(400).json({ message: `Minutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}.` });
+    }
+
+    try {
+        const { medication, owner } = await findMedicationForUser(req.user, medicationId, 'manage');
+
+        if (!medication) {
+            return res.status(404).json({ message: 'Medication not found.' });
+        }
+        if (!owner) {
+            return res.status(401).json({ message: 'Not authorized to update this medication.' });
+        }
+
+        if (medication.status === 'archived') {
+            return res.status(409).json({ message: 'This medication is archived and has no more reminders.' });
+        }
+        const date = req.body.date || getLocalDateTime(new Date(), owner.timezone).date;
+        if (!isValidDateString(date)) {
+            return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format.' });
+        }
+
+        const schedule = medication.schedules.id(scheduleId);
+        if (!schedule) {
+            return res.status(404).json({ message: 'Schedule entry not found.' });
+        }
+        if (!isDueOn(medication, date)) {
+            return res.status(400).json({ message: 'This medication is not scheduled on that date.' });
+        }
+
+        const doseEvent = await snoozeDose(medication, schedule, date, minutes);
+        if (!doseEvent) {
+            return res.status(409).json({ message: 'This dose has already been answered and cannot be snoozed.' });
+        }
+        await publishChange(medication.user, 'dose.updated', medication._id, doseEvent);
+        res.json(doseEvent);
+
+    } catch (error) {
+        console.error("Snooze dose error:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Invalid ID format.' });
+        }
+        res.status(500).json({ message: 'Server error snoozing dose.', error: error.message });
+    }
+});
+
+
 module.exports = router;
\ No newline at end of file
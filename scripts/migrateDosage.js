@@ -0,0 +1,73 @@
+// backend/src/scripts/migrateDosage.js
+// One-off migration: reads the free-text `amount` of medications saved before structured dosage
+// ("2 pills", "500mg", "1 tab 250 mg"...) into `dosage`, and taper step amounts into step quantities.
+// Amounts that cannot be read are left as they are and listed at the end, to be fixed by hand.
+//
+// Usage: npm run migrate:dosage [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+const { parseAmount, formatDose } = require('../utils/dosage');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// A taper step's amount becomes a quantity only when it describes the same product as the medication,
+// e.g. "1 tablet" for "2 tablets of 20 mg" but not "5 mg" for a medication measured in tablets.
+const sameProduct = (parsed, dosage) => (!parsed.form || parsed.form === dosage.form)
+    && (!parsed.strength || (dosage.strength && parsed.strength.value === dosage.strength.value
+        && parsed.strength.unit === dosage.strength.unit));
+
+const migrateMedication = (medication) => {
+    const parsed = parseAmount(medication.amount);
+    if (!parsed) return false;
+
+    medication.dosage = {
+        ...medication.dosage.toObject(),
+        quantity: parsed.quantity,
+        form: parsed.form,
+        strength: parsed.strength || { value: null, unit: null },
+    };
+    medication.taper.forEach((step) => {
+        const parsedStep = parseAmount(step.amount);
+        if (!step.quantity && parsedStep && sameProduct(parsedStep, medication.dosage)) {
+            step.quantity = parsedStep.quantity;
+            step.amount = undefined;
+        }
+    });
+    return true;
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`[Migrate Dosage] Connected${dryRun ? ' (dry run, nothing will be saved)' : ''}.`);
+
+    const unparsed = [];
+    let migrated = 0;
+    const cursor = Medication.find({ 'dosage.quantity': null, amount: { $nin: [null, ''] } }).cursor();
+
+    for await (const medication of cursor) {
+        const amount = medication.amount;
+        if (!migrateMedication(medication)) {
+            unparsed.push(medication);
+            continue;
+        }
+        console.log(`[Migrate Dosage] ${medication._id} ${medication.name}: "${amount}" -> "${formatDose(medication.dosage)}"`);
+        if (!dryRun) {
+            await medication.save();
+        }
+        migrated += 1;
+    }
+
+    console.log(`[Migrate Dosage] ${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} medication(s).`);
+    if (unparsed.length > 0) {
+        console.log(`[Migrate Dosage] ${unparsed.length} amount(s) could not be read and were left as text:`);
+        unparsed.forEach(m => console.log(`  ${m._id} ${m.name}: "${m.amount}"`));
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error('[Migrate Dosage] Failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
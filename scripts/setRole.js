@@ -0,0 +1,33 @@
+// backend/src/scripts/setRole.js
+// Gives a user a role, e.g. to make the first admin (later admins can use PUT /api/admin/users/:userId/role).
+//
+// Usage: npm run set:role -- <username> <user|admin>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../models/User');
+
+const run = async () => {
+    const [username, role] = process.argv.slice(2);
+    if (!username || !ROLES.includes(role)) {
+        console.error(`[Set Role] Usage: npm run set:role -- <username> <${ROLES.join('|')}>`);
+        process.exitCode = 1;
+        return;
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    const user = await User.findOneAndUpdate({ username: username.toLowerCase() }, { $set: { role } }, { new: true });
+    if (!user) {
+        console.error(`[Set Role] User "${username}" not found.`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`[Set Role] "${user.username}" is now ${role}.`);
+};
+
+run()
+    .catch((error) => {
+        console.error('[Set Role] Failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
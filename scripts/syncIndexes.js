@@ -0,0 +1,27 @@
+// backend/src/scripts/syncIndexes.js
+// Brings the database's indexes in line with the schemas: creates missing ones and rebuilds or drops ones
+// whose definition changed (e.g. the DoseEvent unique index, which became partial for as-needed doses).
+//
+// Usage: npm run sync:indexes
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const modelsDir = path.join(__dirname, '..', 'models');
+fs.readdirSync(modelsDir).filter(file => file.endsWith('.js')).forEach(file => require(path.join(modelsDir, file)));
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    for (const model of Object.values(mongoose.models)) {
+        const dropped = await model.syncIndexes();
+        console.log(`[Sync Indexes] ${model.modelName}: ${dropped.length > 0 ? `dropped ${dropped.join(', ')}` : 'up to date'}.`);
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error('[Sync Indexes] Failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -6,13 +6,29 @@ const cors = require('cors');
 
 const authRoutes = require('./routes/authRoutes');
 const medicationRoutes = require('./routes/medicationRoutes');
-const { scheduleMedicationChecks } = require('./services/notificationService'); // <--- IMPORT IT
+const careRoutes = require('./routes/careRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const journalRoutes = require('./routes/journalRoutes');
+const { redactSecrets, redactUrl } = require('./utils/redact');
+const { scheduleMedicationChecks, scheduleMissedDoseSweep, scheduleRefillChecks, scheduleReceiptChecks, getSchedulerStatus } = require('./services/notificationService'); // <--- IMPORT IT
 
 const app = express();
 
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+const HEALTH_PING_TIMEOUT_MS = 2000;
+const SCHEDULER_STALE_MINUTES = 5; // The reminder worker runs every minute
+const startedAt = new Date();
+
+// Behind a reverse proxy, req.ip (used for rate limiting) must come from X-Forwarded-For.
+// TRUST_PROXY is a hop count (e.g. 1) or an Express trust proxy setting such as "loopback".
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ type: ['application/json', 'application/fhir+json'] })); // FHIR clients send application/fhir+json
 app.use(express.urlencoded({ extended: true }));
 
 // Database Connection
@@ -24,6 +40,9 @@ mongoose.connect(process.env.MONGODB_URI)
             console.log(`🚀 Server is running on port ${PORT}`);
             // Start the cron job for backend-triggered notifications:
             scheduleMedicationChecks(); // <--- CRON JOB IS NOW CALLED AND WILL RUN
+            scheduleMissedDoseSweep();
+            scheduleRefillChecks();
+            scheduleReceiptChecks();
             console.log('[Backend Server] Medication check scheduler initialized.');
         });
     })
@@ -35,14 +54,54 @@ mongoose.connect(process.env.MONGODB_URI)
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/medications', medicationRoutes);
+app.use('/api/caregivers', careRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/journal', journalRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
     res.send('👋 Swasthay Medication Reminder API is alive!');
 });
 
+// @desc    Health check for load balancers and monitoring: MongoDB connectivity and when the scheduler last ran.
+//          Responds 503 when the database cannot be reached or the reminder worker has stopped running.
+// @route   GET /health
+// @access  Public
+app.get('/health', async (req, res) => {
+    const database = { state: MONGO_STATES[mongoose.connection.readyState] || 'unknown', pingMs: null };
+    if (database.state === 'connected') {
+        const pingStartedAt = Date.now();
+        try {
+            await Promise.race([
+                mongoose.connection.db.admin().ping(),
+                new Promise((resolve, reject) => setTimeout(() => reject(new Error('Ping timed out.')), HEALTH_PING_TIMEOUT_MS).unref()),
+            ]);
+            database.pingMs = Date.now() - pingStartedAt;
+        } catch (error) {
+            database.state = 'unreachable';
+            database.error = error.message;
+        }
+    }
+
+    const { workerId, tasks } = getSchedulerStatus();
+    const runs = Object.values(tasks).filter(Boolean).map(run => run.startedAt);
+    const lastRunAt = runs.length > 0 ? new Date(Math.max(...runs)) : null;
+    // Before the first run, allow the worker the same time to start.
+    const lastReminderRun = tasks.reminders ? tasks.reminders.startedAt : startedAt;
+    const schedulerStale = Date.now() - lastReminderRun.getTime() > SCHEDULER_STALE_MINUTES * 60 * 1000;
+
+    const healthy = database.state === 'connected' && !schedulerStale;
+    res.status(healthy ? 200 : 503).json({
+        status: healthy ? 'ok' : 'degraded',
+        time: new Date(),
+        uptimeSeconds: Math.round(process.uptime()),
+        database,
+        scheduler: { workerId, lastRunAt, stale: schedulerStale, tasks },
+    });
+});
+
 // Global Error Handler (optional basic example)
 app.use((err, req, res, next) => {
-    console.error("Unhandled error in request:", err.stack); // Log the stack
+    console.error("Unhandled error in request:", req.method, redactUrl(req.originalUrl), redactSecrets(req.body), err.stack); // Log the stack
     res.status(500).json({ message: '🔥 Something broke on the server!', error: err.message }); // Send JSON response
 });
\ No newline at end of file
@@ -0,0 +1,116 @@
+// backend/src/services/accountService.js
+// Everything stored about a user, in one place, so deletion and export stay complete as new data is added.
+const User = require('../models/User');
+const Medication = require('../models/Medication');
+const MedicationHistory = require('../models/MedicationHistory');
+const DoseEvent = require('../models/DoseEvent');
+const CareLink = require('../models/CareLink');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const ReminderJob = require('../models/ReminderJob');
+const AuthEvent = require('../models/AuthEvent');
+const LoginLockout = require('../models/LoginLockout');
+const ChangeEvent = require('../models/ChangeEvent');
+const SyncOperation = require('../models/SyncOperation');
+const JournalEntry = require('../models/JournalEntry');
+const { revokeAllSessions } = require('./tokenService');
+
+// What admins see of a user (GET /api/admin/users): no secrets or push tokens.
+const ADMIN_USER_FIELDS = 'username email phoneNumber role timezone disabledAt disabledReason disabledBy devices.platform devices.lastSeenAt createdAt updatedAt';
+
+/**
+ * Permanently deletes a user and all of their data, including caregiver links on either side.
+ * @param {string|object} userId
+ */
+const deleteAccount = async (userId) => {
+    const user = await User.findById(userId).select('username');
+    if (user) {
+        await LoginLockout.deleteOne({ username: user.username });
+    }
+    await AuthEvent.deleteMany({ user: userId });
+    await ChangeEvent.deleteMany({ user: userId });
+    await SyncOperation.deleteMany({ user: userId });
+    await ReminderJob.deleteMany({ user: userId });
+    await JournalEntry.deleteMany({ user: userId });
+    await DoseEvent.deleteMany({ user: userId });
+    await MedicationHistory.deleteMany({ user: userId });
+    await Medication.deleteMany({ user: userId });
+    await CareLink.deleteMany({ $or: [{ patient: userId }, { caregiver: userId }] });
+    await PasswordReset.deleteMany({ user: userId });
+    await Session.deleteMany({ user: userId });
+    await User.deleteOne({ _id: userId });
+};
+
+/**
+ * Collects all of a user's data as plain JSON. Secrets (password and token hashes) are left out.
+ * @param {string|object} userId
+ * @returns {Promise<object|null>}
+ */
+const exportAccountData = async (userId) => {
+    const user = await User.findById(userId).select('-password');
+    if (!user) return null;
+
+    const [medications, medicationHistory, doseEvents, journalEntries, careLinks, sessions, authEvents] = await Promise.all([
+        Medication.find({ user: userId }).sort({ createdAt: 1 }),
+        MedicationHistory.find({ user: userId }).sort({ createdAt: 1 }),
+        DoseEvent.find({ user: userId }).sort({ date: 1, scheduledTime: 1 }),
+        JournalEntry.find({ user: userId }).sort({ recordedAt: 1 }),
+        CareLink.find({ $or: [{ patient: userId }, { caregiver: userId }] })
+            .populate('patient', 'username')
+            .populate('caregiver', 'username'),
+        Session.find({ user: userId }).select('-refreshTokenHash -previousTokenHashes'),
+        AuthEvent.find({ user: userId }).sort({ createdAt: 1 }),
+    ]);
+
+    return {
+        exportedAt: new Date(),
+        user,
+        medications,
+        medicationHistory,
+        doseEvents,
+        journalEntries,
+        careLinks,
+        sessions,
+        authEvents,
+    };
+};
+
+/**
+ * Disables an account: the user is signed out everywhere, cannot sign in again and is sent no notifications
+ * until an admin enables it. Their data is kept.
+ * @param {string|object} userId
+ * @param {string|object} disabledBy - The admin's id.
+ * @param {string|null} [reason]
+ * @returns {Promise<object|null>} The user (ADMIN_USER_FIELDS), or null if not found.
+ */
+const disableAccount = async (userId, disabledBy, reason = null) => {
+    const user = await User.findOneAndUpdate(
+        { _id: userId },
+        { $set: { disabledAt: new Date(), disabledReason: reason, disabledBy } },
+        { new: true, runValidators: true }
+    ).select(ADMIN_USER_FIELDS);
+    if (!user) return null;
+
+    await revokeAllSessions(userId, 'account_disabled');
+    await ReminderJob.deleteMany({ user: userId, status: 'pending' });
+    return user;
+};
+
+/**
+ * Enables a disabled account. Reminders resume from the next due dose; the user signs in again.
+ * @param {string|object} userId
+ * @returns {Promise<object|null>} The user (ADMIN_USER_FIELDS), or null if not found.
+ */
+const enableAccount = (userId) => User.findOneAndUpdate(
+    { _id: userId },
+    { $set: { disabledAt: null, disabledReason: null, disabledBy: null } },
+    { new: true }
+).select(ADMIN_USER_FIELDS);
+
+module.exports = {
+    ADMIN_USER_FIELDS,
+    deleteAccount,
+    exportAccountData,
+    disableAccount,
+    enableAccount,
+};
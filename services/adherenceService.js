@@ -0,0 +1,195 @@
+// backend/src/services/adherenceService.js
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const { getLocalDateTime, addDays, resolveTimezone } = require('../utils/timezone');
+const { isDueOn } = require('../utils/recurrence');
+
+const emptyCounts = () => ({ scheduled: 0, taken: 0, skipped: 0, missed: 0, pending: 0 });
+
+/**
+ * Adherence = taken / answered doses (taken + skipped + missed), as a percentage with one decimal.
+ * Pending doses (today's, not yet due or answered) are left out. Returns null when nothing is answered yet.
+ */
+const adherencePercent = ({ taken, skipped, missed }) => {
+    const answered = taken + skipped + missed;
+    return answered === 0 ? null : Math.round((taken / answered) * 1000) / 10;
+};
+
+const withPercent = (counts) => ({ ...counts, adherencePercent: adherencePercent(counts) });
+
+/**
+ * Computes the current and longest run of consecutive days on which every dose was taken.
+ * Days without doses, and days that still have pending doses, neither extend nor break a streak.
+ * @param {Array<object>} days - Per-day counts, sorted by date ascending.
+ */
+const computeStreaks = (days) => {
+    let current = 0;
+    let longest = 0;
+    for (const day of days) {
+        if (day.scheduled === 0 || day.pending > 0) continue;
+        if (day.taken === day.scheduled) {
+            current += 1;
+            longest = Math.max(longest, current);
+        } else {
+            current = 0;
+        }
+    }
+    return { currentStreak: current, longestStreak: longest };
+};
+
+// What was recorded for a dose, for histories; the counts only need the status.
+const eventDetails = event => ({ takenAt: event ? event.takenAt : null, note: event ? event.note : null });
+
+/**
+ * Lists the doses a medication was expected to have in [from, to], combined with the recorded DoseEvents.
+ * Only days on which the medication's recurrence rules make it due are included. A schedule entry counts
+ * from the day it was created (its ObjectId timestamp), so adding an evening dose later does not produce
+ * missed doses before it existed. Doses without an event are counted as missed on
+ * past days and pending today.
+ */
+const expandDoses = (medication, events, { from, to, today, timeZone }) => {
+    const doses = [];
+    const eventsByKey = new Map(events.map(e => [`${e.scheduleId}|${e.date}`, e]));
+    const lastDay = to < today ? to : today;
+    const medicationStart = getLocalDateTime(medication.createdAt, timeZone).date;
+
+    for (const schedule of medication.schedules) {
+        const scheduleStart = getLocalDateTime(schedule._id.getTimestamp(), timeZone).date;
+        const firstDay = [from, medicationStart, scheduleStart].sort().pop();
+
+        for (let date = firstDay; date <= lastDay; date = addDays(date, 1)) {
+            if (!isDueOn(medication, date)) continue;
+            const event = eventsByKey.get(`${schedule._id}|${date}`);
+            eventsByKey.delete(`${schedule._id}|${date}`);
+            let status = event ? event.status : 'pending';
+            if (status === 'pending' && date < today) status = 'missed';
+            doses.push({ scheduleId: schedule._id.toString(), time: schedule.time, date, status, ...eventDetails(event) });
+        }
+    }
+
+    // Events for schedule entries that have since been removed or replaced still count, as do as-needed doses.
+    for (const event of eventsByKey.values()) {
+        if (event.date < from || event.date > lastDay) continue;
+        const status = event.status === 'pending' && event.date < today ? 'missed' : event.status;
+        const scheduleId = event.scheduleId ? event.scheduleId.toString() : null;
+        doses.push({ scheduleId, time: event.scheduledTime, date: event.date, status, ...eventDetails(event) });
+    }
+    return doses;
+};
+
+/**
+ * Aggregates doses into totals, a per-day breakdown (every day in the range) and streaks.
+ */
+const summarizeDoses = (doses, from, to) => {
+    const totals = emptyCounts();
+    const byDay = new Map();
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        byDay.set(date, { date, ...emptyCounts() });
+    }
+
+    for (const dose of doses) {
+        const day = byDay.get(dose.date);
+        totals.scheduled += 1;
+        totals[dose.status] += 1;
+        day.scheduled += 1;
+        day[dose.status] += 1;
+    }
+
+    const days = [...byDay.values()].map(withPercent);
+    return { ...withPercent(totals), ...computeStreaks(days), days };
+};
+
+/**
+ * Per-schedule-entry totals, e.g. to answer "how often did I miss my evening dose?".
+ */
+const summarizeBySchedule = (doses) => {
+    const bySchedule = new Map();
+    for (const dose of doses) {
+        if (!bySchedule.has(dose.scheduleId)) {
+            bySchedule.set(dose.scheduleId, { scheduleId: dose.scheduleId, time: dose.time, ...emptyCounts() });
+        }
+        const entry = bySchedule.get(dose.scheduleId);
+        entry.scheduled += 1;
+        entry[dose.status] += 1;
+    }
+    return [...bySchedule.values()].sort((a, b) => a.time.localeCompare(b.time)).map(withPercent);
+};
+
+/**
+ * Builds an adherence report for a user, optionally limited to a single medication.
+ * @param {object} user - The user document (needs _id and timezone).
+ * @param {object} options
+ * @param {string} options.from - First local date, "YYYY-MM-DD".
+ * @param {string} options.to - Last local date, "YYYY-MM-DD".
+ * @param {string} [options.medicationId] - Restrict the report to one medication.
+ * @returns {Promise<object|null>} The report, or null if `medicationId` does not belong to the user.
+ */
+const getAdherenceReport = async (user, { from, to, medicationId }) => {
+    const timeZone = resolveTimezone(user.timezone);
+    const today = getLocalDateTime(new Date(), timeZone).date;
+
+    const medicationFilter = { user: user._id };
+    if (medicationId) medicationFilter._id = medicationId;
+    const medications = await Medication.find(medicationFilter).sort({ createdAt: 1 });
+    if (medicationId && medications.length === 0) return null;
+
+    // As-needed (PRN) doses are not expected, so they do not count towards adherence.
+    const events = await DoseEvent.find({
+        medication: { $in: medications.map(m => m._id) },
+        scheduleId: { $ne: null },
+        date: { $gte: from, $lte: to },
+    });
+
+    const allDoses = [];
+    const medicationReports = medications.map((medication) => {
+        const medicationEvents = events.filter(e => e.medication.equals(medication._id));
+        const doses = expandDoses(medication, medicationEvents, { from, to, today, timeZone });
+        allDoses.push(...doses);
+        return {
+            medicationId: medication._id.toString(),
+            name: medication.name,
+            ...summarizeDoses(doses, from, to),
+            schedules: summarizeBySchedule(doses),
+        };
+    });
+
+    return {
+        from,
+        to,
+        timezone: timeZone,
+        overall: summarizeDoses(allDoses, from, to),
+        medications: medicationReports,
+    };
+};
+
+/**
+ * Lists every expected dose in a date range with what happened to it, plus as-needed doses taken, oldest first,
+ * e.g. for exports.
+ * @param {object} user - The user document (needs _id and timezone).
+ * @param {object} options
+ * @param {string} options.from - First local date, "YYYY-MM-DD".
+ * @param {string} options.to - Last local date, "YYYY-MM-DD".
+ * @returns {Promise<Array<object>>} Doses with medicationId, name, date, time, status, takenAt and note.
+ */
+const getDoseHistory = async (user, { from, to }) => {
+    const timeZone = resolveTimezone(user.timezone);
+    const today = getLocalDateTime(new Date(), timeZone).date;
+
+    const medications = await Medication.find({ user: user._id }).sort({ createdAt: 1 });
+    const events = await DoseEvent.find({
+        medication: { $in: medications.map(m => m._id) },
+        date: { $gte: from, $lte: to },
+    });
+
+    const history = medications.flatMap((medication) => {
+        const medicationEvents = events.filter(e => e.medication.equals(medication._id));
+        return expandDoses(medication, medicationEvents, { from, to, today, timeZone })
+            .map(dose => ({ medicationId: medication._id.toString(), name: medication.name, ...dose }));
+    });
+    return history.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || a.name.localeCompare(b.name));
+};
+
+module.exports = {
+    getAdherenceReport,
+    getDoseHistory,
+};
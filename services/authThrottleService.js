@@ -0,0 +1,132 @@
+// backend/src/services/authThrottleService.js
+// Brute-force protection for the auth routes: rate limits per IP and per username, progressive lockout
+// after repeated wrong passwords, and the audit trail of failed attempts shown to account owners.
+// All state is in MongoDB, so the limits hold across server instances.
+const RateLimit = require('../models/RateLimit');
+const LoginLockout = require('../models/LoginLockout');
+const AuthEvent = require('../models/AuthEvent');
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const WINDOW_MINUTES = envInt('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15);
+const LIMITS = {
+    // Every request to /api/auth, per client IP.
+    all: { perIp: envInt('AUTH_RATE_LIMIT_PER_IP', 300) },
+    // Requests that check a password or code, or create an account: per IP and per target username.
+    credentials: {
+        perIp: envInt('AUTH_CREDENTIAL_LIMIT_PER_IP', 30),
+        perUsername: envInt('AUTH_CREDENTIAL_LIMIT_PER_USERNAME', 10),
+    },
+};
+
+const LOCKOUT_THRESHOLD = envInt('AUTH_LOCKOUT_THRESHOLD', 5); // Consecutive wrong passwords before a lockout
+const LOCKOUT_BASE_MINUTES = envInt('AUTH_LOCKOUT_BASE_MINUTES', 1); // Doubles with each further lockout...
+const LOCKOUT_MAX_MINUTES = envInt('AUTH_LOCKOUT_MAX_MINUTES', 60); // ...up to this
+const LOCKOUT_RESET_HOURS = 24; // A username with no failures for this long starts over
+const AUDIT_RETENTION_DAYS = envInt('AUTH_AUDIT_RETENTION_DAYS', 90);
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+/**
+ * Counts a request against a limit.
+ * @param {string} key - e.g. "credentials:ip:203.0.113.7"
+ * @param {number} max - Requests allowed per window.
+ * @param {Date} [now]
+ * @returns {Promise<{ allowed: boolean, retryAt: Date }>} retryAt is when the current window ends.
+ */
+const consumeRateLimit = async (key, max, now = new Date()) => {
+    const windowOpen = { $gt: ['$resetAt', now] };
+    const update = [{
+        $set: {
+            count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [windowOpen, '$resetAt', minutesFrom(now, WINDOW_MINUTES)] },
+        },
+    }];
+    const hit = () => RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+
+    let bucket;
+    try {
+        bucket = await hit();
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        bucket = await hit(); // Another instance created the bucket at the same moment
+    }
+    return { allowed: bucket.count <= max, retryAt: bucket.resetAt };
+};
+
+/**
+ * When a username's lockout ends, if it is locked now.
+ * @param {string} username - Lowercased.
+ * @returns {Promise<Date|null>}
+ */
+const getLockedUntil = async (username, now = new Date()) => {
+    const lockout = await LoginLockout.findOne({ username, lockedUntil: { $gt: now } });
+    return lockout ? lockout.lockedUntil : null;
+};
+
+/**
+ * Counts a wrong password for a username, locking it once LOCKOUT_THRESHOLD is reached.
+ * @param {string} username - Lowercased.
+ * @returns {Promise<{ lockedUntil: Date|null, remainingAttempts: number }>}
+ */
+const registerFailure = async (username, now = new Date()) => {
+    const lockout = await LoginLockout.findOneAndUpdate(
+        { username },
+        { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: minutesFrom(now, LOCKOUT_RESET_HOURS * 60) } },
+        { upsert: true, new: true }
+    );
+    if (lockout.failures < LOCKOUT_THRESHOLD) {
+        return { lockedUntil: null, remainingAttempts: LOCKOUT_THRESHOLD - lockout.failures };
+    }
+
+    const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockout.lockouts, LOCKOUT_MAX_MINUTES);
+    const lockedUntil = minutesFrom(now, minutes);
+    // Matching on the failure count makes sure concurrent failures lock only once.
+    await LoginLockout.updateOne(
+        { _id: lockout._id, failures: lockout.failures },
+        { $set: { failures: 0, lockedUntil }, $inc: { lockouts: 1 } }
+    );
+    return { lockedUntil, remainingAttempts: 0 };
+};
+
+/**
+ * Forgets a username's failures after a successful sign-in.
+ * @param {string} username - Lowercased.
+ */
+const clearFailures = username => LoginLockout.deleteOne({ username });
+
+/**
+ * Adds an audit record for an account.
+ * @param {object} user
+ * @param {string} type - See AuthEvent.type.
+ * @param {object} req - The request, for the client's IP and user agent.
+ * @param {object} [details] - e.g. { lockedUntil }
+ */
+const recordAuthEvent = (user, type, req, details = {}) => AuthEvent.create({
+    user: user._id,
+    type,
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+    lockedUntil: details.lockedUntil || null,
+    expiresAt: minutesFrom(new Date(), AUDIT_RETENTION_DAYS * 24 * 60),
+});
+
+/**
+ * The account's audit records, newest first.
+ * @param {string|object} userId
+ * @param {number} limit
+ */
+const listAuthEvents = (userId, limit) => AuthEvent.find({ user: userId })
+    .select('-expiresAt -user')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+module.exports = {
+    LIMITS,
+    consumeRateLimit,
+    getLockedUntil,
+    registerFailure,
+    clearFailures,
+    recordAuthEvent,
+    listAuthEvents,
+};
@@ -0,0 +1,250 @@
+// backend/src/services/calendarService.js
+// iCalendar (RFC 5545) feed of a user's medication schedule, subscribed to with a revocable feed token.
+const crypto = require('crypto');
+const User = require('../models/User');
+const { getLocalDateTime, getUtcOffsetMinutes, addDays, resolveTimezone } = require('../utils/timezone');
+const { getCourseEndDate, isDueOn } = require('../utils/recurrence');
+const { describeDose } = require('../utils/dosage');
+
+const PRODUCT_ID = '-//Medicine Reminder//Medication Schedule//EN';
+const EVENT_DURATION = 'PT15M';
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const TIMEZONE_YEARS_AHEAD = 10; // Offset changes are listed this far ahead; calendars reuse the last one after that
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates a new calendar feed token for a user, replacing (and so revoking) any previous one.
+ * Only the hash is stored; the token itself is returned once, to build the feed URL.
+ * @param {string|object} userId
+ * @returns {Promise<string>}
+ */
+const createFeedToken = async (userId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: userId }, { calendarFeedTokenHash: hashToken(token), calendarFeedCreatedAt: new Date() });
+    return token;
+};
+
+/**
+ * Revokes a user's calendar feed token; subscribed calendars stop updating.
+ * @param {string|object} userId
+ */
+const revokeFeedToken = async (userId) => {
+    await User.updateOne({ _id: userId }, { calendarFeedTokenHash: null, calendarFeedCreatedAt: null });
+};
+
+/**
+ * Finds the user a feed token belongs to.
+ * @param {string} token
+ * @returns {Promise<object|null>}
+ */
+const findUserByFeedToken = async (token) => {
+    if (!token || typeof token !== 'string') return null;
+    return User.findOne({ calendarFeedTokenHash: hashToken(token) }).select('-password');
+};
+
+// Escapes TEXT values (RFC 5545 3.3.11).
+const escapeText = text => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Folds content lines longer than 75 octets (RFC 5545 3.1), without splitting multi-byte characters.
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const formatDate = date => date.replace(/-/g, '');
+const formatLocalDateTime = (date, time) => {
+    const [hours, minutes] = time.split(':');
+    return `${formatDate(date)}T${hours.padStart(2, '0')}${minutes}00`;
+};
+const formatUtc = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// "+0530", "-0400"
+const formatOffset = (minutes) => {
+    const abs = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+};
+
+// The instants in [from, to) at which the timezone's UTC offset changes, found day by day and then to the minute.
+const findOffsetChanges = (timeZone, from, to) => {
+    const changes = [];
+    let before = from.getTime();
+    let offset = getUtcOffsetMinutes(from, timeZone);
+    for (let after = before + DAY_MS; after < to.getTime(); before = after, after += DAY_MS) {
+        const nextOffset = getUtcOffsetMinutes(new Date(after), timeZone);
+        if (nextOffset === offset) continue;
+        let low = before;
+        let high = after;
+        while (high - low > 60 * 1000) {
+            const middle = Math.floor((low + high) / 2 / 60000) * 60000;
+            if (getUtcOffsetMinutes(new Date(middle), timeZone) === offset) low = middle; else high = middle;
+        }
+        changes.push({ at: new Date(high), from: offset, to: nextOffset });
+        offset = nextOffset;
+    }
+    return changes;
+};
+
+/**
+ * The VTIMEZONE component for the TZID used by events (RFC 5545 3.6.5), built from the runtime's timezone data:
+ * one observance for the offset in effect at `since`, then one per offset change until TIMEZONE_YEARS_AHEAD.
+ * Observance start times are local times in the offset in effect before them.
+ * @param {string} timeZone
+ * @param {string} since - Local "YYYY-MM-DD" of the earliest event.
+ * @returns {Array<string>} Content lines.
+ */
+const buildTimezone = (timeZone, since) => {
+    const from = new Date(`${since}T00:00:00Z`);
+    const to = new Date(Date.UTC(new Date().getUTCFullYear() + TIMEZONE_YEARS_AHEAD + 1, 0, 1));
+    const initialOffset = getUtcOffsetMinutes(from, timeZone);
+    const observances = [
+        { start: from, from: initialOffset, to: initialOffset },
+        ...findOffsetChanges(timeZone, from, to).map(change => ({ start: change.at, from: change.from, to: change.to })),
+    ];
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    observances.forEach((observance) => {
+        const type = observance.to > observance.from ? 'DAYLIGHT' : 'STANDARD';
+        const localStart = new Date(observance.start.getTime() + observance.from * 60 * 1000);
+        lines.push(
+            `BEGIN:${type}`,
+            `DTSTART:${formatUtc(localStart).replace('Z', '')}`,
+            `TZOFFSETFROM:${formatOffset(observance.from)}`,
+            `TZOFFSETTO:${formatOffset(observance.to)}`,
+            `END:${type}`
+        );
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+};
+
+// The periods a medication is taken at one dose: each taper step, or the whole course.
+const getSegments = (medication, timeZone) => {
+    const recurrence = medication.recurrence || {};
+    const start = recurrence.startDate || getLocalDateTime(medication.createdAt || new Date(), timeZone).date;
+    const end = getCourseEndDate(medication);
+    const taper = medication.taper || [];
+    if (taper.length === 0 || !recurrence.startDate) {
+        return [{ key: 'course', start, end }];
+    }
+
+    const segments = [];
+    let stepStart = recurrence.startDate;
+    taper.forEach((step, index) => {
+        const stepEnd = addDays(stepStart, step.durationDays - 1);
+        if (!end || stepStart <= end) {
+            segments.push({ key: `step${index + 1}`, start: stepStart, end: end && end < stepEnd ? end : stepEnd });
+        }
+        stepStart = addDays(stepEnd, 1);
+    });
+    return segments;
+};
+
+// Recurrence rule for the days within a segment; open-ended courses repeat forever.
+const buildRule = (medication, firstDate, end) => {
+    const recurrence = medication.recurrence || {};
+    let rule = 'FREQ=DAILY';
+    if (recurrence.frequency === 'weekly') {
+        rule = `FREQ=WEEKLY;BYDAY=${[...recurrence.daysOfWeek].sort((a, b) => a - b).map(day => WEEKDAYS[day]).join(',')}`;
+    } else if (recurrence.frequency === 'interval' && recurrence.interval > 1) {
+        rule = `FREQ=DAILY;INTERVAL=${recurrence.interval}`;
+    }
+    if (!end) return rule;
+
+    // COUNT rather than UNTIL: UNTIL would have to be converted from local time to UTC.
+    let count = 0;
+    for (let date = firstDate; date <= end; date = addDays(date, 1)) {
+        if (isDueOn(medication, date)) count += 1;
+    }
+    return `${rule};COUNT=${count}`;
+};
+
+const buildEvents = (medication, timeZone, stamp) => {
+    const lines = [];
+    for (const segment of getSegments(medication, timeZone)) {
+        // The first due day of the segment (weekly and interval courses may not start on one).
+        const lastSearched = segment.end || addDays(segment.start, 365);
+        let firstDate = segment.start;
+        while (firstDate <= lastSearched && !isDueOn(medication, firstDate)) {
+            firstDate = addDays(firstDate, 1);
+        }
+        if (firstDate > lastSearched) continue;
+
+        for (const schedule of medication.schedules) {
+            const summary = `${medication.name} (${describeDose(medication, firstDate, schedule, { instructions: true })})`;
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${medication._id}-${schedule._id}-${segment.key}@medicine-reminder`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;TZID=${timeZone}:${formatLocalDateTime(firstDate, schedule.time)}`,
+                `DURATION:${EVENT_DURATION}`,
+                `RRULE:${buildRule(medication, firstDate, segment.end)}`,
+                `SUMMARY:${escapeText(summary)}`
+            );
+            if (medication.precautions) {
+                lines.push(`DESCRIPTION:${escapeText(medication.precautions)}`);
+            }
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                'TRIGGER:PT0S',
+                `DESCRIPTION:${escapeText(`Time to take ${summary}`)}`,
+                'END:VALARM',
+                'END:VEVENT'
+            );
+        }
+    }
+    return lines;
+};
+
+/**
+ * Builds the iCalendar document: one recurring event (with an alarm) per schedule entry, split per taper step
+ * so each event shows the amount to take. Times are in the user's timezone, referenced by its IANA name and
+ * defined in a VTIMEZONE, which strict clients (e.g. Outlook) need to place them correctly.
+ * @param {object} user - Needs timezone.
+ * @param {Array<object>} medications
+ * @returns {string}
+ */
+const buildCalendar = (user, medications) => {
+    const timeZone = resolveTimezone(user.timezone);
+    const stamp = formatUtc(new Date());
+    const events = medications.flatMap(medication => buildEvents(medication, timeZone, stamp));
+    // Offsets are needed from the earliest event on; DTSTART values start with the local date.
+    const today = getLocalDateTime(new Date(), timeZone).date;
+    const since = events
+        .filter(line => line.startsWith('DTSTART;'))
+        .map(line => line.split(':')[1].replace(/^(\d{4})(\d{2})(\d{2}).*/, '$1-$2-$3'))
+        .reduce((earliest, date) => (date < earliest ? date : earliest), today);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Medications',
+        `X-WR-TIMEZONE:${timeZone}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        ...buildTimezone(timeZone, addDays(since, -1)),
+        ...events,
+        'END:VCALENDAR',
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    createFeedToken,
+    revokeFeedToken,
+    findUserByFeedToken,
+    buildCalendar,
+};
@@ -0,0 +1,82 @@
+// backend/src/services/careService.js
+const CareLink = require('../models/CareLink');
+const User = require('../models/User');
+const { NOTIFY_USER_FIELDS } = require('./notificationDispatcher');
+
+// Permissions in increasing order of what they allow.
+const PERMISSION_LEVELS = { view: 1, manage: 2, owner: 3 };
+
+/**
+ * Works out what a user may do with a patient's data.
+ * @param {object} user - The logged-in user.
+ * @param {string|object} patientId - The owner of the data.
+ * @returns {Promise<'owner'|'manage'|'view'|null>}
+ */
+const getPatientAccess = async (user, patientId) => {
+    if (user._id.toString() === patientId.toString()) return 'owner';
+
+    const link = await CareLink.findOne({ patient: patientId, caregiver: user._id, status: 'active' });
+    return link ? link.permission : null;
+};
+
+/**
+ * Whether an access level covers the required permission ('view' or 'manage').
+ * @param {string|null} access
+ * @param {'view'|'manage'} required
+ * @returns {boolean}
+ */
+const hasPermission = (access, required) => Boolean(access) && PERMISSION_LEVELS[access] >= PERMISSION_LEVELS[required];
+
+/**
+ * Resolves the patient a request acts for: the logged-in user, or a patient they are an active caregiver of.
+ * @param {object} user - The logged-in user.
+ * @param {string} [patientId] - Optional patient id (e.g. from ?patientId=).
+ * @param {'view'|'manage'} required
+ * @returns {Promise<{ patient?: object, access?: string, status?: number, message?: string }>}
+ */
+const resolvePatient = async (user, patientId, required) => {
+    if (!patientId || patientId.toString() === user._id.toString()) {
+        return { patient: user, access: 'owner' };
+    }
+
+    const access = await getPatientAccess(user, patientId);
+    if (!hasPermission(access, required)) {
+        return { status: 401, message: `Not authorized to ${required} this patient's medications.` };
+    }
+    const patient = await User.findById(patientId).select('-password');
+    if (!patient) {
+        return { status: 404, message: 'Patient not found.' };
+    }
+    return { patient, access };
+};
+
+/**
+ * Lists the users with an active caregiver link to a patient.
+ * @param {string|object} patientId
+ * @returns {Promise<Array<object>>} Caregiver user documents.
+ */
+const getActiveCaregivers = async (patientId) => {
+    const links = await CareLink.find({ patient: patientId, status: 'active' }).populate({
+        path: 'caregiver',
+        select: NOTIFY_USER_FIELDS
+    });
+    return links.map(link => link.caregiver).filter(Boolean);
+};
+
+/**
+ * The patients whose data a user can see: themself and everyone they are an active caregiver of.
+ * @param {object} user
+ * @returns {Promise<Array<object>>} Patient ids, the user's own first.
+ */
+const getVisiblePatientIds = async (user) => {
+    const links = await CareLink.find({ caregiver: user._id, status: 'active' }).select('patient');
+    return [user._id, ...links.map(link => link.patient)];
+};
+
+module.exports = {
+    getPatientAccess,
+    hasPermission,
+    resolvePatient,
+    getActiveCaregivers,
+    getVisiblePatientIds,
+};
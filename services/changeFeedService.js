@@ -0,0 +1,137 @@
+// backend/src/services/changeFeedService.js
+// Real-time sync: changes to medications and doses are stored as ChangeEvents and pushed to the open
+// event streams of the patient and their caregivers (GET /api/medications/events).
+// Open streams also read new events back from MongoDB every few seconds, so a change made through one
+// server instance reaches clients connected to another; stored events let reconnecting clients catch up.
+const mongoose = require('mongoose');
+const ChangeEvent = require('../models/ChangeEvent');
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const RETENTION_HOURS = envInt('CHANGE_EVENT_RETENTION_HOURS', 72);
+const POLL_SECONDS = envInt('CHANGE_EVENT_POLL_SECONDS', 2);
+const POLL_OVERLAP_MS = 10 * 1000; // Re-reads recent events, in case another instance's clock is behind or a write was slow
+const MAX_REPLAY_EVENTS = 500; // Beyond this a reconnecting client is told to reload instead
+
+const subscriptions = new Map(); // listener -> { patientIds: Set, since: ms }, events for those patients created since
+const delivered = new Map(); // event id -> createdAt (ms) of recent events already passed to listeners
+let pollTimer = null;
+let polling = false;
+let lastPollAt = null;
+
+const toMessage = event => ({
+    id: event._id.toString(),
+    type: event.type,
+    patientId: event.user.toString(),
+    medicationId: event.medication.toString(),
+    data: event.data,
+    createdAt: event.createdAt,
+});
+
+// Passes an event to the listeners of its patient, once.
+const deliver = (event) => {
+    const id = event._id.toString();
+    if (delivered.has(id)) return;
+    delivered.set(id, event.createdAt.getTime());
+
+    const message = toMessage(event);
+    subscriptions.forEach(({ patientIds, since }, listener) => {
+        // Earlier events are for the client to fetch or replay; a poll's overlap must not send them again.
+        if (patientIds.has(message.patientId) && event.createdAt.getTime() >= since) listener(message);
+    });
+};
+
+const poll = async () => {
+    if (polling) return;
+    polling = true;
+    const since = lastPollAt - POLL_OVERLAP_MS;
+    lastPollAt = Date.now();
+
+    try {
+        const patientIds = [...new Set([...subscriptions.values()].flatMap(({ patientIds: ids }) => [...ids]))];
+        const events = await ChangeEvent.find({ user: { $in: patientIds }, createdAt: { $gte: new Date(since) } })
+            .sort({ createdAt: 1, _id: 1 });
+        events.forEach(deliver);
+        // Older events can no longer come back from a poll, so there is no need to remember them.
+        delivered.forEach((createdAt, id) => {
+            if (createdAt < since - POLL_OVERLAP_MS) delivered.delete(id);
+        });
+    } catch (error) {
+        console.error('[Backend Sync] Error polling change events:', error);
+    } finally {
+        polling = false;
+    }
+};
+
+/**
+ * Records a change and pushes it to open streams. Never throws: a change that could not be published
+ * must not fail the request that made it, and clients still see it on their next full fetch.
+ * @param {string|object} patientId - Owner of the medication.
+ * @param {string} type - See ChangeEvent.type.
+ * @param {string|object} medicationId
+ * @param {object|null} data - The medication or dose event after the change (a document or plain object).
+ */
+const publishChange = async (patientId, type, medicationId, data) => {
+    try {
+        const event = await ChangeEvent.create({
+            user: patientId,
+            type,
+            medication: medicationId,
+            data: data && typeof data.toObject === 'function' ? data.toObject() : data,
+            expiresAt: new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000),
+        });
+        deliver(event);
+    } catch (error) {
+        console.error(`[Backend Sync] Error publishing ${type} change:`, error);
+    }
+};
+
+/**
+ * Receives changes to the given patients' data as they happen.
+ * @param {Array<string|object>} patientIds
+ * @param {function(object): void} listener - Called with { id, type, patientId, medicationId, data, createdAt }.
+ * @returns {function(): void} Unsubscribes.
+ */
+const subscribe = (patientIds, listener) => {
+    subscriptions.set(listener, { patientIds: new Set(patientIds.map(id => id.toString())), since: Date.now() });
+    if (!pollTimer) {
+        lastPollAt = Date.now();
+        pollTimer = setInterval(poll, POLL_SECONDS * 1000);
+    }
+
+    return () => {
+        subscriptions.delete(listener);
+        if (subscriptions.size === 0 && pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+            delivered.clear();
+        }
+    };
+};
+
+/**
+ * The changes after an event a client last saw, oldest first, for resuming a stream.
+ * @param {Array<string|object>} patientIds
+ * @param {string} lastEventId
+ * @returns {Promise<{ reset: boolean, events: Array<object> }>} reset is true when the client cannot catch up
+ *   (the event is unknown or has expired, or too much changed) and should reload everything instead.
+ */
+const getChangesSince = async (patientIds, lastEventId) => {
+    const lastEvent = mongoose.isValidObjectId(lastEventId) ? await ChangeEvent.findById(lastEventId) : null;
+    if (!lastEvent) return { reset: true, events: [] };
+
+    // By time rather than id: ids from different instances created in the same second are not in order.
+    const events = await ChangeEvent.find({
+        user: { $in: patientIds },
+        createdAt: { $gte: lastEvent.createdAt },
+        _id: { $ne: lastEvent._id },
+    }).sort({ createdAt: 1, _id: 1 }).limit(MAX_REPLAY_EVENTS + 1);
+    if (events.length > MAX_REPLAY_EVENTS) return { reset: true, events: [] };
+    return { reset: false, events: events.map(toMessage) };
+};
+
+module.exports = {
+    publishChange,
+    subscribe,
+    getChangesSince,
+};
@@ -0,0 +1,46 @@
+// backend/src/services/channels/emailChannel.js
+// Email via SMTP (nodemailer). Without SMTP_HOST, or with EMAIL_TRANSPORT=outbox, mail goes to outbox/email.jsonl.
+const nodemailer = require('nodemailer');
+const { createFileOutbox } = require('./outbox');
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return {
+        send: message => transporter.sendMail({ from: process.env.EMAIL_FROM || process.env.SMTP_USER, ...message }),
+    };
+};
+
+let transport = process.env.SMTP_HOST && process.env.EMAIL_TRANSPORT !== 'outbox'
+    ? createSmtpTransport()
+    : createFileOutbox('email');
+
+/**
+ * Replaces the transport used to send email (e.g. with createMemoryOutbox() in tests).
+ * @param {{ send: Function }} nextTransport - Receives { to, subject, text }.
+ */
+const setEmailTransport = (nextTransport) => {
+    transport = nextTransport;
+};
+
+const emailChannel = {
+    name: 'email',
+    isAvailableFor: user => Boolean(user.email),
+    send: async (user, notification) => {
+        try {
+            await transport.send({ to: user.email, subject: notification.title, text: notification.body });
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    },
+};
+
+module.exports = {
+    emailChannel,
+    setEmailTransport,
+};
@@ -0,0 +1,40 @@
+// backend/src/services/channels/outbox.js
+// Local stand-ins for external delivery services, so channels can be developed without SMTP, SMS or webhook access.
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * A transport that appends each message to a JSON-lines file in the outbox directory (NOTIFICATION_OUTBOX_DIR,
+ * default ./outbox), e.g. outbox/email.jsonl.
+ * @param {string} channelName
+ * @returns {{ send: Function }}
+ */
+const createFileOutbox = (channelName) => ({
+    send: async (message) => {
+        const outboxDir = process.env.NOTIFICATION_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+        await fs.mkdir(outboxDir, { recursive: true });
+        await fs.appendFile(
+            path.join(outboxDir, `${channelName}.jsonl`),
+            `${JSON.stringify({ ...message, channel: channelName, createdAt: new Date() })}\n`
+        );
+    },
+});
+
+/**
+ * A transport that keeps messages in memory (`messages`), for tests.
+ * @returns {{ send: Function, messages: Array<object> }}
+ */
+const createMemoryOutbox = () => {
+    const outbox = {
+        messages: [],
+        send: async (message) => {
+            outbox.messages.push({ ...message, createdAt: new Date() });
+        },
+    };
+    return outbox;
+};
+
+module.exports = {
+    createFileOutbox,
+    createMemoryOutbox,
+};
@@ -0,0 +1,187 @@
+// backend/src/services/channels/pushChannel.js
+// Expo push notifications: sending, receipt processing and pruning of dead device tokens.
+const { Expo } = require('expo-server-sdk');
+const User = require('../../models/User');
+const PushTicket = require('../../models/PushTicket');
+const { createLocalExpoClient } = require('../localExpoClient');
+const { recordInvalidToken } = require('../deliveryStatsService');
+
+// The Expo client is injectable so a local stand-in can replace it (EXPO_CLIENT=local, or setExpoClient in tests).
+let expo = process.env.EXPO_CLIENT === 'local' ? createLocalExpoClient() : new Expo();
+
+/**
+ * Replaces the Expo client used to send notifications and fetch receipts.
+ * @param {object} client - An object with the expo-server-sdk client methods (see localExpoClient.js).
+ */
+const setExpoClient = (client) => {
+    expo = client;
+};
+
+// How long to wait before asking Expo for receipts (they are usually ready within 15 minutes).
+const RECEIPT_DELAY_MINUTES = 15;
+
+/**
+ * Removes a push token from every user that has it, e.g. after Expo reports DeviceNotRegistered.
+ * @param {string} token
+ */
+const pruneDeviceToken = async (token) => {
+    await User.updateMany({ 'devices.token': token }, { $pull: { devices: { token } } });
+    await User.updateMany({ expoPushToken: token }, { $set: { expoPushToken: null } });
+    await recordInvalidToken();
+    console.log(`[Backend PushChannel] Pruned unregistered push token ${token.substring(0, 15)}...`);
+};
+
+/**
+ * Sends a push notification to one or more devices.
+ * @param {string|Array<string>} expoPushTokens - The recipient's Expo Push Token(s), e.g. from user.getPushTokens().
+ * @param {string} title - The title of the notification.
+ * @param {string} body - The body/message of the notification.
+ * @param {object} data - Extra data to send with the notification.
+ * @param {string} [userPreferredSound='default'] - The user's preferred sound file name (e.g., 'ringtone.mp3') or 'default'.
+ * @param {object} [options] - Extra Expo message fields.
+ * @param {string} [options.categoryId] - Client-registered notification category, used to show action buttons.
+ * @param {boolean} [options.critical] - Critical alert: high priority, the client's "critical" Android channel and,
+ *   on iOS builds with the critical alerts entitlement, sound that plays through silent mode.
+ * @returns {Promise<Array<object>|null>} One ticket per message sent, or null if nothing could be sent.
+ */
+const sendPushNotification = async (expoPushTokens, title, body, data, userPreferredSound = 'default', options = {}) => {
+    const tokens = (Array.isArray(expoPushTokens) ? expoPushTokens : [expoPushTokens]).filter((token) => {
+        if (Expo.isExpoPushToken(token)) return true;
+        console.error(`[Backend PushChannel] Invalid Expo Push Token: ${token}`);
+        return false;
+    });
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    // Determine the sound to use in the payload.
+    // For iOS: 'default' plays the standard sound. A filename (e.g., 'ringtone.mp3') plays a custom sound
+    // if it's bundled with the client app.
+    // For Android: The sound set on the NotificationChannel on the client (e.g., 'ringtone.mp3' via frontend notificationService.js)
+    // usually takes precedence if this payload sound is 'default'.
+    // If a specific filename is sent here AND that file is bundled in the client's assets, Android MIGHT play it.
+    const soundToPlay = (userPreferredSound && userPreferredSound.trim() !== '' && userPreferredSound.toLowerCase() !== 'default')
+        ? userPreferredSound
+        : 'default';
+
+    const messages = tokens.map((token) => {
+        const message = {
+            to: token,
+            sound: soundToPlay, // Use the determined sound
+            title: title,
+            body: body,
+            data: data, // e.g., { medicationId: 'someId' }
+            channelId: 'default', // This should match the channelId created on the client
+                                  // which has its own default sound (e.g., 'ringtone.mp3' in your frontend setup)
+        };
+        if (options.categoryId) {
+            message.categoryId = options.categoryId;
+        }
+        if (options.critical) {
+            message.priority = 'high';
+            message.channelId = 'critical';
+            message.interruptionLevel = 'critical';
+            message.sound = { critical: true, name: soundToPlay, volume: 1 };
+        }
+        return message;
+    });
+
+    console.log(`[Backend PushChannel] Preparing to send notification to ${tokens.length} device(s). Sound: "${soundToPlay}", Title: "${title}"`);
+
+    try {
+        const chunks = expo.chunkPushNotifications(messages);
+        const tickets = [];
+        for (const chunk of chunks) {
+            const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
+            tickets.push(...ticketChunk);
+
+            // Tickets come back in the same order as the messages in the chunk.
+            for (let i = 0; i < ticketChunk.length; i++) {
+                const ticket = ticketChunk[i];
+                const token = chunk[i].to;
+                if (ticket.status === 'ok' && ticket.id) {
+                    await PushTicket.create({ ticketId: ticket.id, token });
+                } else if (ticket.status === 'error') {
+                    console.error(`[Backend PushChannel] Error sending notification to ${token}: ${ticket.message}`, ticket.details);
+                    if (ticket.details && ticket.details.error === 'DeviceNotRegistered') {
+                        await pruneDeviceToken(token);
+                    }
+                }
+            }
+        }
+        console.log(`[Backend PushChannel] Notification sent. Tickets: ${tickets.length}`);
+        return tickets;
+    } catch (error) {
+        console.error('[Backend PushChannel] Critical error sending push notification:', error);
+        return null;
+    }
+};
+
+/**
+ * Fetches Expo push receipts for tickets old enough to have them, and prunes the tokens of devices
+ * that no longer accept notifications (DeviceNotRegistered).
+ * @returns {Promise<{ checked: number, pruned: number }>}
+ */
+const checkPushReceipts = async () => {
+    const tickets = await PushTicket.find({
+        receiptCheckedAt: null,
+        createdAt: { $lte: new Date(Date.now() - RECEIPT_DELAY_MINUTES * 60 * 1000) },
+    }).limit(1000);
+    if (tickets.length === 0) return { checked: 0, pruned: 0 };
+
+    const tokenByTicketId = new Map(tickets.map(t => [t.ticketId, t.token]));
+    const chunks = expo.chunkPushNotificationReceiptIds([...tokenByTicketId.keys()]);
+    let pruned = 0;
+
+    for (const chunk of chunks) {
+        const receipts = await expo.getPushNotificationReceiptsAsync(chunk);
+
+        for (const ticketId of chunk) {
+            const receipt = receipts[ticketId];
+            const update = { receiptCheckedAt: new Date() };
+            if (receipt) {
+                update.receiptStatus = receipt.status;
+                update.receiptError = receipt.details && receipt.details.error ? receipt.details.error : null;
+            }
+            await PushTicket.updateOne({ ticketId }, { $set: update });
+
+            if (receipt && receipt.status === 'error') {
+                console.error(`[Backend PushChannel] Push receipt error for ticket ${ticketId}: ${receipt.message}`, receipt.details);
+                if (update.receiptError === 'DeviceNotRegistered') {
+                    await pruneDeviceToken(tokenByTicketId.get(ticketId));
+                    pruned += 1;
+                }
+            }
+        }
+    }
+    return { checked: tickets.length, pruned };
+};
+
+/**
+ * Channel adapter used by the notification dispatcher.
+ * Push counts as delivered when at least one of the user's devices accepted the message.
+ */
+const pushChannel = {
+    name: 'push',
+    isAvailableFor: user => user.getPushTokens().length > 0,
+    send: async (user, notification) => {
+        const tickets = await sendPushNotification(
+            user.getPushTokens(),
+            notification.title,
+            notification.body,
+            notification.data,
+            notification.sound,
+            { categoryId: notification.categoryId, critical: notification.critical }
+        );
+        const delivered = Boolean(tickets) && tickets.some(ticket => ticket.status === 'ok');
+        return delivered ? { ok: true } : { ok: false, error: 'No device accepted the push notification.' };
+    },
+};
+
+module.exports = {
+    pushChannel,
+    sendPushNotification,
+    checkPushReceipts,
+    pruneDeviceToken,
+    setExpoClient,
+};
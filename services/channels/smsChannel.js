@@ -0,0 +1,50 @@
+// backend/src/services/channels/smsChannel.js
+// SMS through a generic HTTP gateway: POST SMS_API_URL with { to, message } and a bearer SMS_API_KEY.
+// Without SMS_API_URL, or with SMS_TRANSPORT=outbox, messages go to outbox/sms.jsonl.
+const { createFileOutbox } = require('./outbox');
+
+const createHttpTransport = () => ({
+    send: async ({ to, message }) => {
+        const response = await fetch(process.env.SMS_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.SMS_API_KEY ? { Authorization: `Bearer ${process.env.SMS_API_KEY}` } : {}),
+            },
+            body: JSON.stringify({ to, message, from: process.env.SMS_FROM }),
+        });
+        if (!response.ok) {
+            throw new Error(`SMS gateway responded with ${response.status}`);
+        }
+    },
+});
+
+let transport = process.env.SMS_API_URL && process.env.SMS_TRANSPORT !== 'outbox'
+    ? createHttpTransport()
+    : createFileOutbox('sms');
+
+/**
+ * Replaces the transport used to send SMS (e.g. with createMemoryOutbox() in tests).
+ * @param {{ send: Function }} nextTransport - Receives { to, message }.
+ */
+const setSmsTransport = (nextTransport) => {
+    transport = nextTransport;
+};
+
+const smsChannel = {
+    name: 'sms',
+    isAvailableFor: user => Boolean(user.phoneNumber),
+    send: async (user, notification) => {
+        try {
+            await transport.send({ to: user.phoneNumber, message: `${notification.title}\n${notification.body}` });
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    },
+};
+
+module.exports = {
+    smsChannel,
+    setSmsTransport,
+};
@@ -0,0 +1,56 @@
+// backend/src/services/channels/webhookChannel.js
+// POSTs the notification as JSON to the user's own webhook URL (e.g. a home automation or chat integration).
+// With WEBHOOK_TRANSPORT=outbox, requests go to outbox/webhook.jsonl instead.
+const { createFileOutbox } = require('./outbox');
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const createHttpTransport = () => ({
+    send: async ({ url, payload }) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook responded with ${response.status}`);
+        }
+    },
+});
+
+let transport = process.env.WEBHOOK_TRANSPORT === 'outbox' ? createFileOutbox('webhook') : createHttpTransport();
+
+/**
+ * Replaces the transport used to call webhooks (e.g. with createMemoryOutbox() in tests).
+ * @param {{ send: Function }} nextTransport - Receives { url, payload }.
+ */
+const setWebhookTransport = (nextTransport) => {
+    transport = nextTransport;
+};
+
+const webhookChannel = {
+    name: 'webhook',
+    isAvailableFor: user => Boolean(user.webhookUrl),
+    send: async (user, notification) => {
+        try {
+            await transport.send({
+                url: user.webhookUrl,
+                payload: {
+                    title: notification.title,
+                    body: notification.body,
+                    data: notification.data,
+                    sentAt: new Date(),
+                },
+            });
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    },
+};
+
+module.exports = {
+    webhookChannel,
+    setWebhookTransport,
+};
@@ -0,0 +1,94 @@
+// backend/src/services/deliveryStatsService.js
+// Hourly counters of notifications sent and failed per channel, and of dead push tokens, kept in MongoDB so
+// every server instance adds to the same numbers. Read by the admin API (GET /api/admin/stats/delivery).
+const DeliveryStat = require('../models/DeliveryStat');
+const User = require('../models/User');
+const PushTicket = require('../models/PushTicket');
+const { countJobs } = require('./jobQueue');
+
+const startOfHour = (date) => {
+    const hour = new Date(date);
+    hour.setUTCMinutes(0, 0, 0);
+    return hour;
+};
+
+// Counting must never get in the way of delivering, so failures are only logged.
+const increment = async (counters) => {
+    try {
+        await DeliveryStat.updateOne({ hour: startOfHour(new Date()) }, { $inc: counters }, { upsert: true });
+    } catch (error) {
+        console.error('[Backend DeliveryStats] Error recording delivery:', error.message);
+    }
+};
+
+/**
+ * Counts one attempt to deliver a notification on a channel.
+ * @param {string} channel - e.g. 'push'
+ * @param {boolean} ok - Whether the channel accepted it.
+ */
+const recordDelivery = (channel, ok) => increment({ [`channels.${channel}.${ok ? 'sent' : 'failed'}`]: 1 });
+
+/**
+ * Counts a push token pruned because Expo reported the device as no longer registered.
+ */
+const recordInvalidToken = () => increment({ invalidTokens: 1 });
+
+/**
+ * Counts a notification that could not be sent because the user has no reachable channel.
+ */
+const recordUnreachable = () => increment({ unreachable: 1 });
+
+/**
+ * Delivery statistics since a time: per channel and per hour, push receipts, users that cannot receive
+ * push notifications, and the reminder job queue. Hourly counters are kept for 90 days, push receipts for 7.
+ * @param {Date} since
+ * @returns {Promise<object>}
+ */
+const getDeliveryStats = async (since) => {
+    const [hours, receiptsByStatus, users, usersWithoutPushTokens, disabledUsers, jobs] = await Promise.all([
+        DeliveryStat.find({ hour: { $gte: startOfHour(since) } }).sort({ hour: 1 }),
+        PushTicket.aggregate([
+            { $match: { createdAt: { $gte: since } } },
+            { $group: { _id: '$receiptStatus', count: { $sum: 1 } } },
+        ]),
+        User.countDocuments({ disabledAt: null }),
+        User.countDocuments({ disabledAt: null, 'devices.0': { $exists: false }, expoPushToken: { $in: [null, ''] } }),
+        User.countDocuments({ disabledAt: { $ne: null } }),
+        countJobs(),
+    ]);
+
+    const channels = {};
+    const totals = { sent: 0, failed: 0, invalidTokens: 0, unreachable: 0 };
+    const hourly = hours.map((stat) => {
+        const hour = { hour: stat.hour, sent: 0, failed: 0, invalidTokens: stat.invalidTokens || 0, unreachable: stat.unreachable || 0 };
+        Object.entries(stat.channels || {}).forEach(([name, counts]) => {
+            if (!channels[name]) channels[name] = { sent: 0, failed: 0 };
+            channels[name].sent += counts.sent || 0;
+            channels[name].failed += counts.failed || 0;
+            hour.sent += counts.sent || 0;
+            hour.failed += counts.failed || 0;
+        });
+        ['sent', 'failed', 'invalidTokens', 'unreachable'].forEach((field) => { totals[field] += hour[field]; });
+        return hour;
+    });
+
+    const pushReceipts = { ok: 0, error: 0, pending: 0 };
+    receiptsByStatus.forEach(({ _id, count }) => { pushReceipts[_id || 'pending'] += count; });
+
+    return {
+        since,
+        totals,
+        channels,
+        pushReceipts,
+        users: { active: users, withoutPushTokens: usersWithoutPushTokens, disabled: disabledUsers },
+        jobs,
+        hourly,
+    };
+};
+
+module.exports = {
+    recordDelivery,
+    recordInvalidToken,
+    recordUnreachable,
+    getDeliveryStats,
+};
@@ -0,0 +1,173 @@
+// backend/src/services/exportService.js
+// CSV and PDF exports of a patient's medication list and dose history, e.g. to take to a doctor's visit.
+const PDFDocument = require('pdfkit');
+const { getLocalDateTime, resolveTimezone } = require('../utils/timezone');
+const { getCourseEndDate } = require('../utils/recurrence');
+const { formatDose } = require('../utils/dosage');
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const STATUS_LABELS = { taken: 'Taken', skipped: 'Skipped', missed: 'Missed', pending: 'Pending' };
+
+// As-needed doses have no schedule entry; they are listed in histories but left out of adherence.
+const isPrnDose = dose => dose.scheduleId === null;
+const statusLabel = dose => (isPrnDose(dose) ? 'Taken as needed' : STATUS_LABELS[dose.status]);
+
+// e.g. "As needed, at least 240 minutes apart, at most 4 doses in 24 hours".
+const describePrn = (prn = {}) => [
+    'As needed',
+    prn.minIntervalMinutes && `at least ${prn.minIntervalMinutes} minutes apart`,
+    prn.maxDosesPer24h && `at most ${prn.maxDosesPer24h} doses in 24 hours`,
+].filter(Boolean).join(', ');
+
+/**
+ * Describes when a medication is taken, e.g. "Daily", "Weekly on Mon, Thu", "Every 2 days", "As needed".
+ * @param {object} medication
+ * @returns {string}
+ */
+const describeFrequency = (medication) => {
+    if (medication.type === 'prn') return describePrn(medication.prn);
+    const recurrence = medication.recurrence || {};
+    let frequency = 'Daily';
+    if (recurrence.frequency === 'weekly') {
+        frequency = `Weekly on ${[...recurrence.daysOfWeek].sort((a, b) => a - b).map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+    } else if (recurrence.frequency === 'interval' && recurrence.interval > 1) {
+        frequency = `Every ${recurrence.interval} days`;
+    }
+    const taper = medication.taper || [];
+    if (taper.length > 0) {
+        const stepDose = step => step.amount || formatDose(medication.dosage, step.quantity);
+        frequency += `; tapering: ${taper.map(step => `${stepDose(step)} for ${step.durationDays} days`).join(', then ')}`;
+    }
+    return frequency;
+};
+
+const describeTimes = medication => medication.schedules.map(schedule => schedule.time)
+    .sort((a, b) => a.padStart(5, '0').localeCompare(b.padStart(5, '0'))).join(', ');
+
+// Quotes a CSV field when needed. Values starting with =, +, - or @ are prefixed with ' so spreadsheets
+// do not run them as formulas.
+const csvField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = rows => `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+
+/**
+ * The medication list as CSV, one row per medication.
+ * @param {Array<object>} medications
+ * @param {object} patient - Needs timezone.
+ * @returns {string}
+ */
+const buildMedicationsCsv = (medications, patient) => {
+    const timeZone = resolveTimezone(patient.timezone);
+    const rows = [['Name', 'Amount', 'Times', 'Frequency', 'Start date', 'End date', 'Precautions', 'Units on hand', 'Status', 'Discontinued reason']];
+    medications.forEach((medication) => {
+        const recurrence = medication.recurrence || {};
+        rows.push([
+            medication.name,
+            medication.amount,
+            describeTimes(medication),
+            describeFrequency(medication),
+            recurrence.startDate || getLocalDateTime(medication.createdAt, timeZone).date,
+            getCourseEndDate(medication),
+            medication.precautions,
+            medication.inventory ? medication.inventory.onHand : null,
+            medication.status === 'archived' ? 'Discontinued' : 'Active',
+            medication.archive ? medication.archive.reason : null,
+        ]);
+    });
+    return toCsv(rows);
+};
+
+/**
+ * The dose history as CSV, one row per expected or as-needed dose (see adherenceService.getDoseHistory).
+ * @param {Array<object>} history
+ * @param {object} patient - Needs timezone; taken times are shown in it.
+ * @returns {string}
+ */
+const buildDoseHistoryCsv = (history, patient) => {
+    const timeZone = resolveTimezone(patient.timezone);
+    const rows = [['Date', 'Scheduled time', 'Medication', 'Status', 'Taken at', 'Note']];
+    history.forEach((dose) => {
+        rows.push([
+            dose.date,
+            dose.time,
+            dose.name,
+            statusLabel(dose),
+            dose.takenAt ? Object.values(getLocalDateTime(dose.takenAt, timeZone)).join(' ') : null,
+            dose.note,
+        ]);
+    });
+    return toCsv(rows);
+};
+
+/**
+ * A printable PDF with the medication list, adherence summary and dose history.
+ * @param {object} patient - Needs username and timezone.
+ * @param {Array<object>} medications
+ * @param {Array<object>} history - From adherenceService.getDoseHistory.
+ * @param {object} range - { from, to }
+ * @returns {Promise<Buffer>}
+ */
+const buildReportPdf = (patient, medications, history, { from, to }) => new Promise((resolve, reject) => {
+    const timeZone = resolveTimezone(patient.timezone);
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Medication summary' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const now = getLocalDateTime(new Date(), timeZone);
+    doc.fontSize(18).font('Helvetica-Bold').text('Medication summary');
+    doc.fontSize(10).font('Helvetica')
+        .text(`Patient: ${patient.username}`)
+        .text(`Generated: ${now.date} ${now.time} (${timeZone})`)
+        .moveDown();
+
+    doc.fontSize(14).font('Helvetica-Bold').text('Current medications');
+    doc.moveDown(0.3);
+    if (medications.length === 0) {
+        doc.fontSize(10).font('Helvetica').text('No medications.');
+    }
+    medications.forEach((medication) => {
+        doc.fontSize(11).font('Helvetica-Bold').text(`${medication.name} - ${medication.amount}`);
+        const times = describeTimes(medication);
+        doc.fontSize(10).font('Helvetica').text(times ? `${describeFrequency(medication)} at ${times}` : describeFrequency(medication));
+        const endDate = getCourseEndDate(medication);
+        if (endDate) doc.text(`Until ${endDate}`);
+        if (medication.precautions) doc.text(`Precautions: ${medication.precautions}`);
+        doc.moveDown(0.5);
+    });
+
+    const counts = history.filter(dose => !isPrnDose(dose)).reduce((totals, dose) => ({ ...totals, [dose.status]: totals[dose.status] + 1 }),
+        { taken: 0, skipped: 0, missed: 0, pending: 0 });
+    const answered = counts.taken + counts.skipped + counts.missed;
+    doc.moveDown();
+    doc.fontSize(14).font('Helvetica-Bold').text(`Dose history, ${from} to ${to}`);
+    doc.fontSize(10).font('Helvetica')
+        .text(`Taken ${counts.taken}, skipped ${counts.skipped}, missed ${counts.missed}`
+            + (answered > 0 ? ` (adherence ${Math.round((counts.taken / answered) * 1000) / 10}%)` : ''))
+        .moveDown(0.5);
+
+    let currentDate = null;
+    history.forEach((dose) => {
+        if (dose.date !== currentDate) {
+            currentDate = dose.date;
+            doc.moveDown(0.3).font('Helvetica-Bold').text(dose.date);
+        }
+        const note = dose.note ? ` - ${dose.note}` : '';
+        doc.font('Helvetica').text(`${dose.time}  ${dose.name}: ${statusLabel(dose)}${note}`, { indent: 12 });
+    });
+
+    doc.end();
+});
+
+module.exports = {
+    describeFrequency,
+    buildMedicationsCsv,
+    buildDoseHistoryCsv,
+    buildReportPdf,
+};
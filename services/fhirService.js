@@ -0,0 +1,411 @@
+// backend/src/services/fhirService.js
+// HL7 FHIR R4 mapping: medications out as MedicationStatement/MedicationRequest, Bundles in as Medication documents.
+const Medication = require('../models/Medication');
+const { getLocalDateTime, resolveTimezone, addDays, daysBetween, isValidDateString } = require('../utils/timezone');
+const { validateRecurrence, withDefaultStartDate, getCourseEndDate } = require('../utils/recurrence');
+const { describeFrequency } = require('./exportService');
+const { parseAmount, describeDose, getDoseQuantity } = require('../utils/dosage');
+
+const RESOURCE_TYPES = ['MedicationStatement', 'MedicationRequest'];
+const FHIR_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+// Statuses that mean the medication is (or will be) taken; anything else is not imported.
+const IMPORTABLE_STATUSES = {
+    MedicationStatement: ['active', 'intended', 'on-hold'],
+    MedicationRequest: ['active', 'draft', 'on-hold'],
+};
+
+// Clock times used for Timing.repeat.when codes (EventTiming) when no timeOfDay is given.
+const WHEN_TIMES = {
+    WAKE: '07:00', MORN: '08:00', C: '08:00', CM: '08:00', ACM: '07:30', PCM: '08:30',
+    NOON: '12:00', CD: '12:00', ACD: '11:30', PCD: '12:30', AFT: '14:00',
+    EVE: '18:00', CV: '18:00', ACV: '17:30', PCV: '18:30', NIGHT: '21:00', HS: '22:00',
+};
+
+// Times used when a dosage only says how often per day ("3 times a day").
+const TIMES_PER_DAY = {
+    1: ['08:00'],
+    2: ['08:00', '20:00'],
+    3: ['08:00', '14:00', '20:00'],
+    4: ['08:00', '12:00', '16:00', '20:00'],
+};
+
+// Timing/Duration units that PRN intervals and dose limits can be given in.
+const MINUTES_PER_UNIT = { min: 1, h: 60, d: 24 * 60 };
+
+const padTime = time => time.padStart(5, '0');
+
+// "2 tablets" -> { value: 2, unit: "tablets" }; free text such as "half a tablet" has no Quantity.
+const toQuantity = (amount) => {
+    const match = /^(\d+(?:\.\d+)?)\s*(.*)$/.exec(String(amount).trim());
+    if (!match) return null;
+    return match[2] ? { value: Number(match[1]), unit: match[2] } : { value: Number(match[1]) };
+};
+
+// As-needed: the minimum interval is "once per period", the daily maximum a maxDosePerPeriod in doses per 24 h.
+const buildPrnDosage = (medication, amount, boundsPeriod) => {
+    const prn = medication.prn || {};
+    const repeat = { boundsPeriod };
+    if (prn.minIntervalMinutes) {
+        Object.assign(repeat, { frequency: 1, period: prn.minIntervalMinutes, periodUnit: 'min' });
+    }
+    const dosage = { text: `${amount}, ${describeFrequency(medication).toLowerCase()}`, asNeededBoolean: true, timing: { repeat } };
+    if (prn.maxDosesPer24h) {
+        dosage.maxDosePerPeriod = { numerator: { value: prn.maxDosesPer24h }, denominator: { value: 24, unit: 'h' } };
+    }
+    return dosage;
+};
+
+const buildDosage = (medication, { start, end, sequence }) => {
+    const amount = describeDose(medication, start);
+    const recurrence = medication.recurrence || {};
+    const times = medication.schedules.map(schedule => padTime(schedule.time)).sort();
+    const repeat = {
+        boundsPeriod: end ? { start, end } : { start },
+        frequency: times.length,
+        period: recurrence.frequency === 'interval' ? recurrence.interval : 1,
+        periodUnit: 'd',
+        timeOfDay: times.map(time => `${time}:00`),
+    };
+    if (recurrence.frequency === 'weekly') {
+        repeat.dayOfWeek = [...recurrence.daysOfWeek].sort((a, b) => a - b).map(day => FHIR_WEEKDAYS[day]);
+    }
+
+    const dosage = medication.type === 'prn'
+        ? buildPrnDosage(medication, amount, repeat.boundsPeriod)
+        : { text: `${amount}, ${describeFrequency({ recurrence })} at ${times.join(', ')}`, timing: { repeat } };
+    if (sequence) dosage.sequence = sequence;
+    const structured = medication.dosage || {};
+    const doseQuantity = structured.quantity
+        ? { value: getDoseQuantity(medication, start), ...(structured.form ? { unit: structured.form } : {}) }
+        : toQuantity(amount);
+    if (doseQuantity) dosage.doseAndRate = [{ doseQuantity }];
+    if (structured.route) dosage.route = { text: structured.route };
+    return dosage;
+};
+
+// One Dosage for the whole course, or one per taper step (in sequence, each with its own bounds).
+const buildDosages = (medication, start) => {
+    const end = getCourseEndDate(medication);
+    const taper = medication.taper || [];
+    if (taper.length === 0 || !(medication.recurrence && medication.recurrence.startDate)) {
+        return [buildDosage(medication, { start, end })];
+    }
+
+    let stepStart = medication.recurrence.startDate;
+    return taper.map((step, index) => {
+        const stepEnd = addDays(stepStart, step.durationDays - 1);
+        const dosage = buildDosage(medication, { start: stepStart, end: stepEnd, sequence: index + 1 });
+        stepStart = addDays(stepEnd, 1);
+        return dosage;
+    });
+};
+
+/**
+ * Converts a medication to a FHIR R4 MedicationStatement or MedicationRequest.
+ * @param {object} medication
+ * @param {object} patient - The owner (needs _id, username, timezone).
+ * @param {'MedicationStatement'|'MedicationRequest'} resourceType
+ * @returns {object}
+ */
+const toFhirResource = (medication, patient, resourceType) => {
+    const timeZone = resolveTimezone(patient.timezone);
+    const today = getLocalDateTime(new Date(), timeZone).date;
+    const start = (medication.recurrence && medication.recurrence.startDate) || getLocalDateTime(medication.createdAt, timeZone).date;
+    const end = getCourseEndDate(medication);
+    const archived = medication.status === 'archived';
+
+    let status = end && end < today ? 'completed' : 'active';
+    if (archived) status = 'stopped'; // Discontinued, rather than a course that ran to its end
+    const resource = {
+        resourceType,
+        id: medication._id.toString(),
+        status,
+        medicationCodeableConcept: { text: medication.name },
+        subject: { reference: `Patient/${patient._id}`, display: patient.username },
+    };
+    if (archived && medication.archive.reason) {
+        // MedicationStatement allows several reasons, MedicationRequest one.
+        const reason = { text: medication.archive.reason };
+        resource.statusReason = resourceType === 'MedicationStatement' ? [reason] : reason;
+    }
+    if (medication.precautions) {
+        resource.note = [{ text: medication.precautions }];
+    }
+
+    const dosages = buildDosages(medication, start);
+    if (resourceType === 'MedicationRequest') {
+        return { ...resource, intent: 'order', authoredOn: medication.createdAt.toISOString(), dosageInstruction: dosages };
+    }
+    return {
+        ...resource,
+        effectivePeriod: end ? { start, end } : { start },
+        dateAsserted: medication.updatedAt.toISOString(),
+        dosage: dosages,
+    };
+};
+
+/**
+ * Builds a FHIR collection Bundle with one resource per medication.
+ * @param {object} patient
+ * @param {Array<object>} medications
+ * @param {'MedicationStatement'|'MedicationRequest'} [resourceType]
+ * @returns {object}
+ */
+const buildBundle = (patient, medications, resourceType = 'MedicationStatement') => ({
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    total: medications.length,
+    entry: medications.map(medication => ({
+        fullUrl: `urn:uuid:${medication._id}`,
+        resource: toFhirResource(medication, patient, resourceType),
+    })),
+});
+
+// Errors thrown while mapping an entry; the message is reported for that entry.
+class FhirMappingError extends Error {}
+
+const fail = (message) => {
+    throw new FhirMappingError(message);
+};
+
+const conceptText = concept => concept && (concept.text || (concept.coding || []).map(c => c.display).find(Boolean));
+
+// The medication's name, from the inline concept or a referenced Medication resource in the Bundle or contained.
+const getMedicationName = (resource, bundleResources) => {
+    const inline = conceptText(resource.medicationCodeableConcept);
+    if (inline) return inline;
+
+    const reference = resource.medicationReference && resource.medicationReference.reference;
+    if (!reference) fail('The entry has no medicationCodeableConcept or medicationReference.');
+    const referenced = reference.startsWith('#')
+        ? (resource.contained || []).find(contained => `#${contained.id}` === reference)
+        : bundleResources.get(reference);
+    if (!referenced) fail(`Referenced medication "${reference}" was not found in the Bundle.`);
+    return conceptText(referenced.code) || fail(`Referenced medication "${reference}" has no name (code.text or coding.display).`);
+};
+
+const toDate = (dateTime, label) => {
+    const date = typeof dateTime === 'string' ? dateTime.slice(0, 10) : null;
+    if (!date || !isValidDateString(date)) fail(`${label} must be a FHIR date or dateTime.`);
+    return date;
+};
+
+const getAmount = (dosage) => {
+    const rate = (dosage.doseAndRate || []).find(entry => entry.doseQuantity);
+    if (rate) {
+        const { value, unit, code } = rate.doseQuantity;
+        if (typeof value !== 'number') fail('Dosage doseQuantity has no numeric value.');
+        return unit || code ? `${value} ${unit || code}` : String(value);
+    }
+    return dosage.text || fail('Dosage has neither doseQuantity nor text, so the dose amount is unknown.');
+};
+
+const getTimes = (repeat) => {
+    if (Array.isArray(repeat.timeOfDay) && repeat.timeOfDay.length > 0) {
+        return repeat.timeOfDay.map((time) => {
+            const match = TIME_PATTERN.exec(time);
+            if (!match) fail(`Timing timeOfDay "${time}" is not a valid time.`);
+            return `${match[1]}:${match[2]}`;
+        });
+    }
+    if (Array.isArray(repeat.when) && repeat.when.length > 0) {
+        return repeat.when.map(code => WHEN_TIMES[code] || fail(`Timing "when" code "${code}" is not supported.`));
+    }
+    const perDay = (repeat.period || 1) === 1 && (repeat.periodUnit || 'd') === 'd' ? repeat.frequency || 1 : null;
+    return TIMES_PER_DAY[perDay] || fail('Dosage timing needs timeOfDay, when, or a frequency of 1-4 times a day.');
+};
+
+const getRecurrence = (repeat) => {
+    const period = repeat.period || 1;
+    const periodUnit = repeat.periodUnit || 'd';
+    if (Array.isArray(repeat.dayOfWeek) && repeat.dayOfWeek.length > 0) {
+        const daysOfWeek = repeat.dayOfWeek.map(day => FHIR_WEEKDAYS.indexOf(day));
+        if (daysOfWeek.includes(-1)) fail(`Timing dayOfWeek ${JSON.stringify(repeat.dayOfWeek)} contains an invalid day.`);
+        return { frequency: 'weekly', daysOfWeek };
+    }
+    if (periodUnit === 'd') {
+        return period === 1 ? { frequency: 'daily' } : { frequency: 'interval', interval: period };
+    }
+    if (periodUnit === 'wk' && Number.isInteger(period)) {
+        return { frequency: 'interval', interval: period * 7 };
+    }
+    return fail(`Timing period ${period} ${periodUnit} is not supported; only daily, weekly and every-N-days schedules are.`);
+};
+
+const toMinutes = (value, unit, label) => {
+    if (typeof value !== 'number' || value <= 0 || !MINUTES_PER_UNIT[unit]) {
+        fail(`${label} must be a positive number of minutes, hours or days.`);
+    }
+    return Math.round(value * MINUTES_PER_UNIT[unit]);
+};
+
+// Limits of an as-needed dosage: "once every 4 hours" (frequency 1 per period) is the minimum interval;
+// "up to 4 times a day" or maxDosePerPeriod over 24 hours is the daily maximum.
+const getPrnLimits = (dosage) => {
+    const repeat = (dosage.timing && dosage.timing.repeat) || {};
+    const prn = {};
+    if (repeat.period) {
+        const periodMinutes = toMinutes(repeat.period, repeat.periodUnit || 'd', 'Timing period');
+        const frequency = repeat.frequencyMax || repeat.frequency || 1;
+        if (frequency === 1) {
+            prn.minIntervalMinutes = periodMinutes;
+        } else if (periodMinutes === MINUTES_PER_UNIT.d) {
+            prn.maxDosesPer24h = frequency;
+        } else {
+            fail(`As-needed timing of ${frequency} times per ${repeat.period} ${repeat.periodUnit} is not supported.`);
+        }
+    }
+
+    const maxDose = dosage.maxDosePerPeriod;
+    if (maxDose) {
+        const { numerator = {}, denominator = {} } = maxDose;
+        if (toMinutes(denominator.value, denominator.unit || denominator.code, 'maxDosePerPeriod denominator') !== MINUTES_PER_UNIT.d) {
+            fail('maxDosePerPeriod is only supported per 24 hours.');
+        }
+        // A numerator in the dose's unit (e.g. 8 tablets) is converted to a number of doses.
+        const rate = (dosage.doseAndRate || []).find(entry => entry.doseQuantity);
+        const dose = rate && rate.doseQuantity;
+        const sameUnit = dose && numerator.unit && numerator.unit === dose.unit && dose.value > 0;
+        const doses = sameUnit ? Math.floor(numerator.value / dose.value) : numerator.value;
+        if (!Number.isInteger(doses) || doses < 1) fail('maxDosePerPeriod must allow at least one dose.');
+        prn.maxDosesPer24h = Math.min(doses, prn.maxDosesPer24h || Infinity);
+    }
+    return prn;
+};
+
+const getBounds = (repeat) => {
+    const bounds = repeat.boundsPeriod || {};
+    return {
+        start: bounds.start ? toDate(bounds.start, 'boundsPeriod.start') : null,
+        end: bounds.end ? toDate(bounds.end, 'boundsPeriod.end') : null,
+    };
+};
+
+// Maps one MedicationStatement/MedicationRequest to the fields of a Medication document.
+const mapResource = (resource, bundleResources) => {
+    const allowedStatuses = IMPORTABLE_STATUSES[resource.resourceType];
+    if (resource.status && !allowedStatuses.includes(resource.status)) {
+        fail(`Status "${resource.status}" is not importable; expected one of: ${allowedStatuses.join(', ')}.`);
+    }
+
+    const name = getMedicationName(resource, bundleResources);
+    const dosages = [...(resource.dosage || resource.dosageInstruction || [])]
+        .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+    if (dosages.length === 0) fail('The entry has no dosage instructions.');
+    // As-needed dosages have no times; their timing only bounds the course and limits how often doses are taken.
+    const asNeeded = dosages.some(dosage => dosage.asNeededBoolean || dosage.asNeededCodeableConcept);
+    if (asNeeded && dosages.length > 1) fail('As-needed (PRN) dosages in a sequence are not supported.');
+
+    const repeats = dosages.map(dosage => (dosage.timing && dosage.timing.repeat) || (asNeeded ? {} : fail('Dosage has no timing.repeat.')));
+    const times = asNeeded ? [] : getTimes(repeats[0]);
+    const recurrence = asNeeded ? { frequency: 'daily' } : getRecurrence(repeats[0]);
+    if (!asNeeded && repeats.some(repeat => JSON.stringify(getTimes(repeat)) !== JSON.stringify(times)
+        || JSON.stringify(getRecurrence(repeat)) !== JSON.stringify(recurrence))) {
+        fail('Multiple dosages must share the same times and frequency; only the amount may change (tapering).');
+    }
+
+    const effective = resource.effectivePeriod || {};
+    const firstBounds = getBounds(repeats[0]);
+    const startDate = firstBounds.start || (effective.start && toDate(effective.start, 'effectivePeriod.start'));
+    const endDate = getBounds(repeats[repeats.length - 1]).end || (effective.end && toDate(effective.end, 'effectivePeriod.end'));
+    if (startDate) recurrence.startDate = startDate;
+    if (endDate) recurrence.endDate = endDate;
+
+    // Several dosages in sequence are a taper: each needs its own bounds, back to back.
+    let taper;
+    if (dosages.length > 1) {
+        taper = dosages.map((dosage, index) => {
+            const { start, end } = getBounds(repeats[index]);
+            if (!start || !end) fail('Each dosage in a sequence needs timing.repeat.boundsPeriod with start and end.');
+            if (index > 0 && start !== addDays(getBounds(repeats[index - 1]).end, 1)) {
+                fail('Dosages in a sequence must follow each other without gaps or overlaps.');
+            }
+            return { durationDays: daysBetween(start, end) + 1, amount: getAmount(dosage) };
+        });
+        delete recurrence.endDate;
+    }
+
+    const precautions = [
+        ...(resource.note || []).map(note => note.text),
+        ...dosages.flatMap(dosage => [dosage.patientInstruction, ...(dosage.additionalInstruction || []).map(conceptText)]),
+    ].filter(Boolean);
+
+    const amount = getAmount(dosages[0]);
+    const parsed = parseAmount(amount);
+    return {
+        name,
+        type: asNeeded ? 'prn' : 'scheduled',
+        prn: asNeeded ? getPrnLimits(dosages[0]) : undefined,
+        amount,
+        dosage: parsed ? { quantity: parsed.quantity, form: parsed.form, strength: parsed.strength || undefined } : undefined,
+        precautions: [...new Set(precautions)].join('\n') || undefined,
+        schedules: [...new Set(times)].map(time => ({ time })),
+        recurrence,
+        taper,
+    };
+};
+
+/**
+ * Creates medications from a FHIR Bundle of MedicationStatement/MedicationRequest resources.
+ * Entries are independent: ones that cannot be mapped are reported with the reason and the rest are still imported.
+ * Medication resources are only used to resolve medicationReference.
+ * @param {object} patient - Owner of the new medications.
+ * @param {object} bundle
+ * @returns {Promise<{ created: Array<object>, errors: Array<{ index: number, fullUrl?: string, resourceType?: string, message: string }> }>}
+ */
+const importBundle = async (patient, bundle) => {
+    const entries = bundle.entry || [];
+    const bundleResources = new Map();
+    entries.forEach(({ fullUrl, resource }) => {
+        if (!resource) return;
+        if (fullUrl) bundleResources.set(fullUrl, resource);
+        if (resource.id) bundleResources.set(`${resource.resourceType}/${resource.id}`, resource);
+    });
+
+    const today = getLocalDateTime(new Date(), patient.timezone).date;
+    const created = [];
+    const errors = [];
+    for (const [index, { fullUrl, resource }] of entries.entries()) {
+        const report = message => errors.push({ index, fullUrl, resourceType: resource && resource.resourceType, message });
+        if (!resource) {
+            report('The entry has no resource.');
+            continue;
+        }
+        if (resource.resourceType === 'Medication') continue;
+        if (!RESOURCE_TYPES.includes(resource.resourceType)) {
+            report(`Resource type "${resource.resourceType}" is not supported; expected ${RESOURCE_TYPES.join(' or ')}.`);
+            continue;
+        }
+
+        try {
+            const fields = mapResource(resource, bundleResources);
+            const recurrenceError = validateRecurrence(fields.recurrence, fields.taper);
+            if (recurrenceError) fail(recurrenceError);
+
+            const medication = new Medication({
+                ...fields,
+                user: patient._id,
+                recurrence: withDefaultStartDate(fields.recurrence, fields.taper, today),
+            });
+            created.push(await medication.save());
+        } catch (error) {
+            if (error instanceof FhirMappingError) {
+                report(error.message);
+            } else if (error.name === 'ValidationError') {
+                report(Object.values(error.errors).map(e => e.message).join(' '));
+            } else {
+                throw error;
+            }
+        }
+    }
+    return { created, errors };
+};
+
+module.exports = {
+    RESOURCE_TYPES,
+    buildBundle,
+    importBundle,
+};
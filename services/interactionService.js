@@ -0,0 +1,164 @@
+// backend/src/services/interactionService.js
+// Duplicate-therapy and drug interaction checks against the bundled dataset in data/drugInteractions.json.
+const Medication = require('../models/Medication');
+const dataset = require('../data/drugInteractions.json');
+const { getLocalDateTime } = require('../utils/timezone');
+const { getCourseEndDate } = require('../utils/recurrence');
+
+// Most serious first; warnings are sorted in this order.
+const SEVERITY_LEVELS = ['contraindicated', 'major', 'moderate', 'minor'];
+
+// Duplicate active ingredients mean a double dose (e.g. two acetaminophen products).
+const DUPLICATE_SEVERITY = 'major';
+
+// Lowercases and strips punctuation, so "Tylenol PM 500mg" and "tylenol-pm" look alike.
+const normalize = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Every known name (ingredient, alias, combination product) mapped to its ingredient ids.
+const NAME_LOOKUP = new Map();
+Object.entries(dataset.ingredients).forEach(([id, ingredient]) => {
+    [id, ingredient.name, ...ingredient.aliases].forEach(name => NAME_LOOKUP.set(normalize(name), [id]));
+});
+Object.entries(dataset.products).forEach(([name, ingredientIds]) => NAME_LOOKUP.set(normalize(name), ingredientIds));
+const MAX_NAME_WORDS = Math.max(...[...NAME_LOOKUP.keys()].map(name => name.split(' ').length));
+
+/**
+ * Works out the active ingredients of a medication from its free-text name.
+ * Longer names win, so "Tylenol PM" is read as acetaminophen + diphenhydramine rather than just "Tylenol".
+ * @param {string} name - e.g. "Advil 200mg", "Lisinopril/HCTZ".
+ * @returns {Array<string>} Ingredient ids; empty when the name is not recognized.
+ */
+const getIngredients = (name) => {
+    const words = normalize(name).split(' ').filter(Boolean);
+    const found = new Set();
+
+    for (let start = 0; start < words.length;) {
+        let matched = 0;
+        for (let length = Math.min(MAX_NAME_WORDS, words.length - start); length > 0 && !matched; length--) {
+            const ingredientIds = NAME_LOOKUP.get(words.slice(start, start + length).join(' '));
+            if (ingredientIds) {
+                ingredientIds.forEach(id => found.add(id));
+                matched = length;
+            }
+        }
+        start += matched || 1;
+    }
+    return [...found];
+};
+
+// Whether an interaction entry ("warfarin" or a class such as "nsaid") covers an ingredient.
+const covers = (entry, ingredientId) => entry === ingredientId || dataset.ingredients[ingredientId].classes.includes(entry);
+
+const findInteraction = (a, b) => {
+    let worst = null;
+    dataset.interactions.forEach((interaction) => {
+        const [x, y] = interaction.between;
+        const matches = (covers(x, a) && covers(y, b)) || (covers(x, b) && covers(y, a));
+        if (matches && (!worst || SEVERITY_LEVELS.indexOf(interaction.severity) < SEVERITY_LEVELS.indexOf(worst.severity))) {
+            worst = interaction;
+        }
+    });
+    return worst;
+};
+
+const ingredientName = id => dataset.ingredients[id].name;
+const describe = medication => ({ medicationId: medication._id, name: medication.name });
+const bySeverity = (a, b) => SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity);
+
+/**
+ * Compares two medications: shared active ingredients and known interactions between their ingredients.
+ * @param {object} first
+ * @param {object} second
+ * @returns {Array<object>} Warnings of type 'duplicate' or 'interaction'.
+ */
+const compareMedications = (first, second) => {
+    const firstIngredients = getIngredients(first.name);
+    const secondIngredients = getIngredients(second.name);
+    const warnings = [];
+
+    firstIngredients.filter(id => secondIngredients.includes(id)).forEach((id) => {
+        warnings.push({
+            type: 'duplicate',
+            severity: DUPLICATE_SEVERITY,
+            ingredients: [ingredientName(id)],
+            medications: [describe(first), describe(second)],
+            description: `Both medications contain ${ingredientName(id)}. Taking them together can double the dose.`,
+        });
+    });
+
+    firstIngredients.forEach((a) => {
+        secondIngredients.forEach((b) => {
+            if (a === b) return;
+            const interaction = findInteraction(a, b);
+            if (!interaction) return;
+            warnings.push({
+                type: 'interaction',
+                severity: interaction.severity,
+                ingredients: [ingredientName(a), ingredientName(b)],
+                medications: [describe(first), describe(second)],
+                description: interaction.description,
+            });
+        });
+    });
+
+    return warnings;
+};
+
+// The patient's medications that are still being taken: archived ones and courses that ended before today are left out.
+const getCurrentMedications = async (patient) => {
+    const today = getLocalDateTime(new Date(), patient.timezone).date;
+    const medications = await Medication.find({ user: patient._id, status: { $ne: 'archived' } }).sort({ createdAt: 1 });
+    return medications.filter((medication) => {
+        const courseEnd = getCourseEndDate(medication);
+        return !courseEnd || courseEnd >= today;
+    });
+};
+
+/**
+ * Checks one medication against the patient's other current medications.
+ * Used after a medication is created or updated; the warnings are returned with the saved medication.
+ * @param {object} medication - The saved medication.
+ * @param {object} patient - Its owner (for the timezone).
+ * @returns {Promise<Array<object>>} Warnings, most serious first.
+ */
+const checkMedication = async (medication, patient) => {
+    const others = (await getCurrentMedications(patient))
+        .filter(other => other._id.toString() !== medication._id.toString());
+    return others.flatMap(other => compareMedications(medication, other)).sort(bySeverity);
+};
+
+/**
+ * Checks all of a patient's current medications against each other.
+ * @param {object} patient
+ * @param {object} [options]
+ * @param {string} [options.candidateName] - A medication not yet added, checked against the current ones too.
+ * @returns {Promise<{ medications: Array<object>, warnings: Array<object> }>}
+ */
+const getInteractionReport = async (patient, { candidateName } = {}) => {
+    const medications = await getCurrentMedications(patient);
+    if (candidateName) {
+        medications.push({ _id: null, name: candidateName });
+    }
+
+    const warnings = [];
+    medications.forEach((first, index) => {
+        medications.slice(index + 1).forEach((second) => {
+            warnings.push(...compareMedications(first, second));
+        });
+    });
+
+    return {
+        medications: medications.map((medication) => {
+            const ingredients = getIngredients(medication.name);
+            return { ...describe(medication), ingredients: ingredients.map(ingredientName), recognized: ingredients.length > 0 };
+        }),
+        warnings: warnings.sort(bySeverity),
+    };
+};
+
+module.exports = {
+    SEVERITY_LEVELS,
+    getIngredients,
+    checkMedication,
+    getInteractionReport,
+};
@@ -0,0 +1,114 @@
+// backend/src/services/inventoryService.js
+const Medication = require('../models/Medication');
+const { addDays, daysBetween } = require('../utils/timezone');
+const { getCourseEndDate } = require('../utils/recurrence');
+const { getDoseQuantity } = require('../utils/dosage');
+
+/**
+ * Validates inventory settings sent by a client.
+ * @param {object} [inventory] - { onHand, unitsPerDose, refillThresholdDays }
+ * @returns {string|null} An error message, or null when valid.
+ */
+const validateInventory = (inventory) => {
+    if (inventory === undefined || inventory === null) return null;
+    if (typeof inventory !== 'object' || Array.isArray(inventory)) {
+        return 'Inventory must be an object.';
+    }
+    const { onHand, unitsPerDose, refillThresholdDays } = inventory;
+    if (onHand !== undefined && onHand !== null && (typeof onHand !== 'number' || onHand < 0)) {
+        return 'Inventory onHand must be a number of units, 0 or more (or null to stop tracking).';
+    }
+    if (unitsPerDose !== undefined && (typeof unitsPerDose !== 'number' || unitsPerDose <= 0)) {
+        return 'Inventory unitsPerDose must be a number greater than 0.';
+    }
+    if (refillThresholdDays !== undefined && (!Number.isInteger(refillThresholdDays) || refillThresholdDays < 0)) {
+        return 'Inventory refillThresholdDays must be a whole number of days, 0 or more.';
+    }
+    return null;
+};
+
+/**
+ * Average number of scheduled doses per day, taking the recurrence rules into account.
+ * @param {object} medication
+ * @returns {number}
+ */
+const getDosesPerDay = (medication) => {
+    const recurrence = medication.recurrence || {};
+    const dosesOnDueDay = medication.schedules.length;
+
+    if (recurrence.frequency === 'weekly') {
+        return dosesOnDueDay * (recurrence.daysOfWeek || []).length / 7;
+    }
+    if (recurrence.frequency === 'interval') {
+        return dosesOnDueDay / (recurrence.interval || 1);
+    }
+    return dosesOnDueDay;
+};
+
+/**
+ * Units of stock one dose uses up: the structured dose quantity (e.g. 2 tablets), or inventory.unitsPerDose
+ * for medications that only have a free-text amount.
+ * @param {object} medication
+ * @param {object} scheduleEntry
+ * @param {string} date - The dose's local date (taper steps can change the quantity).
+ * @returns {number}
+ */
+const getUnitsPerDose = (medication, scheduleEntry, date) => {
+    const quantity = getDoseQuantity(medication, date, scheduleEntry);
+    if (quantity) return quantity;
+    return medication.inventory ? medication.inventory.unitsPerDose : 1;
+};
+
+/**
+ * Projects how long the stock on hand will last.
+ * @param {object} medication
+ * @param {string} today - The user's local date, "YYYY-MM-DD".
+ * @returns {object|null} { onHand, dosesPerDay, daysRemaining, runsOutOn, needsRefill }, or null when stock is not tracked.
+ */
+const getSupplyForecast = (medication, today) => {
+    const inventory = medication.inventory || {};
+    if (inventory.onHand === null || inventory.onHand === undefined) return null;
+
+    const dosesPerDay = getDosesPerDay(medication);
+    const averageUnitsPerDose = medication.schedules.length > 0
+        ? medication.schedules.reduce((sum, entry) => sum + getUnitsPerDose(medication, entry, today), 0) / medication.schedules.length
+        : 0;
+    const dailyUsage = dosesPerDay * averageUnitsPerDose;
+    const daysRemaining = dailyUsage > 0 ? Math.floor(inventory.onHand / dailyUsage) : null;
+    const runsOutOn = daysRemaining === null ? null : addDays(today, daysRemaining);
+
+    // No refill is needed if a fixed course ends before the stock runs out.
+    const courseEnd = getCourseEndDate(medication);
+    const outlastsCourse = courseEnd !== null && runsOutOn !== null && runsOutOn > courseEnd;
+    const courseOver = courseEnd !== null && daysBetween(today, courseEnd) < 0;
+
+    return {
+        onHand: inventory.onHand,
+        dosesPerDay: Math.round(dosesPerDay * 100) / 100,
+        daysRemaining,
+        runsOutOn,
+        needsRefill: daysRemaining !== null && !outlastsCourse && !courseOver
+            && daysRemaining < (inventory.refillThresholdDays ?? 7),
+    };
+};
+
+/**
+ * Adds (positive) or removes (negative) units from a medication's stock, never going below zero.
+ * Does nothing for medications whose stock is not tracked.
+ * @param {string|object} medicationId
+ * @param {number} delta
+ * @param {object} [session] - A MongoDB session, when part of a transaction.
+ */
+const adjustStock = (medicationId, delta, session = null) => Medication.updateOne(
+    { _id: medicationId, 'inventory.onHand': { $ne: null } },
+    [{ $set: { 'inventory.onHand': { $max: [0, { $add: ['$inventory.onHand', delta] }] } } }],
+    { session }
+);
+
+module.exports = {
+    validateInventory,
+    getDosesPerDay,
+    getUnitsPerDose,
+    getSupplyForecast,
+    adjustStock,
+};
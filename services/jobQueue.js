@@ -0,0 +1,164 @@
+// backend/src/services/jobQueue.js
+// MongoDB-backed queue for reminder jobs. Jobs are leased before they run, so any number of server
+// instances can work the same queue without sending a dose's reminder twice.
+const crypto = require('crypto');
+const os = require('os');
+const ReminderJob = require('../models/ReminderJob');
+
+const LEASE_SECONDS = parseInt(process.env.REMINDER_JOB_LEASE_SECONDS, 10) || 120;
+const MAX_ATTEMPTS = parseInt(process.env.REMINDER_JOB_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.REMINDER_JOB_RETRY_BASE_SECONDS, 10) || 60;
+const MAX_RETRY_DELAY_SECONDS = 30 * 60;
+const COMPLETED_RETENTION_DAYS = 7;
+const FAILED_RETENTION_DAYS = 30;
+
+// Identifies this process in `lockedBy`, e.g. "api-1:4312:9f2c".
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(2).toString('hex')}`;
+
+const secondsFrom = (date, seconds) => new Date(date.getTime() + seconds * 1000);
+const daysFrom = (date, days) => secondsFrom(date, days * 24 * 60 * 60);
+
+/**
+ * The key that makes a dose's job unique: medication, schedule entry and local date.
+ */
+const getJobKey = (medicationId, scheduleId, date) => `${medicationId}:${scheduleId}:${date}`;
+
+/**
+ * Adds a job unless one with the same key already exists (from another instance, or an earlier check).
+ * @param {object} job - { key, user, medication, scheduleId, date, scheduledTime, runAt }
+ * @returns {Promise<boolean>} Whether a new job was created.
+ */
+const enqueueJob = async (job) => {
+    const result = await ReminderJob.updateOne(
+        { key: job.key },
+        { $setOnInsert: { ...job, stage: 'reminder', status: 'pending' } },
+        { upsert: true }
+    );
+    return result.upsertedCount > 0;
+};
+
+/**
+ * Leases the next due job for this worker. Jobs whose lease ran out (e.g. their worker crashed) are picked up again.
+ * @param {Date} now
+ * @returns {Promise<object|null>}
+ */
+const claimNextJob = (now) => ReminderJob.findOneAndUpdate(
+    {
+        status: 'pending',
+        runAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedBy: WORKER_ID, lockedUntil: secondsFrom(now, LEASE_SECONDS), lastAttemptAt: now } },
+    { sort: { runAt: 1 }, new: true }
+);
+
+// Only the worker holding the lease may finish or move a job.
+const releaseJob = (job, update) => ReminderJob.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { ...update, $set: { ...update.$set, lockedBy: null, lockedUntil: null } }
+);
+
+/**
+ * Marks a job as done.
+ * @param {object} job
+ * @param {string} result - Why, e.g. "Dose answered."
+ */
+const completeJob = (job, result) => releaseJob(job, {
+    $set: { status: 'completed', result, completedAt: new Date(), expiresAt: daysFrom(new Date(), COMPLETED_RETENTION_DAYS) },
+});
+
+/**
+ * Moves a job on to its next stage (or the same stage later, e.g. after a snooze). Resets the retry count.
+ * @param {object} job
+ * @param {'reminder'|'followUp'|'escalate'} stage
+ * @param {Date} runAt
+ */
+const rescheduleJob = (job, stage, runAt) => releaseJob(job, {
+    $set: { stage, runAt, attempts: 0, lastError: null },
+});
+
+/**
+ * Records a failed attempt: the job is retried with exponential backoff, or marked failed after MAX_ATTEMPTS.
+ * @param {object} job
+ * @param {Error} error
+ * @returns {Promise<boolean>} Whether the job will be retried.
+ */
+const retryOrFailJob = async (job, error) => {
+    const attempts = job.attempts + 1;
+    const now = new Date();
+    if (attempts >= MAX_ATTEMPTS) {
+        await releaseJob(job, {
+            $set: { status: 'failed', attempts, lastError: error.message, expiresAt: daysFrom(now, FAILED_RETENTION_DAYS) },
+        });
+        return false;
+    }
+
+    const delaySeconds = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+    await releaseJob(job, { $set: { attempts, lastError: error.message, runAt: secondsFrom(now, delaySeconds) } });
+    return true;
+};
+
+/**
+ * Moves a dose's pending job to a new time and stage, e.g. when the dose is snoozed.
+ * @returns {Promise<boolean>} Whether a pending job was found.
+ */
+const reschedulePendingJob = async (key, stage, runAt) => {
+    const result = await ReminderJob.updateOne({ key, status: 'pending' }, { $set: { stage, runAt, attempts: 0 } });
+    return result.matchedCount > 0;
+};
+
+/**
+ * Puts a failed job back in the queue, to run now.
+ * @param {string|object} jobId
+ * @returns {Promise<object|null>} The job, or null if it was not failed.
+ */
+const retryFailedJob = (jobId) => ReminderJob.findOneAndUpdate(
+    { _id: jobId, status: 'failed' },
+    { $set: { status: 'pending', runAt: new Date(), attempts: 0, expiresAt: null } },
+    { new: true }
+);
+
+/**
+ * Number of jobs in the queue by status.
+ * @returns {Promise<{ pending: number, completed: number, failed: number }>}
+ */
+const countJobs = async () => {
+    const countsByStatus = await ReminderJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    const counts = { pending: 0, completed: 0, failed: 0 };
+    countsByStatus.forEach(({ _id, count }) => { counts[_id] = count; });
+    return counts;
+};
+
+/**
+ * Lists jobs for the admin view, soonest first.
+ * @param {object} options
+ * @param {'pending'|'completed'|'failed'} options.status
+ * @param {number} options.limit
+ * @returns {Promise<{ counts: object, jobs: Array<object> }>}
+ */
+const listJobs = async ({ status, limit }) => {
+    const [jobs, counts] = await Promise.all([
+        ReminderJob.find({ status })
+            .sort({ runAt: status === 'pending' ? 1 : -1 })
+            .limit(limit)
+            .populate('user', 'username')
+            .populate('medication', 'name'),
+        countJobs(),
+    ]);
+    return { counts, jobs };
+};
+
+module.exports = {
+    WORKER_ID,
+    MAX_ATTEMPTS,
+    getJobKey,
+    enqueueJob,
+    claimNextJob,
+    completeJob,
+    rescheduleJob,
+    retryOrFailJob,
+    reschedulePendingJob,
+    retryFailedJob,
+    countJobs,
+    listJobs,
+};
@@ -0,0 +1,318 @@
+// backend/src/services/journalService.js
+// The patient's journal of symptoms, side effects and vital signs, and the summary that lines entries up
+// against when medications were started, changed and stopped, for bringing to a doctor.
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const Medication = require('../models/Medication');
+const MedicationHistory = require('../models/MedicationHistory');
+const DoseEvent = require('../models/DoseEvent');
+const { VITAL_KINDS } = require('../models/JournalEntry');
+const { getLocalDateTime, addDays, resolveTimezone } = require('../utils/timezone');
+
+const ENTRY_TYPES = ['symptom', 'side_effect', 'vital'];
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // Device clocks run a little ahead; later than this is a mistake
+
+// Units each kind of vital may be recorded in; the first is the default and the one summaries report in.
+const VITAL_UNITS = {
+    blood_pressure: ['mmHg'],
+    glucose: ['mg/dL', 'mmol/L'],
+    weight: ['kg', 'lb'],
+    heart_rate: ['bpm'],
+};
+const TO_SUMMARY_UNIT = {
+    'mmol/L': value => value * 18.016, // Glucose, to mg/dL
+    lb: value => value * 0.45359237, // To kg
+};
+
+// Edits to these medication fields change the dose the patient takes.
+const DOSE_FIELDS = ['amount', 'dosage', 'schedules', 'taper'];
+
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const round1 = value => Math.round(value * 10) / 10;
+
+const validateVital = (vital) => {
+    if (!vital || typeof vital !== 'object' || Array.isArray(vital)) {
+        return 'Vital entries need a vital, e.g. { kind: "glucose", value: 110, unit: "mg/dL" }.';
+    }
+    if (!VITAL_KINDS.includes(vital.kind)) {
+        return `Vital kind must be one of: ${VITAL_KINDS.join(', ')}.`;
+    }
+    const units = VITAL_UNITS[vital.kind];
+    if (vital.unit !== undefined && !units.includes(vital.unit)) {
+        return `Unit for ${vital.kind} must be one of: ${units.join(', ')}.`;
+    }
+    if (vital.kind === 'blood_pressure') {
+        if (!isPositiveNumber(vital.systolic) || !isPositiveNumber(vital.diastolic)) {
+            return 'Blood pressure needs positive systolic and diastolic numbers.';
+        }
+        if (vital.diastolic >= vital.systolic) {
+            return 'Diastolic pressure must be lower than systolic.';
+        }
+    } else if (!isPositiveNumber(vital.value)) {
+        return `A ${vital.kind.replace('_', ' ')} reading needs a positive value.`;
+    }
+    return null;
+};
+
+// Checks that a linked medication or dose belongs to the patient. A dose also decides the medication.
+const resolveLinks = async (fields, entry) => {
+    const { medicationId, doseEventId } = fields;
+    if (doseEventId !== undefined) {
+        if (doseEventId === null) {
+            entry.doseEvent = null;
+        } else {
+            const doseEvent = mongoose.isValidObjectId(doseEventId)
+                ? await DoseEvent.findOne({ _id: doseEventId, user: entry.user })
+                : null;
+            if (!doseEvent) return 'Dose not found.';
+            if (medicationId && String(medicationId) !== String(doseEvent.medication)) {
+                return 'The dose belongs to a different medication.';
+            }
+            entry.doseEvent = doseEvent._id;
+            entry.medication = doseEvent.medication;
+            return null;
+        }
+    }
+    if (medicationId !== undefined) {
+        if (medicationId === null) {
+            entry.medication = null;
+            entry.doseEvent = null;
+        } else {
+            const medication = mongoose.isValidObjectId(medicationId)
+                ? await Medication.findOne({ _id: medicationId, user: entry.user }).select('_id')
+                : null;
+            if (!medication) return 'Medication not found.';
+            if (!medication._id.equals(entry.medication)) {
+                entry.doseEvent = null; // The linked dose was of the previous medication
+            }
+            entry.medication = medication._id;
+        }
+    }
+    return null;
+};
+
+/**
+ * Applies the body of POST or PUT /api/journal to an entry, without saving it. Fields left out are kept,
+ * and the result is validated as a whole, so an edit may change an entry's type along with its fields.
+ * Linked medications and doses must be the patient's own.
+ * @param {object} entry - A JournalEntry document (new or existing); changed in place.
+ * @param {object} fields - { type, name, severity, vital, recordedAt, note, medicationId, doseEventId }
+ * @param {object} patient - The entry's owner; their timezone decides the entry's local date.
+ * @returns {Promise<string|null>} An error message, or null when the fields were applied.
+ */
+const applyJournalFields = async (entry, fields, patient) => {
+    const { type, name, severity, vital, recordedAt, note } = fields;
+
+    const nextType = type !== undefined ? type : entry.type;
+    if (!ENTRY_TYPES.includes(nextType)) {
+        return `Type must be one of: ${ENTRY_TYPES.join(', ')}.`;
+    }
+    entry.type = nextType;
+
+    if (nextType === 'vital') {
+        const nextVital = vital !== undefined ? vital : (entry.vital && entry.vital.toObject());
+        const vitalError = validateVital(nextVital);
+        if (vitalError) return vitalError;
+        entry.vital = {
+            kind: nextVital.kind,
+            systolic: nextVital.kind === 'blood_pressure' ? nextVital.systolic : null,
+            diastolic: nextVital.kind === 'blood_pressure' ? nextVital.diastolic : null,
+            value: nextVital.kind === 'blood_pressure' ? null : nextVital.value,
+            unit: nextVital.unit || VITAL_UNITS[nextVital.kind][0],
+            context: nextVital.kind === 'glucose' ? (nextVital.context || null) : null,
+        };
+        entry.name = undefined;
+        entry.severity = null;
+    } else {
+        const nextName = name !== undefined ? name : entry.name;
+        if (!nextName || typeof nextName !== 'string' || !nextName.trim()) {
+            return 'Symptoms and side effects need a name, e.g. "headache".';
+        }
+        if (severity !== undefined && severity !== null && !SEVERITIES.includes(severity)) {
+            return `Severity must be one of: ${SEVERITIES.join(', ')}.`;
+        }
+        entry.name = nextName;
+        if (severity !== undefined) entry.severity = severity;
+        entry.vital = null;
+    }
+
+    if (recordedAt !== undefined || !entry.recordedAt) {
+        const when = recordedAt !== undefined ? new Date(recordedAt) : new Date();
+        if (Number.isNaN(when.getTime())) {
+            return 'recordedAt must be a valid date.';
+        }
+        if (when.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+            return 'recordedAt cannot be in the future.';
+        }
+        entry.recordedAt = when;
+        entry.date = getLocalDateTime(when, patient.timezone).date;
+    }
+    if (note !== undefined) {
+        if (note !== null && typeof note !== 'string') return 'Note must be a string.';
+        entry.note = note;
+    }
+
+    return resolveLinks(fields, entry);
+};
+
+// A vital reading in the unit summaries report in (mg/dL, kg).
+const normalizeVital = (vital) => {
+    const convert = TO_SUMMARY_UNIT[vital.unit] || (value => value);
+    return vital.kind === 'blood_pressure'
+        ? { systolic: vital.systolic, diastolic: vital.diastolic }
+        : { value: convert(vital.value) };
+};
+
+const averageVitals = (entries) => {
+    const byKind = new Map();
+    entries.filter(e => e.type === 'vital' && e.vital).forEach((entry) => {
+        if (!byKind.has(entry.vital.kind)) byKind.set(entry.vital.kind, []);
+        byKind.get(entry.vital.kind).push(normalizeVital(entry.vital));
+    });
+    const averages = {};
+    byKind.forEach((readings, kind) => {
+        const average = field => round1(readings.reduce((sum, r) => sum + r[field], 0) / readings.length);
+        averages[kind] = kind === 'blood_pressure'
+            ? { readings: readings.length, systolic: average('systolic'), diastolic: average('diastolic'), unit: 'mmHg' }
+            : { readings: readings.length, value: average('value'), unit: VITAL_UNITS[kind][0] };
+    });
+    return averages;
+};
+
+// Symptom and side-effect counts, and vital averages, for entries on dates in [from, to].
+const summarizeWindow = (entries, from, to) => {
+    const inWindow = entries.filter(e => e.date >= from && e.date <= to);
+    const symptoms = {};
+    inWindow.filter(e => e.type !== 'vital').forEach((entry) => {
+        symptoms[entry.name] = (symptoms[entry.name] || 0) + 1;
+    });
+    return {
+        from,
+        to,
+        symptomCount: inWindow.filter(e => e.type !== 'vital').length,
+        severeCount: inWindow.filter(e => e.severity === 'severe').length,
+        symptoms,
+        vitals: averageVitals(inWindow),
+    };
+};
+
+// Symptoms and side effects grouped by name, with how often each severity was recorded.
+const groupSymptoms = (entries) => {
+    const groups = new Map();
+    entries.filter(e => e.type !== 'vital').forEach((entry) => {
+        const key = `${entry.type}|${entry.name}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                type: entry.type,
+                name: entry.name,
+                count: 0,
+                severity: { mild: 0, moderate: 0, severe: 0, unrated: 0 },
+                firstDate: entry.date,
+                lastDate: entry.date,
+                medications: new Set(),
+            });
+        }
+        const group = groups.get(key);
+        group.count += 1;
+        group.severity[entry.severity || 'unrated'] += 1;
+        if (entry.date < group.firstDate) group.firstDate = entry.date;
+        if (entry.date > group.lastDate) group.lastDate = entry.date;
+        if (entry.medication) group.medications.add(String(entry.medication));
+    });
+    return [...groups.values()]
+        .map(group => ({ ...group, medications: [...group.medications] }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+// When each medication was started, had its dose changed, or was stopped, within [from, to].
+const getMedicationChanges = async (patient, medications, { from, to }) => {
+    const timeZone = resolveTimezone(patient.timezone);
+    const changes = [];
+    medications.forEach((medication) => {
+        const started = (medication.recurrence && medication.recurrence.startDate)
+            || getLocalDateTime(medication.createdAt, timeZone).date;
+        changes.push({ medication, date: started, change: 'started', fields: [] });
+        if (medication.status === 'archived' && medication.archive) {
+            changes.push({ medication, date: medication.archive.date, change: 'stopped', fields: [] });
+        }
+    });
+
+    // History is recorded at the instant of the edit; look a day either side of the range for timezones.
+    const edits = await MedicationHistory.find({
+        user: patient._id,
+        action: 'updated',
+        createdAt: { $gte: new Date(`${addDays(from, -1)}T00:00:00Z`), $lt: new Date(`${addDays(to, 2)}T00:00:00Z`) },
+    }).sort({ createdAt: 1 });
+    const medicationsById = new Map(medications.map(m => [String(m._id), m]));
+    const doseChangesByDay = new Map(); // Several edits on one day count as one change
+    edits.forEach((edit) => {
+        const fields = edit.changes.map(c => c.field).filter(field => DOSE_FIELDS.includes(field.split('.')[0]));
+        const medication = medicationsById.get(String(edit.medication));
+        if (fields.length === 0 || !medication) return;
+        const date = getLocalDateTime(edit.createdAt, timeZone).date;
+        const key = `${edit.medication}|${date}`;
+        if (!doseChangesByDay.has(key)) {
+            doseChangesByDay.set(key, { medication, date, change: 'dose_changed', fields: [] });
+            changes.push(doseChangesByDay.get(key));
+        }
+        const change = doseChangesByDay.get(key);
+        change.fields = [...new Set([...change.fields, ...fields])];
+    });
+
+    return changes
+        .filter(change => change.date >= from && change.date <= to)
+        .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Summarises a patient's journal over [from, to]: entry totals, symptoms by name and severity, average vitals,
+ * and, for every medication start, dose change and stop in the range, the journal in the days before it
+ * compared with the days from it on. Vitals are reported in mg/dL (glucose), kg, mmHg and bpm.
+ * @param {object} patient
+ * @param {object} range
+ * @param {string} range.from - Local "YYYY-MM-DD".
+ * @param {string} range.to - Local "YYYY-MM-DD".
+ * @param {number} windowDays - Days before and after each medication change to compare.
+ * @returns {Promise<object>}
+ */
+const buildJournalSummary = async (patient, { from, to }, windowDays) => {
+    const [medications, entries] = await Promise.all([
+        Medication.find({ user: patient._id }).sort({ createdAt: 1 }),
+        // Windows around changes near the edges of the range reach past it.
+        JournalEntry.find({ user: patient._id, date: { $gte: addDays(from, -windowDays), $lte: addDays(to, windowDays) } })
+            .sort({ recordedAt: 1 }),
+    ]);
+    const inRange = entries.filter(e => e.date >= from && e.date <= to);
+    const changes = await getMedicationChanges(patient, medications, { from, to });
+
+    return {
+        from,
+        to,
+        windowDays,
+        totals: {
+            entries: inRange.length,
+            symptom: inRange.filter(e => e.type === 'symptom').length,
+            side_effect: inRange.filter(e => e.type === 'side_effect').length,
+            vital: inRange.filter(e => e.type === 'vital').length,
+        },
+        symptoms: groupSymptoms(inRange),
+        vitals: averageVitals(inRange),
+        medicationChanges: changes.map(({ medication, date, change, fields }) => ({
+            medication: { _id: medication._id, name: medication.name },
+            date,
+            change,
+            fields,
+            linkedEntries: entries.filter(e => e.medication && e.medication.equals(medication._id)
+                && e.date >= date && e.date <= addDays(date, windowDays - 1)).length,
+            before: summarizeWindow(entries, addDays(date, -windowDays), addDays(date, -1)),
+            after: summarizeWindow(entries, date, addDays(date, windowDays - 1)),
+        })),
+    };
+};
+
+module.exports = {
+    ENTRY_TYPES,
+    applyJournalFields,
+    buildJournalSummary,
+};
@@ -0,0 +1,46 @@
+// backend/src/services/localExpoClient.js
+// An in-memory stand-in for the Expo push client (expo-server-sdk), for development and tests.
+// Enable it with EXPO_CLIENT=local, or inject it with setExpoClient() from channels/pushChannel.js.
+const crypto = require('crypto');
+
+/**
+ * Creates a client with the same methods channels/pushChannel.js uses on the real Expo client.
+ * @param {object} [options]
+ * @param {Array<string>} [options.unregisteredTokens] - Tokens whose receipts report DeviceNotRegistered.
+ * @returns {object} The client. `sent` holds every message "delivered"; `receipts` maps ticket ids to receipts.
+ */
+const createLocalExpoClient = ({ unregisteredTokens = [] } = {}) => {
+    const unregistered = new Set(unregisteredTokens);
+
+    const client = {
+        sent: [],
+        receipts: new Map(),
+
+        // Marks a token as uninstalled from here on, as if the app had been removed from the device.
+        unregisterToken: (token) => {
+            unregistered.add(token);
+        },
+
+        chunkPushNotifications: messages => (messages.length > 0 ? [messages] : []),
+
+        chunkPushNotificationReceiptIds: ids => (ids.length > 0 ? [ids] : []),
+
+        sendPushNotificationsAsync: async (messages) => messages.map((message) => {
+            const id = crypto.randomUUID();
+            client.sent.push({ ...message, ticketId: id, sentAt: new Date() });
+            client.receipts.set(id, unregistered.has(message.to)
+                ? { status: 'error', message: `"${message.to}" is not a registered push notification recipient`, details: { error: 'DeviceNotRegistered' } }
+                : { status: 'ok' });
+            return { status: 'ok', id };
+        }),
+
+        getPushNotificationReceiptsAsync: async (ids) => Object.fromEntries(
+            ids.filter(id => client.receipts.has(id)).map(id => [id, client.receipts.get(id)])
+        ),
+    };
+    return client;
+};
+
+module.exports = {
+    createLocalExpoClient,
+};
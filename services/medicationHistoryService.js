@@ -0,0 +1,158 @@
+// backend/src/services/medicationHistoryService.js
+// Versioned history of medications: every create, edit, archive and restore is recorded with who made it
+// and a field-level diff, so patients can answer "when did that dose change?".
+const MedicationHistory = require('../models/MedicationHistory');
+
+const orNull = value => (value === undefined ? null : value);
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+    && Object.getPrototypeOf(value) === Object.prototype;
+
+// { dosage: { strength: { value: 500 } } } -> { 'dosage.strength.value': 500 }. Lists are kept whole.
+const flatten = (object, prefix = '', into = {}) => {
+    Object.entries(object).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            flatten(value, path, into);
+        } else {
+            into[path] = orNull(value);
+        }
+    });
+    return into;
+};
+
+/**
+ * The fields of a medication that make up its history, flattened to dotted paths.
+ * Bookkeeping (stock on hand, alert timestamps, notification ids) is left out, and so are the PRN limits of
+ * scheduled medications, which do not apply to them.
+ * @param {object} medication - A Medication document.
+ * @returns {object}
+ */
+const snapshotMedication = (medication) => {
+    const doc = medication.toObject();
+    return flatten({
+        name: doc.name,
+        type: doc.type,
+        amount: doc.amount,
+        dosage: doc.dosage,
+        precautions: doc.precautions,
+        schedules: (doc.schedules || []).map(s => ({ time: s.time, quantity: orNull(s.quantity) })),
+        recurrence: doc.recurrence,
+        taper: (doc.taper || []).map(s => ({ durationDays: s.durationDays, quantity: orNull(s.quantity), amount: orNull(s.amount) })),
+        prn: doc.type === 'prn' ? doc.prn : undefined,
+        inventory: {
+            unitsPerDose: doc.inventory && doc.inventory.unitsPerDose,
+            refillThresholdDays: doc.inventory && doc.inventory.refillThresholdDays,
+        },
+    });
+};
+
+/**
+ * Field-level differences between two snapshots.
+ * @param {object} before - From snapshotMedication().
+ * @param {object} after - From snapshotMedication().
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+const diffSnapshots = (before, after) => {
+    const fields = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+    return fields
+        .map(field => ({ field, from: orNull(before[field]), to: orNull(after[field]) }))
+        .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+};
+
+// Model.create() only takes a session with the documents in a list.
+const createEntry = async (entry, session) => {
+    const [created] = await MedicationHistory.create([entry], { session });
+    return created;
+};
+
+/**
+ * Records a new medication, with its initial values as the changes.
+ * @param {object} medication - The saved medication.
+ * @param {string|object} changedBy - The logged-in user's id.
+ * @param {object} [session] - A MongoDB session, when part of a transaction.
+ */
+const recordCreated = (medication, changedBy, session = null) => createEntry({
+    medication: medication._id,
+    user: medication.user,
+    changedBy,
+    version: medication.updatedAt,
+    action: 'created',
+    changes: diffSnapshots({}, snapshotMedication(medication))
+        .filter(change => !(Array.isArray(change.to) && change.to.length === 0)),
+}, session);
+
+/**
+ * Records an edit, if it changed anything that is tracked.
+ * @param {object} before - snapshotMedication() from before the edit.
+ * @param {object} medication - The saved medication.
+ * @param {string|object} changedBy
+ * @param {object} [session]
+ * @returns {Promise<object|null>} The history entry, or null when nothing tracked changed.
+ */
+const recordUpdate = async (before, medication, changedBy, session = null) => {
+    const changes = diffSnapshots(before, snapshotMedication(medication));
+    if (changes.length === 0) return null;
+    return createEntry({
+        medication: medication._id,
+        user: medication.user,
+        changedBy,
+        version: medication.updatedAt,
+        action: 'updated',
+        changes,
+    }, session);
+};
+
+/**
+ * Records that a medication was archived (discontinued) or restored.
+ * @param {object} medication - The saved medication, with its new status.
+ * @param {string|object} changedBy
+ * @param {string|null} [reason] - Why it was discontinued.
+ * @param {object} [session]
+ */
+const recordStatusChange = (medication, changedBy, reason = null, session = null) => {
+    const archived = medication.status === 'archived';
+    return createEntry({
+        medication: medication._id,
+        user: medication.user,
+        changedBy,
+        version: medication.updatedAt,
+        action: archived ? 'archived' : 'restored',
+        changes: [{ field: 'status', from: archived ? 'active' : 'archived', to: medication.status }],
+        reason,
+    }, session);
+};
+
+/**
+ * A medication's history, newest first.
+ * @param {string|object} medicationId
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {Date} [options.before] - Only entries older than this, for paging.
+ */
+const getHistory = (medicationId, { limit, before }) => {
+    const filter = { medication: medicationId };
+    if (before) filter.createdAt = { $lt: before };
+    return MedicationHistory.find(filter)
+        .select('-user')
+        .populate('changedBy', 'username')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+/**
+ * History entries for changes made after a version of a medication, oldest first.
+ * @param {string|object} medicationId
+ * @param {Date} version - The medication's updatedAt in that version.
+ */
+const getChangesAfter = (medicationId, version) => MedicationHistory
+    .find({ medication: medicationId, version: { $gt: version } })
+    .sort({ version: 1 });
+
+module.exports = {
+    snapshotMedication,
+    recordCreated,
+    recordUpdate,
+    recordStatusChange,
+    getHistory,
+    getChangesAfter,
+};
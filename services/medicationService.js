@@ -0,0 +1,295 @@
+// backend/src/services/medicationService.js
+// Creating, editing, archiving and deleting medications and recording doses, shared by the single-change routes in
+// routes/medicationRoutes.js and the offline batch sync (services/syncService.js).
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const ReminderJob = require('../models/ReminderJob');
+const MedicationHistory = require('../models/MedicationHistory');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const { validateInventory, getUnitsPerDose, adjustStock } = require('./inventoryService');
+const { MEDICATION_TYPES, validatePrn } = require('./prnService');
+const { recordStatusChange } = require('./medicationHistoryService');
+const { getLocalDateTime } = require('../utils/timezone');
+const { validateRecurrence, withDefaultStartDate } = require('../utils/recurrence');
+const { validateDosage, parseAmount } = require('../utils/dosage');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DOSE_STATUSES = ['pending', 'taken', 'skipped'];
+const MAX_ARCHIVE_REASON_LENGTH = 500;
+
+const hasValidTimes = schedules => schedules.every(s => s.time && TIME_PATTERN.test(s.time));
+
+// Older clients send only a free-text amount; read it into structured dosage when we can.
+// Amounts we cannot read are kept as text, as for medications saved before structured dosage.
+const dosageFromAmount = (amount) => {
+    const parsed = parseAmount(amount);
+    return parsed && { quantity: parsed.quantity, form: parsed.form, strength: parsed.strength };
+};
+
+/**
+ * Validates the fields of a new medication (the body of POST /api/medications).
+ * @param {object} fields
+ * @returns {string|null} An error message, or null when valid.
+ */
+const validateNewMedication = (fields) => {
+    const { name, amount, taper, inventory, prn, recurrence } = fields;
+    const dosage = fields.dosage || dosageFromAmount(amount);
+    const type = fields.type || 'scheduled';
+    // As-needed medications have no schedule times, so they may leave schedules out.
+    const schedules = type === 'prn' && fields.schedules === undefined ? [] : fields.schedules;
+
+    if (!MEDICATION_TYPES.includes(type)) {
+        return `Type must be one of: ${MEDICATION_TYPES.join(', ')}.`;
+    }
+    if (!name || !(dosage || amount) || !schedules || !Array.isArray(schedules)) {
+        return 'Name, dosage (or amount), and schedules are required.';
+    }
+    if (type === 'prn' && (schedules.length > 0 || (Array.isArray(taper) && taper.length > 0))) {
+        return 'As-needed (PRN) medications cannot have schedule times or a taper.';
+    }
+    const prnError = validatePrn(prn);
+    if (prnError) return prnError;
+    // Basic validation for schedule times
+    if (!hasValidTimes(schedules)) {
+        return 'All schedule entries must have a valid time in HH:MM format.';
+    }
+    const dosageError = validateDosage(dosage, schedules);
+    if (dosageError) return dosageError;
+    if (dosage && !dosage.quantity) {
+        return 'Dosage quantity is required, e.g. 2 (tablets).';
+    }
+    return validateRecurrence(recurrence, taper) || validateInventory(inventory);
+};
+
+/**
+ * Builds (without saving) a new medication from fields that passed validateNewMedication().
+ * @param {object} fields
+ * @param {object} patient - The owner; their timezone decides the default start date.
+ * @returns {object} An unsaved Medication document.
+ */
+const buildMedication = (fields, patient) => {
+    const { name, amount, precautions, recurrence, taper, inventory, prn } = fields;
+    const dosage = fields.dosage || dosageFromAmount(amount);
+    const type = fields.type || 'scheduled';
+    const schedules = type === 'prn' && fields.schedules === undefined ? [] : fields.schedules;
+    const today = getLocalDateTime(new Date(), patient.timezone).date;
+
+    return new Medication({
+        user: patient._id,
+        name,
+        type,
+        amount: dosage ? undefined : amount, // Generated from dosage when there is one
+        dosage: dosage || undefined,
+        precautions,
+        schedules, // Expecting schedules to have { time: "HH:MM", quantity (optional), localNotificationId: "client_generated_id" }
+        recurrence: withDefaultStartDate(recurrence, taper, today), // Defaults to daily, starting today
+        taper,
+        inventory: inventory && {
+            onHand: inventory.onHand,
+            unitsPerDose: inventory.unitsPerDose,
+            refillThresholdDays: inventory.refillThresholdDays,
+        },
+        prn: type === 'prn' ? prn : undefined,
+    });
+};
+
+/**
+ * Applies an edit (the body of PUT /api/medications/:id) to a medication, without saving it.
+ * Fields left out are kept; new values are validated as they will be stored, merged with the existing ones.
+ * @param {object} medication - The Medication document; changed in place.
+ * @param {object} fields
+ * @param {object} owner - The medication's owner (for the timezone).
+ * @returns {string|null} An error message, or null when the edit was applied.
+ */
+const applyMedicationUpdate = (medication, fields, owner) => {
+    const { name, amount, dosage, precautions, schedules, recurrence, taper, inventory, type, prn } = fields;
+
+    const inventoryError = validateInventory(inventory);
+    if (inventoryError) return inventoryError;
+    if (type !== undefined && !MEDICATION_TYPES.includes(type)) {
+        return `Type must be one of: ${MEDICATION_TYPES.join(', ')}.`;
+    }
+    const prnError = validatePrn(prn);
+    if (prnError) return prnError;
+
+    medication.name = name || medication.name;
+    medication.precautions = precautions !== undefined ? precautions : medication.precautions;
+    if (schedules && Array.isArray(schedules)) {
+        // Basic validation for schedule times
+        if (!hasValidTimes(schedules)) {
+            return 'All schedule entries must have a valid time in HH:MM format.';
+        }
+        medication.schedules = schedules;
+    }
+    if (dosage !== undefined || amount || schedules) {
+        // Validate the dose as it will be stored: new fields merged over the existing ones.
+        if (dosage !== undefined && (!dosage || typeof dosage !== 'object' || Array.isArray(dosage))) {
+            return 'Dosage must be an object.';
+        }
+        const parsedAmount = dosage === undefined && amount ? dosageFromAmount(amount) : null;
+        const nextDosage = { ...medication.dosage.toObject(), ...(dosage || parsedAmount) };
+        const dosageError = validateDosage(nextDosage, medication.schedules);
+        if (dosageError) return dosageError;
+        if (amount && !parsedAmount && dosage === undefined) {
+            nextDosage.quantity = null; // An amount we could not read replaces the structured dose
+            medication.amount = amount;
+        }
+        medication.dosage = nextDosage;
+    }
+    if (recurrence !== undefined || taper !== undefined) {
+        // Validate the rules as they will be stored, combining new values with the existing ones.
+        const nextRecurrence = recurrence !== undefined ? recurrence : (medication.recurrence && medication.recurrence.toObject());
+        const nextTaper = taper !== undefined ? taper : medication.taper.toObject();
+        const recurrenceError = validateRecurrence(nextRecurrence, nextTaper);
+        if (recurrenceError) return recurrenceError;
+        const today = getLocalDateTime(new Date(), owner.timezone).date;
+        medication.recurrence = withDefaultStartDate(nextRecurrence, nextTaper, today) || {};
+        medication.taper = nextTaper || [];
+    }
+    medication.type = type || medication.type;
+    if (medication.type === 'prn' && (medication.schedules.length > 0 || medication.taper.length > 0)) {
+        return 'As-needed (PRN) medications cannot have schedule times or a taper.';
+    }
+    if (prn) {
+        ['minIntervalMinutes', 'maxDosesPer24h', 'onLimit'].forEach((field) => {
+            if (prn[field] !== undefined) medication.prn[field] = prn[field];
+        });
+    }
+    if (inventory) {
+        ['onHand', 'unitsPerDose', 'refillThresholdDays'].forEach((field) => {
+            if (inventory[field] !== undefined) medication.inventory[field] = inventory[field];
+        });
+        if (inventory.onHand !== undefined) {
+            medication.inventory.lowStockAlertedAt = null; // Stock was corrected by hand, re-evaluate alerts
+        }
+    }
+    return null;
+};
+
+const validateArchiveReason = reason => (reason !== undefined && reason !== null
+    && (typeof reason !== 'string' || reason.length > MAX_ARCHIVE_REASON_LENGTH)
+    ? `Reason must be a string of at most ${MAX_ARCHIVE_REASON_LENGTH} characters.`
+    : null);
+
+/**
+ * Discontinues a medication: it keeps its dose history, but its course ends today and no more reminders are sent.
+ * @param {object} medication
+ * @param {object} owner - For the timezone of the archive date.
+ * @param {string|object} archivedBy - The logged-in user's id.
+ * @param {string} [reason]
+ * @param {object} [session] - A MongoDB session, when part of a transaction.
+ * @returns {Promise<object>} The saved medication. Publishing the change is left to the caller.
+ */
+const archiveMedication = async (medication, owner, archivedBy, reason, session = null) => {
+    const now = new Date();
+    medication.status = 'archived';
+    medication.archive = {
+        archivedAt: now,
+        date: getLocalDateTime(now, owner.timezone).date,
+        reason: reason || null,
+        archivedBy,
+    };
+    const archived = await medication.save({ session });
+    await ReminderJob.deleteMany({ medication: medication._id }, { session });
+    await recordStatusChange(archived, archivedBy, archived.archive.reason, session);
+    return archived;
+};
+
+/**
+ * Permanently deletes a medication with its doses, reminders and history. Journal entries are the patient's own
+ * record, so they are kept without the link.
+ * @param {object} medication
+ * @param {object} [session] - A MongoDB session, when part of a transaction.
+ * @returns {Promise<void>} Publishing the change is left to the caller.
+ */
+const deleteMedication = async (medication, session = null) => {
+    await Medication.deleteOne({ _id: medication._id }, { session });
+    await DoseEvent.deleteMany({ medication: medication._id }, { session });
+    await ReminderJob.deleteMany({ medication: medication._id }, { session });
+    await MedicationHistory.deleteMany({ medication: medication._id }, { session });
+    await JournalEntry.updateMany({ medication: medication._id }, { $set: { medication: null, doseEvent: null } }, { session });
+    await User.updateOne(
+        { _id: medication.user },
+        { $pull: { 'notificationPreferences.mutedMedications': medication._id } },
+        { session }
+    );
+};
+
+/**
+ * Records the outcome of a scheduled dose for a day, keeping stock in step.
+ * @param {object} medication
+ * @param {object} schedule - The schedule entry.
+ * @param {object} outcome
+ * @param {string} outcome.date - The patient's local day the dose belongs to.
+ * @param {'pending'|'taken'|'skipped'} outcome.status
+ * @param {string} [outcome.note]
+ * @param {Date} [outcome.takenAt] - When the dose was taken; defaults to now.
+ * @param {string|object} outcome.recordedBy
+ * @param {object} [session] - A MongoDB session, when part of a transaction.
+ * @returns {Promise<object>} The dose event.
+ */
+const recordScheduledDose = async (medication, schedule, { date, status, note, takenAt, recordedBy }, session = null) => {
+    const update = { status, takenAt: status === 'taken' ? (takenAt || new Date()) : null, recordedBy };
+    if (note !== undefined) {
+        update.note = note;
+    }
+
+    const previousEvent = await DoseEvent.findOne({ medication: medication._id, scheduleId: schedule._id, date }).session(session);
+    const wasTaken = Boolean(previousEvent && previousEvent.status === 'taken');
+    if (wasTaken && status === 'taken') {
+        update.takenAt = previousEvent.takenAt; // Re-confirming a dose keeps the original time
+    }
+
+    const doseEvent = await DoseEvent.findOneAndUpdate(
+        { medication: medication._id, scheduleId: schedule._id, date },
+        { $set: update, $setOnInsert: { user: medication.user, scheduledTime: schedule.time } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true, session }
+    );
+
+    // Keep stock in step with doses: taking a dose uses it up, undoing a taken dose puts it back.
+    const unitsPerDose = getUnitsPerDose(medication, schedule, date);
+    if (!wasTaken && status === 'taken') {
+        await adjustStock(medication._id, -unitsPerDose, session);
+    } else if (wasTaken && status !== 'taken') {
+        await adjustStock(medication._id, unitsPerDose, session);
+    }
+    return doseEvent;
+};
+
+/**
+ * Records a dose of an as-needed (PRN) medication and takes it off the stock. Limits are checked by the caller.
+ * @param {object} medication
+ * @param {object} owner - For the timezone of the dose's local date.
+ * @param {object} dose - { takenAt, quantity, note, recordedBy }
+ * @param {object} [session] - A MongoDB session, when part of a transaction.
+ * @returns {Promise<object>} The dose event.
+ */
+const recordPrnDose = async (medication, owner, { takenAt, quantity, note, recordedBy }, session = null) => {
+    const local = getLocalDateTime(takenAt, owner.timezone);
+    const [doseEvent] = await DoseEvent.create([{
+        user: medication.user,
+        medication: medication._id,
+        date: local.date,
+        scheduledTime: local.time,
+        status: 'taken',
+        takenAt,
+        quantity: quantity || null,
+        note,
+        recordedBy,
+    }], { session });
+    await adjustStock(medication._id, -(quantity || getUnitsPerDose(medication, null, local.date)), session);
+    return doseEvent;
+};
+
+module.exports = {
+    DOSE_STATUSES,
+    validateNewMedication,
+    buildMedication,
+    applyMedicationUpdate,
+    validateArchiveReason,
+    archiveMedication,
+    deleteMedication,
+    recordScheduledDose,
+    recordPrnDose,
+};
@@ -0,0 +1,86 @@
+// backend/src/services/notificationDispatcher.js
+// Sends notifications to a user through the channels they prefer, falling back to others when those fail.
+const { pushChannel } = require('./channels/pushChannel');
+const { emailChannel } = require('./channels/emailChannel');
+const { smsChannel } = require('./channels/smsChannel');
+const { webhookChannel } = require('./channels/webhookChannel');
+const { recordDelivery, recordUnreachable } = require('./deliveryStatsService');
+
+const CHANNELS = {
+    push: pushChannel,
+    email: emailChannel,
+    sms: smsChannel,
+    webhook: webhookChannel,
+};
+const CHANNEL_NAMES = Object.keys(CHANNELS);
+
+// Users who never set preferences get push only, as before channels existed.
+const DEFAULT_CHANNEL_PREFERENCES = { channels: ['push'], fallbacks: [] };
+
+// Fields a user document needs for every channel to work; use when selecting/populating users to notify.
+const NOTIFY_USER_FIELDS = 'username disabledAt expoPushToken devices notificationSound notificationPreferences timezone email phoneNumber webhookUrl notificationChannels';
+
+const getChannelPreferences = (user) => {
+    const preferences = user.notificationChannels || {};
+    return {
+        channels: preferences.channels && preferences.channels.length > 0 ? preferences.channels : DEFAULT_CHANNEL_PREFERENCES.channels,
+        fallbacks: preferences.fallbacks || DEFAULT_CHANNEL_PREFERENCES.fallbacks,
+    };
+};
+
+/**
+ * Sends a notification to a user.
+ * Every preferred channel the user can be reached on is used; if none of them delivers, the fallback
+ * channels are tried in order until one does (e.g. SMS when push fails). Disabled users are sent nothing.
+ * @param {object} user - User document (see NOTIFY_USER_FIELDS).
+ * @param {object} notification
+ * @param {string} notification.title
+ * @param {string} notification.body
+ * @param {object} [notification.data] - Extra data (push payload / webhook body).
+ * @param {string} [notification.sound] - Push sound, defaults to the user's notificationSound.
+ * @param {string} [notification.categoryId] - Push category for action buttons.
+ * @param {boolean} [notification.critical] - Send as a critical alert where the channel supports it (push).
+ * @returns {Promise<{ delivered: boolean, results: Array<{ channel: string, ok: boolean, error?: string }> }>}
+ */
+const notifyUser = async (user, notification) => {
+    if (user.disabledAt) {
+        return { delivered: false, results: [] }; // Disabled by an admin: nothing is sent
+    }
+    const { channels, fallbacks } = getChannelPreferences(user);
+    const message = { sound: user.notificationSound || 'default', data: {}, ...notification };
+    const results = [];
+
+    const trySend = async (name) => {
+        const channel = CHANNELS[name];
+        if (!channel || !channel.isAvailableFor(user)) return false;
+        const result = await channel.send(user, message);
+        results.push({ channel: name, ...result });
+        await recordDelivery(name, result.ok);
+        if (!result.ok) {
+            console.error(`[Backend Dispatcher] ${name} delivery to "${user.username}" failed: ${result.error}`);
+        }
+        return result.ok;
+    };
+
+    let delivered = false;
+    for (const name of channels) {
+        delivered = (await trySend(name)) || delivered;
+    }
+    for (const name of fallbacks) {
+        if (delivered) break;
+        if (channels.includes(name)) continue;
+        delivered = await trySend(name);
+    }
+
+    if (results.length === 0) {
+        await recordUnreachable();
+        console.warn(`[Backend Dispatcher] User ${user.username} has no reachable notification channel. Cannot send "${notification.title}".`);
+    }
+    return { delivered, results };
+};
+
+module.exports = {
+    CHANNEL_NAMES,
+    NOTIFY_USER_FIELDS,
+    notifyUser,
+};
@@ -0,0 +1,122 @@
+// backend/src/services/notificationPreferenceService.js
+// Per-user notification preferences: quiet hours, muted medications, the morning digest and the alert level.
+// The reminder worker in notificationService.js asks these helpers whether, when and how to notify.
+const { getLocalDateTime, resolveTimezone } = require('../utils/timezone');
+const { isDueOn } = require('../utils/recurrence');
+const { describeDose } = require('../utils/dosage');
+
+const ALERT_LEVELS = ['normal', 'critical'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isTime = value => typeof value === 'string' && TIME_PATTERN.test(value);
+const toMinutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+/**
+ * Validates notification preferences sent by a client (a partial update).
+ * @param {object} preferences - { quietHours: { enabled, start, end }, mutedMedications, digest: { enabled, time }, alertLevel }
+ * @returns {string|null} An error message, or null when valid.
+ */
+const validateNotificationPreferences = (preferences) => {
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+        return 'Notification preferences must be an object.';
+    }
+    const { quietHours, mutedMedications, digest, alertLevel } = preferences;
+    if (quietHours !== undefined) {
+        if (!quietHours || typeof quietHours !== 'object') return 'quietHours must be an object.';
+        if (quietHours.enabled !== undefined && typeof quietHours.enabled !== 'boolean') return 'quietHours.enabled must be true or false.';
+        if ((quietHours.start !== undefined && !isTime(quietHours.start)) || (quietHours.end !== undefined && !isTime(quietHours.end))) {
+            return 'quietHours.start and quietHours.end must be times in HH:MM format.';
+        }
+    }
+    if (mutedMedications !== undefined && (!Array.isArray(mutedMedications) || mutedMedications.some(id => typeof id !== 'string'))) {
+        return 'mutedMedications must be a list of medication IDs.';
+    }
+    if (digest !== undefined) {
+        if (!digest || typeof digest !== 'object') return 'digest must be an object.';
+        if (digest.enabled !== undefined && typeof digest.enabled !== 'boolean') return 'digest.enabled must be true or false.';
+        if (digest.time !== undefined && !isTime(digest.time)) return 'digest.time must be a time in HH:MM format.';
+    }
+    if (alertLevel !== undefined && !ALERT_LEVELS.includes(alertLevel)) {
+        return `alertLevel must be one of: ${ALERT_LEVELS.join(', ')}.`;
+    }
+    return null;
+};
+
+const getPreferences = user => user.notificationPreferences || {};
+
+/**
+ * Whether the user wants critical alerts, which override quiet hours and use the critical push sound/channel.
+ */
+const isCritical = user => getPreferences(user).alertLevel === 'critical';
+
+/**
+ * Whether the user gets one morning digest instead of a reminder for each dose.
+ */
+const usesDigest = user => Boolean(getPreferences(user).digest && getPreferences(user).digest.enabled);
+
+/**
+ * Whether the user muted reminders for a medication.
+ */
+const isMuted = (user, medicationId) => (getPreferences(user).mutedMedications || [])
+    .some(id => id.toString() === medicationId.toString());
+
+/**
+ * If the user is in quiet hours now, when they end. Critical alerts are never held back, so this is
+ * null for users with the critical alert level.
+ * @param {object} user - Needs notificationPreferences and timezone.
+ * @param {Date} now
+ * @returns {Date|null}
+ */
+const getQuietHoursEnd = (user, now) => {
+    const { quietHours } = getPreferences(user);
+    if (!quietHours || !quietHours.enabled || isCritical(user) || quietHours.start === quietHours.end) return null;
+
+    const current = toMinutes(getLocalDateTime(now, resolveTimezone(user.timezone)).time);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    // Quiet hours usually wrap past midnight, e.g. 22:00-07:00.
+    const inQuietHours = start < end ? current >= start && current < end : current >= start || current < end;
+    if (!inQuietHours) return null;
+
+    const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+    const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setUTCSeconds(0, 0);
+    return endsAt;
+};
+
+/**
+ * The morning digest: every dose due on a date across the user's medications, muted ones left out.
+ * @param {object} user
+ * @param {Array<object>} medications - The user's medications.
+ * @param {string} date - The user's local date, "YYYY-MM-DD".
+ * @returns {{ title: string, body: string, doses: Array<object> }|null} null when nothing is due.
+ */
+const buildDigest = (user, medications, date) => {
+    const doses = medications
+        .filter(medication => !isMuted(user, medication._id) && isDueOn(medication, date))
+        .flatMap(medication => medication.schedules.map(schedule => ({
+            medicationId: medication._id.toString(),
+            scheduleId: schedule._id.toString(),
+            name: medication.name,
+            time: schedule.time,
+            amount: describeDose(medication, date, schedule, { instructions: true }),
+        })))
+        .sort((a, b) => a.time.padStart(5, '0').localeCompare(b.time.padStart(5, '0')) || a.name.localeCompare(b.name));
+    if (doses.length === 0) return null;
+
+    return {
+        title: `🗓️ Today's medications (${doses.length} ${doses.length === 1 ? 'dose' : 'doses'})`,
+        body: doses.map(dose => `${dose.time} ${dose.name} (${dose.amount})`).join('\n'),
+        doses,
+    };
+};
+
+module.exports = {
+    ALERT_LEVELS,
+    validateNotificationPreferences,
+    isCritical,
+    usesDigest,
+    isMuted,
+    getQuietHoursEnd,
+    buildDigest,
+};
@@ -1,125 +1,626 @@
 // backend/src/services/notificationService.js
-const { Expo } = require('expo-server-sdk');
 const cron = require('node-cron');
 const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
 const User = require('../models/User'); // Ensure User model is correctly imported
+const {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getLocalDateTime,
+    wallClockMinutesBetween,
+} = require('../utils/timezone');
+const { isDueOn } = require('../utils/recurrence');
+const { describeDose } = require('../utils/dosage');
+const { getSupplyForecast } = require('./inventoryService');
+const { getActiveCaregivers } = require('./careService');
+const { notifyUser, NOTIFY_USER_FIELDS } = require('./notificationDispatcher');
+const { isCritical, usesDigest, isMuted, getQuietHoursEnd, buildDigest } = require('./notificationPreferenceService');
+const { publishChange } = require('./changeFeedService');
+const { sendPushNotification, checkPushReceipts, setExpoClient } = require('./channels/pushChannel');
+const {
+    WORKER_ID,
+    MAX_ATTEMPTS,
+    getJobKey,
+    enqueueJob,
+    claimNextJob,
+    completeJob,
+    rescheduleJob,
+    retryOrFailJob,
+    reschedulePendingJob,
+} = require('./jobQueue');
 
-const expo = new Expo();
+// Follow-up reminders are repeated every REMINDER_INTERVAL_MINUTES until the dose is answered or the
+// grace window (REMINDER_GRACE_MINUTES after the scheduled time) ends, at which point it is marked missed.
+const REMINDER_INTERVAL_MINUTES = parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 15;
+const REMINDER_GRACE_MINUTES = parseInt(process.env.REMINDER_GRACE_MINUTES, 10) || 60;
+
+// Doses whose time passed while no server was running are still reminded if at most this many minutes late.
+const MAX_CATCH_UP_MINUTES = 24 * 60;
+const REMINDER_CATCH_UP_MINUTES = Math.min(parseInt(process.env.REMINDER_CATCH_UP_MINUTES, 10) || 60, MAX_CATCH_UP_MINUTES);
+
+// How many reminder jobs one worker runs per minute at most.
+const JOB_BATCH_SIZE = parseInt(process.env.REMINDER_JOB_BATCH_SIZE, 10) || 500;
+
+// Category the client registers with "Taken" / "Snooze" action buttons.
+const REMINDER_CATEGORY_ID = 'medicationReminder';
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+// When each scheduled task last ran on this instance, and how it ended (GET /health).
+const lastRuns = { reminders: null, refillCheck: null, missedDoseSweep: null, receiptCheck: null };
+
+const recordRun = (task, startedAt, error) => {
+    lastRuns[task] = { startedAt, finishedAt: new Date(), ok: !error, error: error ? error.message : null };
+};
 
 /**
- * Sends a push notification.
- * @param {string} expoPushToken - The recipient's Expo Push Token.
- * @param {string} title - The title of the notification.
- * @param {string} body - The body/message of the notification.
- * @param {object} data - Extra data to send with the notification.
- * @param {string} [userPreferredSound='default'] - The user's preferred sound file name (e.g., 'ringtone.mp3') or 'default'.
+ * The last run of each scheduled task on this instance; null for tasks that have not run since it started.
+ * @returns {{ workerId: string, tasks: object }}
  */
-const sendPushNotification = async (expoPushToken, title, body, data, userPreferredSound = 'default') => {
-    if (!Expo.isExpoPushToken(expoPushToken)) {
-        console.error(`[Backend NotificationService] Invalid Expo Push Token: ${expoPushToken}`);
-        return null;
-    }
+const getSchedulerStatus = () => ({ workerId: WORKER_ID, tasks: { ...lastRuns } });
 
-    // Determine the sound to use in the payload.
-    // For iOS: 'default' plays the standard sound. A filename (e.g., 'ringtone.mp3') plays a custom sound
-    // if it's bundled with the client app.
-    // For Android: The sound set on the NotificationChannel on the client (e.g., 'ringtone.mp3' via frontend notificationService.js)
-    // usually takes precedence if this payload sound is 'default'.
-    // If a specific filename is sent here AND that file is bundled in the client's assets, Android MIGHT play it.
-    const soundToPlay = (userPreferredSound && userPreferredSound.trim() !== '' && userPreferredSound.toLowerCase() !== 'default')
-        ? userPreferredSound
-        : 'default';
-
-    const message = {
-        to: expoPushToken,
-        sound: soundToPlay, // Use the determined sound
-        title: title,
-        body: body,
-        data: data, // e.g., { medicationId: 'someId' }
-        channelId: 'default', // This should match the channelId created on the client
-                              // which has its own default sound (e.g., 'ringtone.mp3' in your frontend setup)
+/**
+ * Schedules the job that fetches Expo push receipts and prunes tokens of uninstalled apps.
+ */
+const scheduleReceiptChecks = () => {
+    cron.schedule('*/15 * * * *', async () => {
+        const startedAt = new Date();
+        try {
+            const { checked, pruned } = await checkPushReceipts();
+            if (checked > 0) {
+                console.log(`[Backend Cron] Checked ${checked} push receipt(s); pruned ${pruned} token(s).`);
+            }
+            recordRun('receiptCheck', startedAt);
+        } catch (error) {
+            console.error('[Backend Cron] Error during push receipt check:', error);
+            recordRun('receiptCheck', startedAt, error);
+        }
+    });
+    console.log('📰 Backend push receipt check IS SCHEDULED to run every 15 minutes.');
+};
+
+// Highest local wall-clock minute ("YYYY-MM-DDTHH:MM") already checked, per timezone.
+// Because wall-clock time only ever moves backwards during a DST "fall back", tracking the
+// high-water mark means the repeated hour is not checked twice (no doubled doses), and
+// walking every minute up to "now" covers the hour skipped in spring (no skipped doses).
+const lastCheckedWallClock = new Map();
+
+/**
+ * Works out which local "HH:MM" minutes became due in a timezone since the last check.
+ * @param {string} timeZone - IANA timezone.
+ * @param {Date} now - The current instant.
+ * @returns {Array<{ date: string, time: string }>} Local minutes to check (usually exactly one).
+ */
+const getDueLocalMinutes = (timeZone, now) => {
+    const toWallClock = (instant) => {
+        const { date, time } = getLocalDateTime(instant, timeZone);
+        return `${date}T${time}`;
     };
 
-    console.log(`[Backend NotificationService] Preparing to send notification. To: ${expoPushToken.substring(0,15)}..., Sound: "${soundToPlay}", Title: "${title}"`);
-
-    try {
-        // Chunk notifications if sending to multiple tokens (not applicable here but good practice)
-        const chunks = expo.chunkPushNotifications([message]);
-        const tickets = [];
-        for (const chunk of chunks) {
-            const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
-            tickets.push(...ticketChunk);
-            // It's good to check ticketChunk for errors, e.g., if a token is invalid
-            if (ticketChunk && ticketChunk.length > 0 && ticketChunk[0].status === 'error') {
-                console.error(`[Backend NotificationService] Error sending notification to ${expoPushToken}: ${ticketChunk[0].message}`, ticketChunk[0].details);
+    const current = toWallClock(now);
+    // On the first check after a start, look back over the catch-up window for doses missed while down.
+    const lastChecked = lastCheckedWallClock.get(timeZone)
+        || toWallClock(new Date(now.getTime() - REMINDER_CATCH_UP_MINUTES * 60 * 1000));
+
+    if (current <= lastChecked) {
+        // Clocks went back (DST end): these local minutes were already handled the first time round.
+        return [];
+    }
+    lastCheckedWallClock.set(timeZone, current);
+    return wallClockMinutesBetween(lastChecked, current, MAX_CATCH_UP_MINUTES);
+};
+
+/**
+ * Groups user ids by the timezone their reminders are evaluated in.
+ * Users without a timezone (or with the default one) are grouped under the default timezone.
+ * Disabled users are left out, so they get no reminders.
+ * @returns {Promise<Map<string, Array>>} Map of IANA timezone -> user ids.
+ */
+const getUserIdsByTimezone = async () => {
+    const timeZones = new Set((await User.distinct('timezone')).filter(isValidTimezone));
+    timeZones.add(DEFAULT_TIMEZONE);
+
+    const usersByTimezone = new Map();
+    for (const timeZone of timeZones) {
+        const userFilter = timeZone === DEFAULT_TIMEZONE
+            ? { timezone: { $in: [null, timeZone] }, disabledAt: null }
+            : { timezone: timeZone, disabledAt: null };
+        usersByTimezone.set(timeZone, await User.find(userFilter).distinct('_id'));
+    }
+    return usersByTimezone;
+};
+
+/**
+ * Returns the DoseEvent for a due dose, creating it as 'pending' if it does not exist yet.
+ * An existing event (e.g. marked taken ahead of time) is returned untouched.
+ */
+const ensureDoseEvent = (medication, scheduleEntry, date) => DoseEvent.findOneAndUpdate(
+    { medication: medication._id, scheduleId: scheduleEntry._id, date },
+    { $setOnInsert: { user: medication.user._id, scheduledTime: scheduleEntry.time, status: 'pending' } },
+    { new: true, upsert: true }
+);
+
+const DOSE_NOTIFICATIONS = {
+    reminder: {
+        title: () => '💊 Medication Reminder!',
+        body: (med, amount) => `Time to take your ${med.name} (${amount}).`,
+        type: 'medicationReminder',
+    },
+    followUp: {
+        title: () => '⏰ Medication Reminder',
+        body: (med, amount, doseEvent) => `You haven't confirmed your ${doseEvent.scheduledTime} dose of ${med.name} (${amount}) yet.`,
+        type: 'medicationFollowUp',
+    },
+    missed: {
+        title: () => '⚠️ Missed Dose',
+        body: (med, amount, doseEvent) => `Your ${doseEvent.scheduledTime} dose of ${med.name} (${amount}) was not confirmed and has been marked as missed.`,
+        type: 'missedDose',
+    },
+};
+
+/**
+ * Sends one of the dose notifications (reminder, follow-up or missed-dose escalation) to the medication's owner.
+ * The push `data` carries everything the client needs to offer "Taken" / "Snooze" actions, which map to
+ * PATCH /api/medications/:medicationId/schedules/:scheduleId and POST .../snooze.
+ * @param {'reminder'|'followUp'|'missed'} kind
+ * @param {object} med - Medication document with `user` populated.
+ * @param {object} doseEvent - The DoseEvent being reminded about.
+ */
+const sendDoseNotification = async (kind, med, doseEvent) => {
+    const user = med.user;
+    if (!user) return null;
+
+    const notification = DOSE_NOTIFICATIONS[kind];
+    // e.g. "2 tablets of 500 mg, with food"; the free-text amount for medications without structured dosage
+    const amount = describeDose(med, doseEvent.date, med.schedules.id(doseEvent.scheduleId), { instructions: true });
+    const isActionable = kind !== 'missed';
+    console.log(`[Backend Cron] Sending ${kind} notification for "${med.name}" to user "${user.username}".`);
+
+    return notifyUser(user, {
+        title: notification.title(med),
+        body: notification.body(med, amount, doseEvent),
+        data: {
+            type: notification.type,
+            medicationId: med._id.toString(),
+            scheduleId: doseEvent.scheduleId.toString(),
+            doseEventId: doseEvent._id.toString(),
+            date: doseEvent.date,
+            scheduleTime: doseEvent.scheduledTime,
+            actions: isActionable ? ['taken', 'snooze'] : [],
+        },
+        categoryId: isActionable ? REMINDER_CATEGORY_ID : undefined,
+        critical: isCritical(user),
+    });
+};
+
+/**
+ * Lets a patient's active caregivers know that a dose went unconfirmed past its grace window.
+ * @param {object} med - Medication document with `user` (the patient) populated.
+ * @param {object} doseEvent - The DoseEvent that was marked missed.
+ */
+const notifyCaregiversOfMissedDose = async (med, doseEvent) => {
+    const caregivers = await getActiveCaregivers(med.user._id);
+
+    for (const caregiver of caregivers) {
+        await notifyUser(caregiver, {
+            title: '⚠️ Missed Dose Alert',
+            body: `${med.user.username} did not confirm their ${doseEvent.scheduledTime} dose of ${med.name}.`,
+            data: {
+                type: 'caregiverMissedDose',
+                patientId: med.user._id.toString(),
+                medicationId: med._id.toString(),
+                doseEventId: doseEvent._id.toString(),
+                date: doseEvent.date,
+                scheduleTime: doseEvent.scheduledTime,
+            },
+        });
+    }
+};
+
+/**
+ * Sends the morning digest to users whose digest time has just arrived.
+ * Each user's digest is claimed for the date first, so it goes out once a day even with several instances.
+ * @param {Array} userIds - Users in one timezone.
+ * @param {Map<string, string>} dueDateByTime - Local "HH:MM" that became due -> local date.
+ */
+const sendDueDigests = async (userIds, dueDateByTime) => {
+    const users = await User.find({
+        _id: { $in: userIds },
+        'notificationPreferences.digest.enabled': true,
+        'notificationPreferences.digest.time': { $in: [...dueDateByTime.keys()] },
+    }).select(NOTIFY_USER_FIELDS);
+
+    for (const user of users) {
+        const date = dueDateByTime.get(user.notificationPreferences.digest.time);
+        try {
+            const claim = await User.updateOne(
+                { _id: user._id, 'notificationPreferences.digest.lastSentDate': { $ne: date } },
+                { $set: { 'notificationPreferences.digest.lastSentDate': date } }
+            );
+            if (claim.modifiedCount === 0) continue;
+
+            const medications = await Medication.find({ user: user._id, type: { $ne: 'prn' }, status: { $ne: 'archived' } });
+            const digest = buildDigest(user, medications, date);
+            if (!digest) continue;
+
+            console.log(`[Backend Cron] Sending daily digest (${digest.doses.length} dose(s)) to user "${user.username}".`);
+            await notifyUser(user, {
+                title: digest.title,
+                body: digest.body,
+                data: { type: 'dailyDigest', date, doses: digest.doses },
+                critical: isCritical(user),
+            });
+        } catch (error) {
+            console.error(`[Backend Cron] Error sending daily digest to user "${user.username}":`, error);
+        }
+    }
+};
+
+/**
+ * Queues a reminder job for every dose whose scheduled local minute has arrived since the last check.
+ * Jobs are keyed by medication, schedule entry and date, so queueing the same dose again (from another
+ * instance, or the catch-up window after a restart) does nothing.
+ * @returns {Promise<number>} How many new jobs were queued.
+ */
+const enqueueDueReminders = async (now) => {
+    // Medication times are stored as the user's local time, so each timezone is checked separately.
+    const usersByTimezone = await getUserIdsByTimezone();
+    let queued = 0;
+
+    for (const [timeZone, userIds] of usersByTimezone) {
+        const dueMinutes = getDueLocalMinutes(timeZone, now);
+        if (dueMinutes.length === 0 || userIds.length === 0) continue;
+
+        // Local "HH:MM" -> local date it falls on (the window can cross midnight).
+        const dueDateByTime = new Map(dueMinutes.map(m => [m.time, m.date]));
+        await sendDueDigests(userIds, dueDateByTime);
+
+        const medicationsDue = await Medication.find({
+            user: { $in: userIds },
+            'schedules.time': { $in: [...dueDateByTime.keys()] },
+            status: { $ne: 'archived' },
+        });
+
+        for (const med of medicationsDue) {
+            // Recurrence rules (weekdays, every N days, course dates) decide whether the dose exists at all.
+            const dueScheduleEntries = med.schedules.filter(s => dueDateByTime.has(s.time)
+                && isDueOn(med, dueDateByTime.get(s.time)));
+
+            for (const dueScheduleEntry of dueScheduleEntries) {
+                const date = dueDateByTime.get(dueScheduleEntry.time);
+                const created = await enqueueJob({
+                    key: getJobKey(med._id, dueScheduleEntry._id, date),
+                    user: med.user,
+                    medication: med._id,
+                    scheduleId: dueScheduleEntry._id,
+                    date,
+                    scheduledTime: dueScheduleEntry.time,
+                    runAt: now,
+                });
+                if (created) queued += 1;
             }
         }
-        console.log('[Backend NotificationService] Notification sent. Ticket:', tickets.length > 0 ? tickets[0] : 'No ticket');
-        return tickets;
-    } catch (error) {
-        console.error('[Backend NotificationService] Critical error sending push notification:', error);
-        return null;
     }
+    return queued;
+};
+
+// Throws when a notification reached none of the user's channels, so the job is retried.
+// A user with no reachable channel at all is not retried: nothing would change.
+const assertDelivered = ({ delivered, results }) => {
+    if (!delivered && results.length > 0) {
+        throw new Error(results.map(r => `${r.channel}: ${r.error}`).join('; '));
+    }
+};
+
+/**
+ * Applies the patient's notification preferences before a reminder or follow-up is sent:
+ * - muted medications and digest users get no per-dose reminders; the job goes straight to the
+ *   escalation, so the dose is still marked missed and caregivers are still told;
+ * - in quiet hours the reminder waits until they end, or is skipped if the dose window closes first.
+ * Critical alerts are never held by quiet hours.
+ * @returns {Promise<boolean>} Whether the reminder was held back (the job has been rescheduled).
+ */
+const holdReminder = async (job, med, doseEvent, now) => {
+    const user = med.user;
+    if (isMuted(user, med._id) || usesDigest(user)) {
+        await rescheduleJob(job, 'escalate', doseEvent.windowEndsAt);
+        return true;
+    }
+    const quietHoursEnd = getQuietHoursEnd(user, now);
+    if (!quietHoursEnd) return false;
+
+    if (quietHoursEnd < doseEvent.windowEndsAt) {
+        await rescheduleJob(job, job.stage, quietHoursEnd);
+    } else {
+        await rescheduleJob(job, 'escalate', doseEvent.windowEndsAt);
+    }
+    return true;
+};
+
+// After a reminder: the next follow-up, or the escalation if the grace window ends first.
+const scheduleNextStage = (job, doseEvent) => (doseEvent.nextReminderAt < doseEvent.windowEndsAt
+    ? rescheduleJob(job, 'followUp', doseEvent.nextReminderAt)
+    : rescheduleJob(job, 'escalate', doseEvent.windowEndsAt));
+
+/**
+ * Runs one stage of a dose's reminder job:
+ * - reminder: the first "time to take" notification (unless the dose was answered or snoozed ahead of time);
+ * - followUp: repeated every REMINDER_INTERVAL_MINUTES while the dose is pending and not snoozed;
+ * - escalate: once the grace window ends, marks the dose missed and tells the patient and their caregivers.
+ * The patient's notification preferences can hold reminders back or delay them (see holdReminder).
+ * Throws when a notification could not be delivered; the caller retries the stage with backoff.
+ * @param {object} job - A leased ReminderJob.
+ * @param {Date} now
+ */
+const runReminderJob = async (job, now) => {
+    const med = await Medication.findById(job.medication).populate({
+        path: 'user',
+        select: NOTIFY_USER_FIELDS
+    });
+    if (!med || !med.user) return completeJob(job, 'Medication deleted.');
+    if (med.status === 'archived') return completeJob(job, 'Medication archived.');
+    const scheduleEntry = med.schedules.id(job.scheduleId);
+
+    if (job.stage === 'reminder') {
+        if (!scheduleEntry || !isDueOn(med, job.date)) return completeJob(job, 'Dose no longer scheduled.');
+
+        // Record the dose even when no reminder can be sent, so it can be marked missed later.
+        const existing = await ensureDoseEvent(med, scheduleEntry, job.date);
+        if (existing.status !== 'pending') return completeJob(job, 'Dose no longer pending.');
+
+        const windowEndsAt = existing.windowEndsAt || minutesFrom(now, REMINDER_GRACE_MINUTES);
+        if (existing.snoozedUntil && existing.snoozedUntil > now) {
+            // Snoozed ahead of time: keep the snooze, the follow-up stage reminds when it ends.
+            await DoseEvent.updateOne({ _id: existing._id }, { $set: { nextReminderAt: existing.snoozedUntil, windowEndsAt } });
+            return rescheduleJob(job, 'followUp', existing.snoozedUntil);
+        }
+        if (!existing.windowEndsAt) {
+            // The window starts at the first reminder time, even if the reminder itself is held back.
+            existing.windowEndsAt = windowEndsAt;
+            await DoseEvent.updateOne({ _id: existing._id }, { $set: { windowEndsAt } });
+        }
+        if (await holdReminder(job, med, existing, now)) return null;
+
+        assertDelivered(await sendDoseNotification('reminder', med, existing));
+        const doseEvent = await DoseEvent.findOneAndUpdate(
+            { _id: existing._id },
+            {
+                $set: { lastNotifiedAt: now, nextReminderAt: minutesFrom(now, REMINDER_INTERVAL_MINUTES), windowEndsAt },
+                $inc: { notifiedCount: 1 },
+            },
+            { new: true }
+        );
+        return scheduleNextStage(job, doseEvent);
+    }
+
+    const existing = await DoseEvent.findOne({ medication: med._id, scheduleId: job.scheduleId, date: job.date });
+    if (!existing || existing.status !== 'pending') return completeJob(job, 'Dose no longer pending.');
+
+    if (job.stage === 'followUp' && existing.windowEndsAt > now) {
+        if (existing.snoozedUntil && existing.snoozedUntil > now) {
+            return rescheduleJob(job, 'followUp', existing.snoozedUntil);
+        }
+        if (await holdReminder(job, med, existing, now)) return null;
+
+        assertDelivered(await sendDoseNotification('followUp', med, existing));
+        const doseEvent = await DoseEvent.findOneAndUpdate(
+            { _id: existing._id },
+            {
+                $set: { lastNotifiedAt: now, nextReminderAt: minutesFrom(now, REMINDER_INTERVAL_MINUTES), snoozedUntil: null },
+                $inc: { notifiedCount: 1 },
+            },
+            { new: true }
+        );
+        return scheduleNextStage(job, doseEvent);
+    }
+
+    // Escalation. The final notifications are sent once, without retries, so nobody is told twice.
+    const doseEvent = await DoseEvent.findOneAndUpdate(
+        { _id: existing._id, status: 'pending' },
+        { $set: { status: 'missed', nextReminderAt: null, escalatedAt: now } },
+        { new: true }
+    );
+    if (!doseEvent) return completeJob(job, 'Dose no longer pending.');
+
+    console.log(`[Backend Jobs] Dose of "${med.name}" at ${doseEvent.scheduledTime} on ${doseEvent.date} marked missed.`);
+    await completeJob(job, 'Dose missed.');
+    await publishChange(med.user._id, 'dose.updated', med._id, doseEvent);
+    // The patient is not told during quiet hours or for muted medications; caregivers always are.
+    if (!isMuted(med.user, med._id) && !getQuietHoursEnd(med.user, now)) {
+        await sendDoseNotification('missed', med, doseEvent);
+    }
+    await notifyCaregiversOfMissedDose(med, doseEvent);
+    return null;
 };
 
 /**
- * Schedules a cron job to check for due medications and send notifications.
+ * Leases and runs due reminder jobs until none are left (or JOB_BATCH_SIZE have run this tick).
+ */
+const processReminderJobs = async (now) => {
+    for (let processed = 0; processed < JOB_BATCH_SIZE; processed++) {
+        const job = await claimNextJob(now);
+        if (!job) return;
+
+        try {
+            await runReminderJob(job, now);
+        } catch (error) {
+            const willRetry = await retryOrFailJob(job, error);
+            console.error(`[Backend Jobs] ${job.stage} job ${job.key} failed (attempt ${job.attempts + 1}/${MAX_ATTEMPTS}${willRetry ? ', will retry' : ''}):`, error.message);
+        }
+    }
+};
+
+let checkInProgress = false;
+
+/**
+ * Schedules the reminder worker: every minute, queues newly due doses and runs the due jobs.
+ * It also runs once right away, so doses missed while the server was down (within
+ * REMINDER_CATCH_UP_MINUTES) are caught up on start.
  */
 const scheduleMedicationChecks = () => {
-    // Runs every minute. For production, you might adjust this (e.g., '*/5 * * * *' for every 5 minutes).
-    cron.schedule('* * * * *', async () => {
+    const runCheck = async () => {
+        if (checkInProgress) return; // A slow tick is still running; its jobs are leased, so just skip this one
+        checkInProgress = true;
         const now = new Date();
-        // This uses the server's local time. For global apps, managing timezones is critical.
-        // We assume medication times are stored based on the user's local time input.
-        const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-        // console.log(`[Backend Cron] 🕒 Medication check for: ${currentTime} (Server Time)`);
 
         try {
-            const medicationsDue = await Medication.find({
-                'schedules.time': currentTime,
-                // Consider adding 'schedules.taken': false if you only want to notify for untaken doses
-                // and have a mechanism to reset 'taken' daily or manage its state.
+            const queued = await enqueueDueReminders(now);
+            if (queued > 0) {
+                console.log(`[Backend Jobs] Queued ${queued} reminder job(s).`);
+            }
+            await processReminderJobs(now);
+            recordRun('reminders', now);
+        } catch (error) {
+            console.error('[Backend Cron] Error during scheduled medication check:', error);
+            recordRun('reminders', now, error);
+        } finally {
+            checkInProgress = false;
+        }
+    };
+
+    cron.schedule('* * * * *', runCheck);
+    runCheck();
+    console.log(`📰 Backend reminder worker ${WORKER_ID} IS SCHEDULED to run every minute (catch-up window ${REMINDER_CATCH_UP_MINUTES} minutes).`);
+};
+
+/**
+ * Schedules the job that warns users when a medication's projected supply falls below its refill threshold.
+ * Each medication is alerted at most once until it is refilled (POST /api/medications/:id/refill).
+ */
+const scheduleRefillChecks = () => {
+    cron.schedule('30 * * * *', async () => {
+        const now = new Date();
+
+        try {
+            const trackedMedications = await Medication.find({
+                'inventory.onHand': { $ne: null },
+                'inventory.lowStockAlertedAt': null,
+                status: { $ne: 'archived' },
             }).populate({
                 path: 'user',
-                select: 'username expoPushToken notificationSound' // Select fields needed
+                select: NOTIFY_USER_FIELDS
             });
 
-            if (medicationsDue.length > 0) {
-                console.log(`[Backend Cron] Found ${medicationsDue.length} medication(s) due at ${currentTime}.`);
-            }
+            for (const med of trackedMedications) {
+                if (!med.user) continue;
+                const { date: today } = getLocalDateTime(now, med.user.timezone);
+                const supply = getSupplyForecast(med, today);
+                if (!supply || !supply.needsRefill) continue;
 
-            for (const med of medicationsDue) {
-                if (med.user && med.user.expoPushToken) {
-                    const dueScheduleEntry = med.schedules.find(s => s.time === currentTime);
-
-                    // Only send if not marked taken (assuming 'taken' status is relevant here)
-                    if (dueScheduleEntry && !dueScheduleEntry.taken) {
-                        const userSoundPreference = med.user.notificationSound || 'default'; // Fallback to 'default'
-                        console.log(`[Backend Cron] Sending reminder for "${med.name}" to user "${med.user.username}". Sound preference: "${userSoundPreference}"`);
-
-                        await sendPushNotification(
-                            med.user.expoPushToken,
-                            '💊 Medication Reminder!',
-                            `Time to take your ${med.name} (${med.amount}).`,
-                            { medicationId: med._id.toString(), scheduleTime: currentTime, type: 'medicationReminder' }, // Added type
-                            userSoundPreference // Pass the user's preferred sound
-                        );
-                        // TODO (Optional): Implement logic to prevent re-notifying for the same dose
-                        // within a short window or until 'taken' status changes.
-                        // This might involve adding a 'lastNotifiedAt' timestamp to the schedule subdocument.
-                    }
-                } else if (med.user && !med.user.expoPushToken) {
-                    console.warn(`[Backend Cron] User ${med.user.username} for medication ${med.name} has no push token. Cannot send reminder.`);
-                }
+                const daysText = supply.daysRemaining === 1 ? '1 day' : `${supply.daysRemaining} days`;
+                console.log(`[Backend Cron] Sending refill alert for "${med.name}" to user "${med.user.username}" (${daysText} left).`);
+                const { delivered } = await notifyUser(med.user, {
+                    title: '🧾 Time to Refill',
+                    body: `You have about ${daysText} of ${med.name} left (${supply.onHand} remaining).`,
+                    data: { type: 'refillReminder', medicationId: med._id.toString(), daysRemaining: supply.daysRemaining, runsOutOn: supply.runsOutOn },
+                });
+                if (!delivered) continue; // Try again next hour
+                await Medication.updateOne({ _id: med._id }, { $set: { 'inventory.lowStockAlertedAt': now } });
             }
+            recordRun('refillCheck', now);
         } catch (error) {
-            console.error('[Backend Cron] Error during scheduled medication check:', error);
+            console.error('[Backend Cron] Error during refill check:', error);
+            recordRun('refillCheck', now, error);
+        }
+    });
+    console.log('📰 Backend refill check IS SCHEDULED to run every hour.');
+};
+
+/**
+ * Snoozes a dose: no reminders until `minutes` from now, then a follow-up reminder.
+ * The grace window is extended if needed so the snoozed reminder still fires before the dose is marked missed.
+ * @param {object} medication - The Medication document.
+ * @param {object} scheduleEntry - The schedule subdocument being snoozed.
+ * @param {string} date - The user's local date of the dose, "YYYY-MM-DD".
+ * @param {number} minutes - How long to snooze for.
+ * @returns {Promise<object|null>} The updated DoseEvent, or null if the dose is no longer pending.
+ */
+const snoozeDose = async (medication, scheduleEntry, date, minutes) => {
+    const now = new Date();
+    const snoozedUntil = minutesFrom(now, minutes);
+    const existing = await ensureDoseEvent(medication, scheduleEntry, date);
+    if (existing.status !== 'pending') return null;
+
+    const minimumWindowEnd = minutesFrom(snoozedUntil, REMINDER_INTERVAL_MINUTES);
+    const windowEndsAt = existing.windowEndsAt && existing.windowEndsAt > minimumWindowEnd
+        ? existing.windowEndsAt
+        : minimumWindowEnd;
+
+    const doseEvent = await DoseEvent.findOneAndUpdate(
+        { _id: existing._id, status: 'pending' },
+        { $set: { snoozedUntil, nextReminderAt: snoozedUntil, windowEndsAt } },
+        { new: true }
+    );
+    // A dose snoozed before it is due has no job yet; its reminder stage will see the snooze.
+    if (doseEvent) {
+        await reschedulePendingJob(getJobKey(medication._id, scheduleEntry._id, date), 'followUp', snoozedUntil);
+    }
+    return doseEvent;
+};
+
+/**
+ * Marks unanswered doses from before each timezone's today as missed, and publishes each change so open
+ * event streams see it.
+ * @returns {Promise<number>} How many doses were marked missed.
+ */
+const sweepMissedDoses = async (now) => {
+    const usersByTimezone = await getUserIdsByTimezone();
+    let marked = 0;
+
+    for (const [timeZone, userIds] of usersByTimezone) {
+        if (userIds.length === 0) continue;
+        const { date: today } = getLocalDateTime(now, timeZone);
+
+        const pending = await DoseEvent.find(
+            { user: { $in: userIds }, status: 'pending', date: { $lt: today } },
+            { _id: 1 }
+        );
+        if (pending.length === 0) continue;
+        const ids = pending.map(doseEvent => doseEvent._id);
+
+        // Doses answered since the find above stay as they are.
+        const result = await DoseEvent.updateMany({ _id: { $in: ids }, status: 'pending' }, { $set: { status: 'missed' } });
+        if (result.modifiedCount === 0) continue;
+        console.log(`[Backend Cron] Marked ${result.modifiedCount} unanswered dose(s) as missed (${timeZone}).`);
+        marked += result.modifiedCount;
+
+        const missed = await DoseEvent.find({ _id: { $in: ids }, status: 'missed' });
+        for (const doseEvent of missed) {
+            await publishChange(doseEvent.user, 'dose.updated', doseEvent.medication, doseEvent);
+        }
+    }
+    return marked;
+};
+
+/**
+ * Schedules the job that marks unanswered doses from previous days as missed.
+ * It runs hourly rather than once a night so that every timezone is swept shortly after its own midnight.
+ */
+const scheduleMissedDoseSweep = () => {
+    cron.schedule('5 * * * *', async () => {
+        const now = new Date();
+
+        try {
+            await sweepMissedDoses(now);
+            recordRun('missedDoseSweep', now);
+        } catch (error) {
+            console.error('[Backend Cron] Error during missed dose sweep:', error);
+            recordRun('missedDoseSweep', now, error);
         }
     });
-    console.log('📰 Backend medication check cron job IS SCHEDULED to run every minute.');
+    console.log('📰 Backend missed dose sweep IS SCHEDULED to run every hour.');
 };
 
 module.exports = {
     sendPushNotification,
     scheduleMedicationChecks,
+    scheduleMissedDoseSweep,
+    sweepMissedDoses,
+    scheduleRefillChecks,
+    scheduleReceiptChecks,
+    getSchedulerStatus,
+    snoozeDose,
+    setExpoClient,
+    getDueLocalMinutes,
+    lastCheckedWallClock,
 };
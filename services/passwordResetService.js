@@ -0,0 +1,118 @@
+// backend/src/services/passwordResetService.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const PasswordReset = require('../models/PasswordReset');
+
+const RESET_CODE_TTL_MINUTES = parseInt(process.env.RESET_CODE_TTL_MINUTES, 10) || 15;
+const MAX_RESET_ATTEMPTS = 5;
+
+/**
+ * Built-in reset code senders. A sender is an object with `send({ user, code, expiresAt })`.
+ * These are local stand-ins; a real delivery channel (SMS, email) can be plugged in with setResetCodeSender.
+ */
+const senders = {
+    // Prints the code to the server log. Useful in development only.
+    console: {
+        send: async ({ user, code, expiresAt }) => {
+            console.log(`[Backend PasswordReset] Reset code for "${user.username}": ${code} (expires ${expiresAt.toISOString()})`);
+        },
+    },
+    // Appends the code to a JSON-lines outbox file (PASSWORD_RESET_OUTBOX, default outbox/password-resets.jsonl).
+    file: {
+        send: async ({ user, code, expiresAt }) => {
+            const outboxPath = process.env.PASSWORD_RESET_OUTBOX || path.join(process.cwd(), 'outbox', 'password-resets.jsonl');
+            await fs.mkdir(path.dirname(outboxPath), { recursive: true });
+            const entry = { userId: user._id.toString(), username: user.username, code, expiresAt, createdAt: new Date() };
+            await fs.appendFile(outboxPath, `${JSON.stringify(entry)}\n`);
+        },
+    },
+};
+
+/**
+ * The sender named by PASSWORD_RESET_SENDER. Without one, codes go to the console outside production only:
+ * production must name a sender (or plug one in), so codes never land in its logs by default.
+ * @returns {{ send: Function }|null} null when password reset is off.
+ */
+const getConfiguredSender = () => {
+    const name = process.env.PASSWORD_RESET_SENDER;
+    if (name) {
+        if (!senders[name]) {
+            console.warn(`[Backend PasswordReset] Unknown PASSWORD_RESET_SENDER "${name}"; password reset is off.`);
+        }
+        return senders[name] || null;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        console.warn('[Backend PasswordReset] PASSWORD_RESET_SENDER is not set; password reset is off.');
+        return null;
+    }
+    return senders.console;
+};
+
+let resetCodeSender = getConfiguredSender();
+
+/**
+ * Replaces the sender used to deliver reset codes.
+ * @param {{ send: Function }} sender
+ */
+const setResetCodeSender = (sender) => {
+    resetCodeSender = sender;
+};
+
+/**
+ * Whether reset codes can be delivered at all.
+ * @returns {boolean}
+ */
+const canSendResetCodes = () => resetCodeSender !== null;
+
+/**
+ * Creates a new reset code for a user (invalidating older ones) and delivers it.
+ * @param {object} user
+ */
+const requestPasswordReset = async (user) => {
+    if (!canSendResetCodes()) {
+        throw new Error('No password reset sender is configured.');
+    }
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000);
+
+    await PasswordReset.updateMany({ user: user._id, usedAt: null }, { $set: { usedAt: new Date() } });
+    await PasswordReset.create({ user: user._id, codeHash: await bcrypt.hash(code, 10), expiresAt });
+
+    await resetCodeSender.send({ user, code, expiresAt });
+};
+
+/**
+ * Checks a reset code and, if valid, marks it used so it cannot be used again.
+ * Each code allows a limited number of wrong guesses.
+ * @param {object} user
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const consumeResetCode = async (user, code) => {
+    const reset = await PasswordReset.findOne({
+        user: user._id,
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: MAX_RESET_ATTEMPTS },
+    }).sort({ createdAt: -1 });
+    if (!reset) return false;
+
+    if (!(await bcrypt.compare(String(code), reset.codeHash))) {
+        await PasswordReset.updateOne({ _id: reset._id }, { $inc: { attempts: 1 } });
+        return false;
+    }
+
+    // Only one request can consume the code.
+    const result = await PasswordReset.updateOne({ _id: reset._id, usedAt: null }, { $set: { usedAt: new Date() } });
+    return result.modifiedCount === 1;
+};
+
+module.exports = {
+    senders,
+    setResetCodeSender,
+    canSendResetCodes,
+    requestPasswordReset,
+    consumeResetCode,
+};
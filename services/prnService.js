@@ -0,0 +1,129 @@
+// backend/src/services/prnService.js
+// As-needed (PRN) medications: no schedule times, doses are logged when taken and checked against
+// a minimum interval between doses and a maximum number of doses in any 24 hours.
+const DoseEvent = require('../models/DoseEvent');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEDICATION_TYPES = ['scheduled', 'prn'];
+const LIMIT_MODES = ['refuse', 'warn'];
+
+/**
+ * Validates PRN limits sent by a client.
+ * @param {object} [prn] - { minIntervalMinutes, maxDosesPer24h, onLimit }
+ * @returns {string|null} An error message, or null when valid.
+ */
+const validatePrn = (prn) => {
+    if (prn === undefined || prn === null) return null;
+    if (typeof prn !== 'object' || Array.isArray(prn)) {
+        return 'PRN settings must be an object.';
+    }
+    const { minIntervalMinutes, maxDosesPer24h, onLimit } = prn;
+    if (minIntervalMinutes !== undefined && minIntervalMinutes !== null
+        && (!Number.isInteger(minIntervalMinutes) || minIntervalMinutes < 1)) {
+        return 'PRN minIntervalMinutes must be a whole number of minutes, at least 1.';
+    }
+    if (maxDosesPer24h !== undefined && maxDosesPer24h !== null
+        && (!Number.isInteger(maxDosesPer24h) || maxDosesPer24h < 1)) {
+        return 'PRN maxDosesPer24h must be a whole number, at least 1.';
+    }
+    if (onLimit !== undefined && !LIMIT_MODES.includes(onLimit)) {
+        return `PRN onLimit must be one of: ${LIMIT_MODES.join(', ')}.`;
+    }
+    return null;
+};
+
+// Taken as-needed doses of the medications since a time, oldest first.
+const findPrnDoses = (medicationIds, since) => DoseEvent.find({
+    medication: { $in: medicationIds },
+    scheduleId: null,
+    status: 'taken',
+    takenAt: { $gt: since },
+}).sort({ takenAt: 1 });
+
+/**
+ * When the next dose may be taken, given the doses taken before `at` (oldest first).
+ * @returns {Date|null} null when a dose is allowed at `at`.
+ */
+const getNextAllowedAt = (medication, takenTimes, at) => {
+    const { minIntervalMinutes, maxDosesPer24h } = medication.prn || {};
+    const earlier = takenTimes.filter(time => time <= at);
+    const candidates = [];
+
+    if (minIntervalMinutes && earlier.length > 0) {
+        candidates.push(earlier[earlier.length - 1].getTime() + minIntervalMinutes * 60 * 1000);
+    }
+    const inWindow = earlier.filter(time => time > at.getTime() - DAY_MS);
+    if (maxDosesPer24h && inWindow.length >= maxDosesPer24h) {
+        // A dose is allowed again once enough of the doses in the window are more than 24 hours old.
+        candidates.push(inWindow[inWindow.length - maxDosesPer24h].getTime() + DAY_MS);
+    }
+
+    const next = Math.max(...candidates, 0);
+    return next > at.getTime() ? new Date(next) : null;
+};
+
+/**
+ * Where each PRN medication stands now, for GET responses.
+ * @param {Array<object>} medications
+ * @param {Date} now
+ * @returns {Promise<Map<string, { lastTakenAt: Date|null, dosesInLast24h: number, nextAllowedAt: Date|null }>>}
+ *   Keyed by medication id; scheduled medications are left out.
+ */
+const getPrnStatuses = async (medications, now) => {
+    const prnMedications = medications.filter(medication => medication.type === 'prn');
+    const statuses = new Map();
+    if (prnMedications.length === 0) return statuses;
+
+    // Looking back further than 24 hours finds the last dose for the interval check, even after a quiet day.
+    const longestInterval = Math.max(...prnMedications.map(m => (m.prn && m.prn.minIntervalMinutes) || 0)) * 60 * 1000;
+    const events = await findPrnDoses(prnMedications.map(m => m._id), new Date(now.getTime() - Math.max(DAY_MS, longestInterval)));
+
+    prnMedications.forEach((medication) => {
+        const takenTimes = events.filter(e => e.medication.equals(medication._id)).map(e => e.takenAt);
+        statuses.set(medication._id.toString(), {
+            lastTakenAt: takenTimes.length > 0 ? takenTimes[takenTimes.length - 1] : null,
+            dosesInLast24h: takenTimes.filter(time => time > now.getTime() - DAY_MS).length,
+            nextAllowedAt: getNextAllowedAt(medication, takenTimes, now),
+        });
+    });
+    return statuses;
+};
+
+/**
+ * Checks whether logging a dose at `takenAt` keeps within the medication's limits, counting doses
+ * on both sides of it so backdated doses are checked too.
+ * @param {object} medication - A PRN medication.
+ * @param {Date} takenAt
+ * @returns {Promise<Array<string>>} The limits the dose would break; empty when it is within them.
+ */
+const checkPrnDose = async (medication, takenAt) => {
+    const { minIntervalMinutes, maxDosesPer24h } = medication.prn || {};
+    const intervalMs = (minIntervalMinutes || 0) * 60 * 1000;
+    const events = await findPrnDoses([medication._id], new Date(takenAt.getTime() - Math.max(DAY_MS, intervalMs)));
+    const takenTimes = events.map(e => e.takenAt);
+    const violations = [];
+
+    const closest = takenTimes.reduce((min, time) => Math.min(min, Math.abs(time - takenAt)), Infinity);
+    if (minIntervalMinutes && closest < intervalMs) {
+        violations.push(`Another dose was taken ${Math.round(closest / 60000)} minutes from this one; doses must be at least ${minIntervalMinutes} minutes apart.`);
+    }
+    // Every 24-hour window containing this dose must stay within the maximum.
+    if (maxDosesPer24h) {
+        const windowStarts = [takenAt.getTime() - DAY_MS + 1, ...takenTimes.map(time => time.getTime())]
+            .filter(start => start > takenAt.getTime() - DAY_MS && start <= takenAt.getTime());
+        const busiest = Math.max(...windowStarts.map(start => takenTimes
+            .filter(time => time >= start && time < start + DAY_MS).length));
+        if (busiest + 1 > maxDosesPer24h) {
+            violations.push(`This would be more than ${maxDosesPer24h} doses in 24 hours.`);
+        }
+    }
+
+    return violations;
+};
+
+module.exports = {
+    MEDICATION_TYPES,
+    validatePrn,
+    getPrnStatuses,
+    checkPrnDose,
+};
@@ -0,0 +1,383 @@
+// backend/src/services/syncService.js
+// Offline batch sync (POST /api/medications/sync): a client that was offline sends the changes it made, in order,
+// and gets back what happened to each. Operations on the same medication are applied together or not at all,
+// and edits are checked against what changed on the server since the client's copy (its baseUpdatedAt).
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+const SyncOperation = require('../models/SyncOperation');
+const { checkPrnDose } = require('./prnService');
+const { snapshotMedication, recordCreated, recordUpdate, getChangesAfter } = require('./medicationHistoryService');
+const { publishChange } = require('./changeFeedService');
+const {
+    DOSE_STATUSES,
+    validateNewMedication,
+    buildMedication,
+    applyMedicationUpdate,
+    validateArchiveReason,
+    archiveMedication,
+    deleteMedication,
+    recordScheduledDose,
+    recordPrnDose,
+} = require('./medicationService');
+const { getLocalDateTime, isValidDateString } = require('../utils/timezone');
+const { isDueOn } = require('../utils/recurrence');
+
+const OPERATION_TYPES = ['create', 'update', 'archive', 'delete', 'dose'];
+const MAX_OPERATIONS = 200;
+const MAX_KEY_LENGTH = 100;
+const IDEMPOTENCY_DAYS = 30; // How long a key is remembered
+const CLAIM_MINUTES = 10; // How long a key stays claimed if the request applying it never finishes
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isDate = value => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+// Edits conflict when the server changed the same group of fields; the free-text amount and
+// structured dosage describe the same thing.
+const fieldGroup = (field) => {
+    const top = field.split('.')[0];
+    return top === 'amount' ? 'dosage' : top;
+};
+
+/**
+ * Checks the shape of a batch before anything is applied.
+ * @param {Array<object>} operations - [{ key, type, medicationId | clientId, baseUpdatedAt, clientTimestamp, data, ... }]
+ * @returns {string|null} An error message, or null when valid.
+ */
+const validateOperations = (operations) => {
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_OPERATIONS) {
+        return `Operations must be a list of 1 to ${MAX_OPERATIONS} operations.`;
+    }
+    const keys = new Set();
+    for (const [index, op] of operations.entries()) {
+        const fail = message => `Operation ${index}: ${message}`;
+        if (!isObject(op)) return fail('must be an object.');
+        if (typeof op.key !== 'string' || op.key.length === 0 || op.key.length > MAX_KEY_LENGTH) {
+            return fail(`key must be a string of 1 to ${MAX_KEY_LENGTH} characters.`);
+        }
+        if (keys.has(op.key)) return fail(`key "${op.key}" is used more than once.`);
+        keys.add(op.key);
+        if (!OPERATION_TYPES.includes(op.type)) return fail(`type must be one of: ${OPERATION_TYPES.join(', ')}.`);
+        if (op.type === 'create' && typeof op.clientId !== 'string') {
+            return fail('create needs a clientId, so later operations can refer to the new medication.');
+        }
+        if (op.type !== 'create' && typeof op.medicationId !== 'string' && typeof op.clientId !== 'string') {
+            return fail('needs a medicationId, or the clientId of a medication created in this batch.');
+        }
+        if (['update', 'archive', 'delete'].includes(op.type) && op.medicationId !== undefined && !isDate(op.baseUpdatedAt)) {
+            return fail('baseUpdatedAt (the updatedAt of the client\'s copy) is required.');
+        }
+        if (['create', 'update'].includes(op.type) && !isObject(op.data)) return fail('data must be an object.');
+        if (op.clientTimestamp !== undefined && !isDate(op.clientTimestamp)) return fail('clientTimestamp must be a date-time.');
+    }
+    return null;
+};
+
+// Why an operation cannot be applied over the changes made on the server since the client's copy, if it cannot.
+const findConflict = (op, serverChanges) => {
+    if (serverChanges.length === 0) return null;
+    if (serverChanges.some(entry => entry.action === 'archived' || entry.action === 'restored')) {
+        return 'The medication was archived or restored since your copy.';
+    }
+    if (op.type === 'archive' || op.type === 'delete') {
+        return 'The medication was changed since your copy.';
+    }
+    const serverGroups = new Set(serverChanges.flatMap(entry => entry.changes.map(change => fieldGroup(change.field))));
+    const overlapping = [...new Set(Object.keys(op.data).map(fieldGroup))].filter(group => serverGroups.has(group));
+    return overlapping.length > 0 ? `These fields were changed since your copy: ${overlapping.join(', ')}.` : null;
+};
+
+// Applies one operation to the medication being built up in memory (`group`). Returns the operation's result;
+// anything but 'applied' stops the group.
+const applyOperation = async (op, group, patient) => {
+    const result = { key: op.key, type: op.type, clientId: op.clientId };
+    const fail = (status, message) => ({ ...result, status, message, server: status === 'conflict' ? group.serverVersion : undefined });
+
+    if (op.type === 'create') {
+        if (group.medication) return fail('rejected', `clientId "${op.clientId}" is already used by another medication.`);
+        const error = validateNewMedication(op.data);
+        if (error) return fail('rejected', error);
+        group.medication = buildMedication(op.data, patient);
+        group.isNew = true;
+        return { ...result, status: 'applied', medicationId: group.medication._id };
+    }
+
+    const { medication } = group;
+    if (!medication) return fail('rejected', 'Medication not found.');
+    result.medicationId = medication._id;
+    if (group.deleted) return fail('rejected', 'The medication is deleted by an earlier operation in this batch.');
+    if ((medication.status === 'archived' || group.archive) && op.type !== 'delete') {
+        return fail('conflict', 'The medication is archived.');
+    }
+    // Every edit in the batch was made on the client's copy, so all are compared with it.
+    if (op.type !== 'dose' && !group.isNew) {
+        const conflict = findConflict(op, group.serverChanges(op.baseUpdatedAt));
+        if (conflict) return fail('conflict', conflict);
+    }
+
+    if (op.type === 'update') {
+        const error = applyMedicationUpdate(medication, op.data, patient);
+        if (error) return fail('rejected', error);
+        group.changed = true;
+        // merged: the server had other changes since the client's copy, and both are kept.
+        return { ...result, status: 'applied', merged: group.serverChanges(op.baseUpdatedAt).length > 0 };
+    }
+
+    if (op.type === 'archive') {
+        const error = validateArchiveReason(op.reason);
+        if (error) return fail('rejected', error);
+        group.archive = { reason: op.reason };
+        return { ...result, status: 'applied' };
+    }
+
+    if (op.type === 'delete') {
+        // Permanent, as DELETE /api/medications/:id. Anything earlier in the group goes with the medication.
+        group.deleted = true;
+        return { ...result, status: 'applied' };
+    }
+
+    // Dose: taken when the client says, but never in the future.
+    const now = new Date();
+    const clientTime = op.clientTimestamp ? new Date(op.clientTimestamp) : now;
+    const takenAt = clientTime > now ? now : clientTime;
+    const status = op.status || 'taken';
+    if (op.note !== undefined && typeof op.note !== 'string') return fail('rejected', 'Note must be a string.');
+
+    if (medication.type === 'prn') {
+        if (status !== 'taken') return fail('rejected', 'As-needed (PRN) doses can only be recorded as taken.');
+        if (op.quantity !== undefined && (typeof op.quantity !== 'number' || op.quantity <= 0)) {
+            return fail('rejected', 'Quantity must be a number greater than 0.');
+        }
+        // The dose was already taken while offline, so limits are reported rather than enforced.
+        const warnings = group.isNew ? [] : await checkPrnDose(medication, takenAt);
+        const applied = { ...result, status: 'applied', warnings };
+        group.doses.push({ result: applied, takenAt, quantity: op.quantity, note: op.note });
+        return applied;
+    }
+
+    if (!DOSE_STATUSES.includes(status)) return fail('rejected', 'Invalid status. Must be "taken", "skipped" or "pending".');
+    const schedule = op.scheduleId
+        ? medication.schedules.find(s => s._id.toString() === op.scheduleId)
+        : medication.schedules.find(s => s.time === op.time); // Entries created offline have no id yet on the client
+    if (!schedule) return fail('rejected', 'Schedule entry not found (send scheduleId or time).');
+    const today = getLocalDateTime(now, patient.timezone).date;
+    const date = op.date || getLocalDateTime(takenAt, patient.timezone).date;
+    if (!isValidDateString(date) || date > today) {
+        return fail('rejected', 'Date must be in YYYY-MM-DD format and not in the future.');
+    }
+    if (!isDueOn(medication, date)) return fail('rejected', 'This medication is not scheduled on that date.');
+    const applied = { ...result, status: 'applied' };
+    group.doses.push({ result: applied, schedule, date, status, note: op.note, takenAt });
+    return applied;
+};
+
+// Saves what a group did to its medication, the medication first and then its doses. Returns the changes to publish.
+const saveMedicationChanges = async (group, user, patient, session) => {
+    const { medication } = group;
+    const changes = [];
+    if (group.deleted) {
+        // Anything else the group did goes with it; a medication created in the same batch was never saved.
+        if (!group.isNew) {
+            await deleteMedication(medication, session);
+            changes.push(['medication.deleted', null]);
+        }
+        return changes;
+    }
+    if (group.isNew) {
+        await medication.save({ session });
+        await recordCreated(medication, user._id, session);
+        changes.push(['medication.created', medication]);
+    } else if (group.changed) {
+        await medication.save({ session });
+        await recordUpdate(group.before, medication, user._id, session);
+        changes.push(['medication.updated', medication]);
+    }
+    if (group.archive) {
+        await archiveMedication(medication, patient, user._id, group.archive.reason, session);
+        changes.push(['medication.archived', medication]);
+    }
+    for (const dose of group.doses) {
+        const doseEvent = dose.schedule
+            ? await recordScheduledDose(medication, dose.schedule, { ...dose, recordedBy: user._id }, session)
+            : await recordPrnDose(medication, patient, { ...dose, recordedBy: user._id }, session);
+        changes.push(['dose.updated', doseEvent]);
+        dose.result.doseEvent = doseEvent;
+    }
+    return changes;
+};
+
+// Saves a group whose operations all applied and stores the results under the operations' keys. Runs in
+// a transaction if MongoDB supports them, and again if it is retried; returns the changes to publish once
+// it has committed.
+const commitGroup = async (group, operations, results, user, patient, session) => {
+    const changes = await saveMedicationChanges(group, user, patient, session);
+    const expiresAt = new Date(Date.now() + IDEMPOTENCY_DAYS * 24 * 60 * 60 * 1000);
+    await SyncOperation.bulkWrite(operations.map((op) => {
+        const { doseEvent, ...result } = results.get(op.key); // A resend is answered without the dose event
+        return {
+            updateOne: {
+                filter: { user: user._id, key: op.key },
+                update: { $set: { status: 'applied', result, expiresAt } },
+            },
+        };
+    }), { session });
+    return changes;
+};
+
+// Claims the keys of a batch, so that no other request applies the same operations. Keys that were claimed
+// already are answered from the earlier request: with its result once applied, or as in progress until then.
+// Returns the claims made, and the answers.
+const claimKeys = async (user, operations) => {
+    const expiresAt = new Date(Date.now() + CLAIM_MINUTES * 60 * 1000);
+    const claims = operations.map(op => new SyncOperation({ user: user._id, key: op.key, expiresAt }));
+    try {
+        await SyncOperation.insertMany(claims, { ordered: false });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const claimIds = new Set(claims.map(claim => claim._id.toString()));
+    const entries = await SyncOperation.find({ user: user._id, key: { $in: operations.map(op => op.key) } });
+    const answers = new Map();
+    entries.filter(entry => !claimIds.has(entry._id.toString())).forEach((entry) => {
+        const op = operations.find(o => o.key === entry.key);
+        answers.set(entry.key, entry.status === 'applied'
+            ? { ...entry.result, status: 'duplicate' }
+            : {
+                key: op.key,
+                type: op.type,
+                clientId: op.clientId,
+                status: 'in_progress',
+                message: 'Another request is applying this operation; send it again later for its result.',
+            });
+    });
+    return { claims: claims.filter(claim => !answers.has(claim.key)), answers };
+};
+
+// Loads the medication a group of operations acts on, with the server's changes since the oldest copy they were made on.
+const loadGroup = async (medicationId, patient, operations) => {
+    const group = { medication: null, isNew: false, changed: false, archive: null, deleted: false, doses: [], serverChanges: () => [] };
+    if (!medicationId) return group;
+
+    const medication = mongoose.isValidObjectId(medicationId) ? await Medication.findById(medicationId) : null;
+    if (!medication || !medication.user.equals(patient._id)) return group;
+    group.medication = medication;
+    group.serverVersion = medication.toObject();
+    group.before = snapshotMedication(medication);
+
+    const bases = operations.filter(op => op.baseUpdatedAt).map(op => new Date(op.baseUpdatedAt));
+    const oldestBase = bases.length > 0 ? new Date(Math.min(...bases)) : null;
+    if (oldestBase && medication.updatedAt > oldestBase) {
+        const history = await getChangesAfter(medication._id, oldestBase);
+        group.serverChanges = base => history.filter(entry => entry.version > new Date(base));
+    }
+    return group;
+};
+
+// Transactions need MongoDB to run as a replica set (or behind mongos). On a standalone server the first attempt
+// fails before writing anything; from then on groups are saved without a transaction, and only the key claims
+// keep a batch from being applied twice. A group whose saving fails part-way may then be left partly saved.
+let transactionsUnsupported = false;
+const isTransactionsUnsupportedError = error => /Transaction numbers are only allowed on a replica set member or mongos/
+    .test(error.message);
+
+const inTransaction = async (fn) => {
+    if (!transactionsUnsupported) {
+        try {
+            return await mongoose.connection.transaction(fn);
+        } catch (error) {
+            if (!isTransactionsUnsupportedError(error)) throw error;
+            transactionsUnsupported = true;
+            console.warn('[Backend Sync] MongoDB is not a replica set, so sync changes are saved without transactions.');
+        }
+    }
+    return fn(null);
+};
+
+/**
+ * Applies a batch of offline changes for a patient. Operations are grouped by the medication they act on
+ * (medicationId, or the clientId of one created in the batch); each group is applied in order and saved
+ * only if all of its operations can be, in a transaction when MongoDB runs as a replica set. Operations already
+ * applied, or being applied by another request, under the same key are not applied again.
+ * @param {object} user - The logged-in user (the patient or a caregiver with manage permission).
+ * @param {object} patient - Whose medications are changed.
+ * @param {Array<object>} operations - Validated with validateOperations().
+ * @returns {Promise<Array<object>>} One result per operation, in order: { key, type, status, medicationId, clientId,
+ *   message, merged, warnings, doseEvent, server }. status is applied, duplicate, in_progress (another request is
+ *   applying it), conflict (server holds a newer change; `server` is its version), rejected (invalid) or skipped
+ *   (another operation in its group failed).
+ */
+const applySyncBatch = async (user, patient, operations) => {
+    const { claims, answers: results } = await claimKeys(user, operations);
+    const applied = new Set();
+
+    // Groups in order of their first operation; created medications are found by clientId.
+    const groups = new Map();
+    const clientIds = new Map([...results.values()]
+        .filter(result => result.status === 'duplicate' && result.type === 'create')
+        .map(result => [result.clientId, result.medicationId.toString()]));
+    operations.filter(op => !results.has(op.key)).forEach((op) => {
+        const target = op.medicationId || clientIds.get(op.clientId) || `client:${op.clientId}`;
+        if (!groups.has(target)) groups.set(target, []);
+        groups.get(target).push(op);
+    });
+
+    try {
+        for (const [target, groupOperations] of groups) {
+            const group = await loadGroup(target.startsWith('client:') ? null : target, patient, groupOperations);
+            let failure = null;
+            for (const op of groupOperations) {
+                const result = await applyOperation(op, group, patient);
+                results.set(op.key, result);
+                if (result.status !== 'applied') {
+                    failure = op;
+                    break;
+                }
+            }
+            if (!failure && group.medication && (group.isNew || group.changed) && !group.deleted) {
+                try {
+                    await group.medication.validate();
+                } catch (error) {
+                    if (error.name !== 'ValidationError') throw error;
+                    failure = groupOperations[groupOperations.length - 1];
+                    results.set(failure.key, {
+                        ...results.get(failure.key),
+                        status: 'rejected',
+                        message: Object.values(error.errors).map(e => e.message).join(' '),
+                    });
+                }
+            }
+
+            if (failure) {
+                groupOperations.filter(op => op !== failure).forEach(op => results.set(op.key, {
+                    key: op.key,
+                    type: op.type,
+                    clientId: op.clientId,
+                    status: 'skipped',
+                    message: `Not applied: operation "${failure.key}" on the same medication could not be.`,
+                }));
+                continue;
+            }
+
+            // The medication, its history, its doses and stock, and the stored results are saved together or not at all
+            // (see inTransaction for standalone servers).
+            const changes = await inTransaction(session => commitGroup(group, groupOperations, results, user, patient, session));
+            groupOperations.forEach(op => applied.add(op.key));
+            for (const [type, data] of changes) {
+                await publishChange(patient._id, type, group.medication._id, data);
+            }
+        }
+    } finally {
+        // Operations that were not applied can be sent again under the same key.
+        const released = claims.filter(claim => !applied.has(claim.key)).map(claim => claim._id);
+        if (released.length > 0) {
+            await SyncOperation.deleteMany({ _id: { $in: released } });
+        }
+    }
+
+    return operations.map(op => results.get(op.key));
+};
+
+module.exports = {
+    validateOperations,
+    applySyncBatch,
+};
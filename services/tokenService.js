@@ -0,0 +1,183 @@
+// backend/src/services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Access tokens are short-lived; refresh tokens rotate on every use and live as long as their session.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Rotated-out token hashes kept per session for reuse detection. Older ones are dropped, so the session
+// document stays small; a token that old is just rejected as invalid.
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found even for a rotated-out token.
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+/**
+ * Signs a short-lived access token bound to a session.
+ * @param {string|object} userId
+ * @param {string|object} sessionId
+ * @returns {string}
+ */
+const generateAccessToken = (userId, sessionId) => jwt.sign(
+    { userId, sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const requestMetadata = (req) => ({
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null,
+});
+
+/**
+ * Starts a new session (e.g. on sign in) and returns its first token pair.
+ * @param {object} user
+ * @param {object} req - The Express request, used to record the device's user agent and IP.
+ * @returns {Promise<{ token: string, refreshToken: string, session: object }>}
+ */
+const createSession = async (user, req) => {
+    const session = new Session({
+        user: user._id,
+        ...requestMetadata(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+    const refreshToken = newRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return { token: generateAccessToken(user._id, session._id), refreshToken, session };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair, rotating the refresh token.
+ * Presenting a token that was already rotated out is treated as theft: the whole session is revoked.
+ * @param {string} refreshToken
+ * @param {object} req
+ * @returns {Promise<{ token?: string, refreshToken?: string, session?: object, error?: string }>}
+ *   error is one of 'invalid', 'expired', 'revoked' or 'reused'.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+    const [sessionId] = String(refreshToken).split('.');
+    if (!/^[0-9a-f]{24}$/.test(sessionId)) return { error: 'invalid' };
+
+    const presentedHash = hashToken(refreshToken);
+    const nextRefreshToken = newRefreshToken(sessionId);
+    const now = new Date();
+
+    // Atomic swap: only one request can rotate a given token.
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: { refreshTokenHash: hashToken(nextRefreshToken), lastUsedAt: now, ...requestMetadata(req) },
+            $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } },
+        },
+        { new: true }
+    );
+
+    if (session) {
+        return { token: generateAccessToken(session.user, session._id), refreshToken: nextRefreshToken, session };
+    }
+
+    const existing = await Session.findById(sessionId);
+    if (!existing) return { error: 'invalid' };
+    if (existing.previousTokenHashes.includes(presentedHash)) {
+        if (!existing.revokedAt) {
+            await revokeSession(existing._id, 'reuse_detected');
+            console.warn(`[Backend TokenService] Refresh token reuse detected for user ${existing.user}. Session ${existing._id} revoked.`);
+        }
+        return { error: 'reused' };
+    }
+    if (existing.refreshTokenHash !== presentedHash) return { error: 'invalid' };
+    if (existing.revokedAt) return { error: 'revoked' };
+    return { error: 'expired' };
+};
+
+/**
+ * Revokes a single session.
+ * @param {string|object} sessionId
+ * @param {string} reason
+ */
+const revokeSession = (sessionId, reason) => Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+/**
+ * Revokes every active session of a user, optionally keeping one (e.g. the current device).
+ * @param {string|object} userId
+ * @param {string} reason
+ * @param {string|object} [exceptSessionId]
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+/**
+ * Lists a user's active sessions for display, flagging the one making the request.
+ * @param {string|object} userId
+ * @param {string|object} [currentSessionId]
+ */
+const listSessions = async (userId, currentSessionId) => {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 });
+    return sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: Boolean(currentSessionId) && session._id.equals(currentSessionId),
+    }));
+};
+
+/**
+ * Verifies an access token and loads its user and session. Shared by `protect` and other authenticated entry points.
+ * Throws the jsonwebtoken errors (JsonWebTokenError, TokenExpiredError) for bad or expired tokens.
+ * @param {string} token
+ * @returns {Promise<{ user?: object, session?: object, expiresAt?: Date, message?: string }>} message explains why access
+ *   is refused; expiresAt is when the token stops being accepted.
+ */
+const authenticateAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.sid) {
+        // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted.
+        return { message: 'Not authorized, session expired. Please sign in again.' };
+    }
+    const session = await Session.findOne({
+        _id: decoded.sid,
+        user: decoded.userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+    if (!session) {
+        return { message: 'Not authorized, session has been revoked.' };
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user) {
+        return { message: 'Not authorized, user not found.' };
+    }
+    if (user.disabledAt) {
+        return { message: 'Not authorized, this account has been disabled.' };
+    }
+    return { user, session, expiresAt: new Date(decoded.exp * 1000) };
+};
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+    authenticateAccessToken,
+};
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const { getAdherenceReport } = require('../services/adherenceService');
+const { getLocalDateTime } = require('../utils/timezone');
+
+const { ObjectId } = mongoose.Types;
+const user = { _id: new ObjectId(), timezone: 'UTC' };
+
+// A schedule entry counts from the day it was added, which its ObjectId records.
+const idFrom = (date) => {
+    const time = ObjectId.createFromTime(Date.parse(`${date}T00:00:00Z`) / 1000).toHexString().slice(0, 8);
+    return new ObjectId(time + new ObjectId().toHexString().slice(8));
+};
+
+describe('getAdherenceReport', () => {
+    let medications;
+    let events;
+
+    beforeEach(() => {
+        medications = [];
+        events = [];
+        mock.method(Medication, 'find', filter => ({
+            sort: async () => medications.filter(m => !filter._id || m._id.equals(filter._id)),
+        }));
+        mock.method(DoseEvent, 'find', async () => events);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const addMedication = (createdOn, times) => {
+        const medication = {
+            _id: new ObjectId(),
+            name: 'Metformin',
+            createdAt: new Date(`${createdOn}T00:00:00Z`),
+            schedules: times.map(([time, addedOn]) => ({ _id: idFrom(addedOn || createdOn), time })),
+        };
+        medications.push(medication);
+        return medication;
+    };
+    const record = (medication, index, date, status) => events.push({
+        medication: medication._id,
+        scheduleId: medication.schedules[index]._id,
+        scheduledTime: medication.schedules[index].time,
+        date,
+        status,
+    });
+
+    it('counts taken, skipped and missed doses, per day and per schedule entry', async () => {
+        const medication = addMedication('2025-03-01', [['08:00'], ['20:00']]);
+        ['2025-03-01', '2025-03-02'].forEach((date) => {
+            record(medication, 0, date, 'taken');
+            record(medication, 1, date, 'taken');
+        });
+        record(medication, 0, '2025-03-03', 'taken');
+        record(medication, 1, '2025-03-03', 'skipped');
+
+        const report = await getAdherenceReport(user, { from: '2025-03-01', to: '2025-03-04' });
+        const { overall } = report;
+
+        assert.deepEqual(
+            [overall.scheduled, overall.taken, overall.skipped, overall.missed, overall.pending],
+            [8, 5, 1, 2, 0]
+        );
+        assert.equal(overall.adherencePercent, 62.5);
+        assert.deepEqual(overall.days.map(day => day.adherencePercent), [100, 100, 50, 0]);
+        assert.equal(overall.longestStreak, 2);
+        assert.equal(overall.currentStreak, 0);
+        assert.deepEqual(report.medications[0].schedules.map(s => [s.time, s.adherencePercent]), [['08:00', 75], ['20:00', 50]]);
+    });
+
+    it('does not count doses from before a schedule entry was added', async () => {
+        const medication = addMedication('2025-03-01', [['08:00'], ['20:00', '2025-03-03']]);
+        ['2025-03-01', '2025-03-02', '2025-03-03'].forEach(date => record(medication, 0, date, 'taken'));
+        record(medication, 1, '2025-03-03', 'taken');
+
+        const { overall } = await getAdherenceReport(user, { from: '2025-02-25', to: '2025-03-03' });
+
+        assert.equal(overall.scheduled, 4);
+        assert.equal(overall.missed, 0);
+        assert.equal(overall.adherencePercent, 100);
+        assert.equal(overall.currentStreak, 3); // Days before the medication existed do not break it
+    });
+
+    it('leaves today\'s unanswered doses pending, out of the percentage', async () => {
+        const today = getLocalDateTime(new Date(), user.timezone).date;
+        const medication = addMedication(today, [['00:00'], ['23:59']]);
+        record(medication, 0, today, 'taken');
+
+        const { overall } = await getAdherenceReport(user, { from: today, to: today });
+
+        assert.equal(overall.pending, 1);
+        assert.equal(overall.adherencePercent, 100);
+        assert.equal(overall.currentStreak, 0);
+    });
+
+    it('still counts doses of schedule entries that were removed since', async () => {
+        const medication = addMedication('2025-03-01', [['08:00']]);
+        events.push({ medication: medication._id, scheduleId: new ObjectId(), scheduledTime: '21:00', date: '2025-03-01', status: 'skipped' });
+
+        const report = await getAdherenceReport(user, { from: '2025-03-01', to: '2025-03-01' });
+
+        assert.equal(report.overall.scheduled, 2);
+        assert.equal(report.overall.skipped, 1);
+        assert.deepEqual(report.medications[0].schedules.map(s => s.time), ['08:00', '21:00']);
+    });
+
+    it('returns null for a medication the user does not have', async () => {
+        addMedication('2025-03-01', [['08:00']]);
+
+        assert.equal(await getAdherenceReport(user, { from: '2025-03-01', to: '2025-03-02', medicationId: new ObjectId() }), null);
+    });
+});
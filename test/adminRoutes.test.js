@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const adminRoutes = require('../routes/adminRoutes');
+const { authorize } = require('../middleware/authMiddleware');
+const { startApp, logInAs, request } = require('./helpers');
+
+const admin = { _id: new mongoose.Types.ObjectId(), username: 'ada', role: 'admin' };
+const member = { _id: new mongoose.Types.ObjectId(), username: 'alex', role: 'user' };
+
+describe('authorize', () => {
+    const run = (user, ...roles) => {
+        let status = null;
+        let passed = false;
+        const res = { status: (code) => { status = code; return { json: () => {} }; } };
+        authorize(...roles)({ user }, res, () => { passed = true; });
+        return passed ? 'next' : status;
+    };
+
+    it('lets through only users with one of the roles', () => {
+        assert.equal(run(admin, 'admin'), 'next');
+        assert.equal(run(member, 'admin'), 403);
+        assert.equal(run(member, 'user', 'admin'), 'next');
+        assert.equal(run({ username: 'old' }, 'user'), 'next'); // Users from before roles existed
+        assert.equal(run(undefined, 'user'), 403);
+    });
+});
+
+describe('admin routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp('/api/admin', adminRoutes);
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        mock.method(User, 'findOneAndUpdate', (filter, update) => ({
+            select: async () => ([admin, member].some(u => u._id.equals(filter._id)) ? { _id: filter._id, ...update.$set } : null),
+        }));
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const roleUrl = user => `${app.url}/users/${user._id}/role`;
+
+    it('refuses users without the admin role', async () => {
+        const { status } = await request(roleUrl(member), { method: 'PUT', headers: logInAs(member), body: { role: 'admin' } });
+
+        assert.equal(status, 403);
+        assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it('refuses disabled accounts, even admins', async () => {
+        const { status, body } = await request(`${app.url}/users`, { headers: logInAs({ ...admin, disabledAt: new Date() }) });
+
+        assert.equal(status, 401);
+        assert.match(body.message, /disabled/);
+    });
+
+    it('lets an admin change a user\'s role', async () => {
+        const { status, body } = await request(roleUrl(member), { method: 'PUT', headers: logInAs(admin), body: { role: 'admin' } });
+
+        assert.equal(status, 200);
+        assert.equal(body.role, 'admin');
+    });
+
+    it('rejects unknown or missing roles, unknown users and demoting yourself', async () => {
+        const headers = logInAs(admin);
+        const unknownRole = await request(roleUrl(member), { method: 'PUT', headers, body: { role: 'owner' } });
+        const noBody = await request(roleUrl(member), { method: 'PUT', headers: { Authorization: headers.Authorization } });
+        const unknownUser = await request(roleUrl({ _id: new mongoose.Types.ObjectId() }), { method: 'PUT', headers, body: { role: 'user' } });
+        const self = await request(roleUrl(admin), { method: 'PUT', headers, body: { role: 'user' } });
+
+        assert.equal(unknownRole.status, 400);
+        assert.equal(noBody.status, 400);
+        assert.equal(unknownUser.status, 404);
+        assert.equal(self.status, 400);
+        assert.match(self.body.message, /your own admin role/);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LoginLockout = require('../models/LoginLockout');
+const RateLimit = require('../models/RateLimit');
+const { consumeRateLimit, getLockedUntil, registerFailure, clearFailures } = require('../services/authThrottleService');
+
+const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+describe('lockout', () => {
+    let lockouts;
+
+    // LoginLockout documents kept in memory, updated the way MongoDB would apply the service's updates.
+    beforeEach(() => {
+        lockouts = [];
+        mock.method(LoginLockout, 'findOneAndUpdate', async ({ username }, update) => {
+            let lockout = lockouts.find(l => l.username === username);
+            if (!lockout) {
+                lockout = { _id: new mongoose.Types.ObjectId(), username, failures: 0, lockouts: 0, lockedUntil: null };
+                lockouts.push(lockout);
+            }
+            lockout.failures += update.$inc.failures;
+            Object.assign(lockout, update.$set);
+            return { ...lockout };
+        });
+        mock.method(LoginLockout, 'updateOne', async (filter, update) => {
+            const lockout = lockouts.find(l => l._id.equals(filter._id) && l.failures === filter.failures);
+            if (!lockout) return { modifiedCount: 0 };
+            Object.assign(lockout, update.$set);
+            lockout.lockouts += update.$inc.lockouts;
+            return { modifiedCount: 1 };
+        });
+        mock.method(LoginLockout, 'findOne', async ({ username, lockedUntil }) => lockouts
+            .find(l => l.username === username && l.lockedUntil > lockedUntil.$gt) || null);
+        mock.method(LoginLockout, 'deleteOne', async ({ username }) => {
+            lockouts = lockouts.filter(l => l.username !== username);
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const fail = (times, now) => Array.from({ length: times }).reduce(
+        (previous) => previous.then(() => registerFailure('alex', now)),
+        Promise.resolve()
+    );
+
+    it('counts down the attempts left, then locks the username', async () => {
+        const now = new Date('2025-03-01T08:00:00Z');
+
+        assert.deepEqual(await registerFailure('alex', now), { lockedUntil: null, remainingAttempts: 4 });
+        await fail(3, now);
+        const locked = await registerFailure('alex', now);
+
+        assert.deepEqual(locked, { lockedUntil: minutesAfter(now, 1), remainingAttempts: 0 });
+        assert.deepEqual(await getLockedUntil('alex', now), minutesAfter(now, 1));
+        assert.equal(await getLockedUntil('alex', minutesAfter(now, 2)), null);
+        assert.equal(await getLockedUntil('sam', now), null);
+    });
+
+    it('doubles each further lockout, up to an hour', async () => {
+        const now = new Date('2025-03-01T08:00:00Z');
+        const lengths = [];
+        for (let i = 0; i < 8; i += 1) {
+            await fail(4, now);
+            const { lockedUntil } = await registerFailure('alex', now);
+            lengths.push((lockedUntil - now) / 60000);
+        }
+
+        assert.deepEqual(lengths, [1, 2, 4, 8, 16, 32, 60, 60]);
+    });
+
+    it('starts over after a successful sign-in', async () => {
+        const now = new Date('2025-03-01T08:00:00Z');
+        await fail(5, now);
+        await clearFailures('alex');
+
+        assert.equal(await getLockedUntil('alex', now), null);
+        assert.deepEqual(await registerFailure('alex', now), { lockedUntil: null, remainingAttempts: 4 });
+    });
+});
+
+describe('consumeRateLimit', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('allows requests up to the limit of the window', async () => {
+        const resetAt = new Date('2025-03-01T08:15:00Z');
+        let count = 0;
+        mock.method(RateLimit, 'findOneAndUpdate', async () => {
+            count += 1;
+            return { count, resetAt };
+        });
+
+        const results = [];
+        for (let i = 0; i < 3; i += 1) results.push(await consumeRateLimit('credentials:ip:203.0.113.7', 2));
+
+        assert.deepEqual(results.map(r => r.allowed), [true, true, false]);
+        assert.deepEqual(results[2].retryAt, resetAt);
+    });
+
+    it('retries once when another instance created the bucket at the same moment', async () => {
+        const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        let calls = 0;
+        mock.method(RateLimit, 'findOneAndUpdate', async () => {
+            calls += 1;
+            if (calls === 1) throw duplicate;
+            return { count: 2, resetAt: new Date() };
+        });
+
+        assert.equal((await consumeRateLimit('all:ip:203.0.113.7', 5)).allowed, true);
+        assert.equal(calls, 2);
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CareLink = require('../models/CareLink');
+const User = require('../models/User');
+const { hasPermission, getPatientAccess, resolvePatient } = require('../services/careService');
+
+const { ObjectId } = mongoose.Types;
+const patient = { _id: new ObjectId(), username: 'pat', timezone: 'Europe/Berlin' };
+const caregiver = { _id: new ObjectId(), username: 'cam' };
+
+describe('hasPermission', () => {
+    it('lets each level do what the levels below it can', () => {
+        assert.equal(hasPermission('owner', 'manage'), true);
+        assert.equal(hasPermission('manage', 'manage'), true);
+        assert.equal(hasPermission('manage', 'view'), true);
+        assert.equal(hasPermission('view', 'view'), true);
+        assert.equal(hasPermission('view', 'manage'), false);
+        assert.equal(hasPermission(null, 'view'), false);
+    });
+});
+
+describe('caregiver access', () => {
+    let links;
+
+    beforeEach(() => {
+        links = [];
+        mock.method(CareLink, 'findOne', async filter => links.find(link => String(link.patient) === String(filter.patient)
+            && String(link.caregiver) === String(filter.caregiver)
+            && link.status === filter.status) || null);
+        mock.method(User, 'findById', id => ({ select: async () => (String(id) === String(patient._id) ? patient : null) }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const link = (permission, status = 'active') => links.push({ patient: patient._id, caregiver: caregiver._id, permission, status });
+
+    it('gives users full access to their own data, without a link', async () => {
+        assert.equal(await getPatientAccess(patient, patient._id), 'owner');
+        assert.deepEqual(await resolvePatient(patient, undefined, 'manage'), { patient, access: 'owner' });
+        assert.deepEqual(await resolvePatient(patient, patient._id.toString(), 'manage'), { patient, access: 'owner' });
+        assert.equal(CareLink.findOne.mock.callCount(), 0);
+    });
+
+    it('lets a caregiver with view permission read but not change', async () => {
+        link('view');
+
+        assert.deepEqual(await resolvePatient(caregiver, patient._id.toString(), 'view'), { patient, access: 'view' });
+        const denied = await resolvePatient(caregiver, patient._id.toString(), 'manage');
+        assert.equal(denied.patient, undefined);
+        assert.equal(denied.status, 401);
+    });
+
+    it('lets a caregiver with manage permission change', async () => {
+        link('manage');
+
+        assert.deepEqual(await resolvePatient(caregiver, patient._id.toString(), 'manage'), { patient, access: 'manage' });
+    });
+
+    it('gives nothing for links that are pending or revoked', async () => {
+        link('manage', 'pending');
+        assert.equal((await resolvePatient(caregiver, patient._id.toString(), 'view')).status, 401);
+
+        links[0].status = 'revoked';
+        assert.equal(await getPatientAccess(caregiver, patient._id), null);
+    });
+
+    it('reports a patient that no longer exists', async () => {
+        const missing = new ObjectId();
+        links.push({ patient: missing, caregiver: caregiver._id, permission: 'view', status: 'active' });
+
+        assert.deepEqual(await resolvePatient(caregiver, missing.toString(), 'view'), { status: 404, message: 'Patient not found.' });
+    });
+});
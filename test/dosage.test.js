@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDosage, parseAmount, formatDose, getDoseQuantity, describeDose } = require('../utils/dosage');
+
+describe('parseAmount', () => {
+    it('reads a count of a form', () => {
+        assert.deepEqual(parseAmount('2 pills'), { quantity: 2, form: 'tablet', strength: null });
+        assert.deepEqual(parseAmount('Two puffs'), { quantity: 2, form: 'puff', strength: null });
+        assert.deepEqual(parseAmount('half a tablet'), { quantity: 0.5, form: 'tablet', strength: null });
+        assert.deepEqual(parseAmount('10 units'), { quantity: 10, form: 'unit', strength: null });
+    });
+
+    it('reads a strength, as one dose of it', () => {
+        assert.deepEqual(parseAmount('500mg'), { quantity: 1, form: null, strength: { value: 500, unit: 'mg' } });
+        assert.deepEqual(parseAmount('1 tab 250 mg'), { quantity: 1, form: 'tablet', strength: { value: 250, unit: 'mg' } });
+    });
+
+    it('reads a count of a strength', () => {
+        assert.deepEqual(parseAmount('2 x 500mg'), { quantity: 2, form: null, strength: { value: 500, unit: 'mg' } });
+        assert.deepEqual(parseAmount('2 × 500 mg tablets'), { quantity: 2, form: 'tablet', strength: { value: 500, unit: 'mg' } });
+        assert.deepEqual(parseAmount('2 tablets of 500 mg'), { quantity: 2, form: 'tablet', strength: { value: 500, unit: 'mg' } });
+    });
+
+    it('converts spoons to ml and reads liquid strengths', () => {
+        assert.deepEqual(parseAmount('1/2 tsp'), { quantity: 2.5, form: 'ml', strength: null });
+        assert.deepEqual(parseAmount('250mg/5ml'), { quantity: 5, form: 'ml', strength: { value: 250, unit: 'mg' } });
+        assert.deepEqual(parseAmount('2,5 ml'), { quantity: 2.5, form: 'ml', strength: null });
+    });
+
+    it('gives up on amounts it cannot read', () => {
+        assert.equal(parseAmount('take as directed'), null);
+        assert.equal(parseAmount('0 tablets'), null);
+        assert.equal(parseAmount(''), null);
+        assert.equal(parseAmount(undefined), null);
+    });
+
+    it('does not guess at ranges, alternatives or text it only partly reads', () => {
+        assert.equal(parseAmount('1-2 tablets'), null);
+        assert.equal(parseAmount('5-10 ml'), null);
+        assert.equal(parseAmount('1 or 2'), null);
+        assert.equal(parseAmount('1 to 2 tablets'), null);
+        assert.equal(parseAmount('1 tablet daily'), null);
+        assert.equal(parseAmount('1 tablet 2 capsules'), null);
+        assert.equal(parseAmount('2 x'), null);
+    });
+});
+
+describe('formatDose', () => {
+    it('renders the quantity, form and strength', () => {
+        assert.equal(formatDose({ quantity: 2, form: 'tablet', strength: { value: 500, unit: 'mg' } }), '2 tablets of 500 mg');
+        assert.equal(formatDose({ quantity: 0.5, form: 'tablet' }), '0.5 tablet');
+        assert.equal(formatDose({ quantity: 2, form: 'patch' }), '2 patches');
+        assert.equal(formatDose({ quantity: 1, strength: { value: 500, unit: 'mg' } }), '500 mg');
+        assert.equal(formatDose({ quantity: 2, strength: { value: 500, unit: 'mg' } }), '2 x 500 mg');
+    });
+
+    it('appends route and food instructions when asked', () => {
+        const dosage = { quantity: 1, form: 'tablet', route: 'sublingual', withFood: 'with_food' };
+        assert.equal(formatDose(dosage), '1 tablet');
+        assert.equal(formatDose(dosage, 1, { instructions: true }), '1 tablet, under the tongue, with food');
+    });
+});
+
+describe('getDoseQuantity and describeDose', () => {
+    const medication = {
+        dosage: { quantity: 1, form: 'tablet', strength: { value: 5, unit: 'mg' } },
+        recurrence: { startDate: '2025-03-01' },
+        taper: [{ durationDays: 2, quantity: 3 }],
+    };
+
+    it('takes the taper step\'s quantity first, then the schedule entry\'s, then the medication\'s', () => {
+        assert.equal(getDoseQuantity(medication, '2025-03-02', { quantity: 2 }), 3);
+        assert.equal(getDoseQuantity(medication, '2025-03-03', { quantity: 2 }), 2);
+        assert.equal(getDoseQuantity(medication, '2025-03-03'), 1);
+    });
+
+    it('falls back to the free-text amount without structured dosage', () => {
+        assert.equal(describeDose(medication, '2025-03-01'), '3 tablets of 5 mg');
+        assert.equal(describeDose({ amount: 'a spoonful' }, '2025-03-01'), 'a spoonful');
+    });
+});
+
+describe('validateDosage', () => {
+    it('accepts complete dosage and per-schedule quantities', () => {
+        assert.equal(validateDosage({ quantity: 1, form: 'tablet', strength: { value: 500, unit: 'mg' } }, [{ quantity: 2 }]), null);
+        assert.equal(validateDosage(undefined, []), null);
+    });
+
+    it('rejects unknown forms and units, and non-positive quantities', () => {
+        assert.match(validateDosage({ form: 'gummy' }), /form/);
+        assert.match(validateDosage({ strength: { value: 5, unit: 'grains' } }), /strength/);
+        assert.match(validateDosage({ quantity: 0 }), /quantity/);
+        assert.match(validateDosage({}, [{ quantity: -1 }]), /Schedule quantities/);
+    });
+
+    it('rejects schedules that add up to more than the daily maximum', () => {
+        assert.match(validateDosage({ quantity: 2, maxDailyQuantity: 4 }, [{}, {}, { quantity: 1 }]), /5 a day, above the maximum of 4/);
+    });
+});
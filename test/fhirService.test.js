@@ -0,0 +1,194 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+const { buildBundle, importBundle } = require('../services/fhirService');
+
+const patient = { _id: new mongoose.Types.ObjectId(), username: 'alex', timezone: 'UTC' };
+
+const buildMedication = fields => new Medication({
+    user: patient._id,
+    createdAt: new Date('2025-01-01T09:00:00Z'),
+    updatedAt: new Date('2025-01-02T09:00:00Z'),
+    ...fields,
+});
+
+const statement = (dosage, extra = {}) => ({
+    resourceType: 'MedicationStatement',
+    status: 'active',
+    medicationCodeableConcept: { text: 'Amoxicillin' },
+    dosage: [dosage],
+    ...extra,
+});
+
+const bundleOf = (...resources) => ({ resourceType: 'Bundle', type: 'collection', entry: resources.map(resource => ({ resource })) });
+
+describe('buildBundle', () => {
+    it('exports times, weekdays and course dates as a MedicationStatement', () => {
+        const medication = buildMedication({
+            name: 'Methotrexate',
+            dosage: { quantity: 2, form: 'tablet' },
+            schedules: [{ time: '20:00' }, { time: '8:00' }],
+            recurrence: { frequency: 'weekly', daysOfWeek: [5, 1], startDate: '2025-03-01', endDate: '2099-06-30' },
+            precautions: 'Take with folic acid',
+        });
+        const bundle = buildBundle(patient, [medication]);
+
+        assert.equal(bundle.resourceType, 'Bundle');
+        assert.equal(bundle.total, 1);
+        const resource = bundle.entry[0].resource;
+        assert.equal(resource.resourceType, 'MedicationStatement');
+        assert.equal(resource.status, 'active');
+        assert.equal(resource.medicationCodeableConcept.text, 'Methotrexate');
+        assert.equal(resource.subject.reference, `Patient/${patient._id}`);
+        assert.deepEqual(resource.effectivePeriod, { start: '2025-03-01', end: '2099-06-30' });
+        assert.deepEqual(resource.note, [{ text: 'Take with folic acid' }]);
+        const { repeat } = resource.dosage[0].timing;
+        assert.deepEqual(repeat.timeOfDay, ['08:00:00', '20:00:00']);
+        assert.deepEqual(repeat.dayOfWeek, ['mon', 'fri']);
+        assert.deepEqual(resource.dosage[0].doseAndRate, [{ doseQuantity: { value: 2, unit: 'tablet' } }]);
+    });
+
+    it('marks finished courses completed and archived medications stopped, with the reason', () => {
+        const finished = buildMedication({ name: 'A', amount: '1 tablet', schedules: [{ time: '08:00' }], recurrence: { endDate: '2025-01-10' } });
+        const archived = buildMedication({
+            name: 'B',
+            amount: '1 tablet',
+            schedules: [{ time: '08:00' }],
+            status: 'archived',
+            archive: { archivedAt: new Date(), date: '2025-01-05', reason: 'Rash' },
+        });
+        const [done, stopped] = buildBundle(patient, [finished, archived], 'MedicationRequest').entry.map(e => e.resource);
+
+        assert.equal(done.status, 'completed');
+        assert.equal(done.intent, 'order');
+        assert.equal(stopped.status, 'stopped');
+        assert.deepEqual(stopped.statusReason, { text: 'Rash' });
+    });
+
+    it('exports a taper as dosages in sequence, each with its own bounds', () => {
+        const medication = buildMedication({
+            name: 'Prednisone',
+            amount: '40mg',
+            schedules: [{ time: '08:00' }],
+            recurrence: { startDate: '2025-03-01' },
+            taper: [{ durationDays: 3, amount: '40mg' }, { durationDays: 2, amount: '20mg' }],
+        });
+        const { dosage } = buildBundle(patient, [medication]).entry[0].resource;
+
+        assert.deepEqual(dosage.map(d => d.sequence), [1, 2]);
+        assert.deepEqual(dosage.map(d => d.timing.repeat.boundsPeriod), [
+            { start: '2025-03-01', end: '2025-03-03' },
+            { start: '2025-03-04', end: '2025-03-05' },
+        ]);
+    });
+});
+
+describe('importBundle', () => {
+    beforeEach(() => {
+        mock.method(Medication.prototype, 'save', async function save() {
+            await this.validate();
+            return this;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('imports times, frequency and dose, and reads the amount into structured dosage', async () => {
+        const { created, errors } = await importBundle(patient, bundleOf(statement({
+            timing: { repeat: { frequency: 2, period: 1, periodUnit: 'd', timeOfDay: ['08:00:00', '20:00'] } },
+            doseAndRate: [{ doseQuantity: { value: 1, unit: 'capsule' } }],
+            patientInstruction: 'Finish the course',
+        }, { effectivePeriod: { start: '2025-03-01T00:00:00Z', end: '2025-03-07' } })));
+
+        assert.deepEqual(errors, []);
+        assert.equal(created.length, 1);
+        const [medication] = created;
+        assert.equal(medication.name, 'Amoxicillin');
+        assert.equal(medication.user, patient._id);
+        assert.deepEqual(medication.schedules.map(s => s.time), ['08:00', '20:00']);
+        assert.equal(medication.recurrence.frequency, 'daily');
+        assert.equal(medication.recurrence.startDate, '2025-03-01');
+        assert.equal(medication.recurrence.endDate, '2025-03-07');
+        assert.equal(medication.dosage.quantity, 1);
+        assert.equal(medication.precautions, 'Finish the course');
+    });
+
+    it('turns "when" codes and times-per-day into clock times, and weeks into intervals', async () => {
+        const { created } = await importBundle(patient, bundleOf(
+            statement({ text: '1 tablet', timing: { repeat: { when: ['MORN', 'HS'] } } }),
+            statement({ text: '1 tablet', timing: { repeat: { frequency: 3, period: 1, periodUnit: 'd' } } }),
+            statement({ text: '1 tablet', timing: { repeat: { period: 2, periodUnit: 'wk', timeOfDay: ['09:00'] } } }),
+        ));
+
+        assert.deepEqual(created[0].schedules.map(s => s.time), ['08:00', '22:00']);
+        assert.deepEqual(created[1].schedules.map(s => s.time), ['08:00', '14:00', '20:00']);
+        assert.equal(created[2].recurrence.frequency, 'interval');
+        assert.equal(created[2].recurrence.interval, 14);
+    });
+
+    it('imports as-needed dosages with their limits', async () => {
+        const { created } = await importBundle(patient, bundleOf(statement({
+            asNeededBoolean: true,
+            timing: { repeat: { frequency: 1, period: 4, periodUnit: 'h' } },
+            doseAndRate: [{ doseQuantity: { value: 2, unit: 'tablets' } }],
+            maxDosePerPeriod: { numerator: { value: 8, unit: 'tablets' }, denominator: { value: 24, unit: 'h' } },
+        })));
+
+        assert.equal(created[0].type, 'prn');
+        assert.deepEqual(created[0].schedules.map(s => s.time), []);
+        assert.equal(created[0].prn.minIntervalMinutes, 240);
+        assert.equal(created[0].prn.maxDosesPer24h, 4);
+    });
+
+    it('resolves medicationReference to a Medication resource in the Bundle', async () => {
+        const { created } = await importBundle(patient, {
+            resourceType: 'Bundle',
+            entry: [
+                { fullUrl: 'urn:uuid:med-1', resource: { resourceType: 'Medication', code: { coding: [{ display: 'Lisinopril' }] } } },
+                { resource: { ...statement({ text: '10mg', timing: { repeat: { timeOfDay: ['09:00'] } } }), medicationCodeableConcept: undefined, medicationReference: { reference: 'urn:uuid:med-1' } } },
+            ],
+        });
+
+        assert.equal(created[0].name, 'Lisinopril');
+    });
+
+    it('reports entries it cannot map and still imports the others', async () => {
+        const { created, errors } = await importBundle(patient, {
+            resourceType: 'Bundle',
+            entry: [
+                { resource: { resourceType: 'Observation' } },
+                { resource: statement({ text: '1 tablet', timing: { repeat: { timeOfDay: ['08:00'] } } }, { status: 'stopped' }) },
+                { resource: statement({ text: '1 tablet', timing: { repeat: { period: 1, periodUnit: 'mo', timeOfDay: ['08:00'] } } }) },
+                { resource: statement({ text: '1 tablet', timing: { repeat: { timeOfDay: ['08:00'] } } }) },
+            ],
+        });
+
+        assert.equal(created.length, 1);
+        assert.deepEqual(errors.map(e => e.index), [0, 1, 2]);
+        assert.match(errors[0].message, /not supported/);
+        assert.match(errors[1].message, /not importable/);
+        assert.match(errors[2].message, /period 1 mo/);
+    });
+
+    it('reads back what it exported', async () => {
+        const original = buildMedication({
+            name: 'Prednisone',
+            dosage: { quantity: 2, form: 'tablet' },
+            schedules: [{ time: '08:00' }],
+            recurrence: { frequency: 'interval', interval: 2, startDate: '2099-03-01' },
+            taper: [{ durationDays: 4, quantity: 2 }, { durationDays: 4, quantity: 1 }],
+        });
+        const exported = buildBundle(patient, [original]);
+        const { created, errors } = await importBundle(patient, exported);
+
+        assert.deepEqual(errors, []);
+        const [imported] = created;
+        assert.equal(imported.name, 'Prednisone');
+        assert.deepEqual(imported.schedules.map(s => s.time), ['08:00']);
+        assert.equal(imported.recurrence.frequency, 'interval');
+        assert.equal(imported.recurrence.interval, 2);
+        assert.equal(imported.recurrence.startDate, '2099-03-01');
+        assert.deepEqual(imported.taper.map(step => step.durationDays), [4, 4]);
+    });
+});
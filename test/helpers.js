@@ -0,0 +1,55 @@
+// Shared by the route tests: mounts a router on a server of its own and logs a user in, without a database.
+const { once } = require('node:events');
+const { mock } = require('node:test');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Serves a router at `path` on a free port.
+ * @returns {Promise<{ url: string, close: function(): Promise<void> }>}
+ */
+const startApp = async (path, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(path, router);
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return {
+        url: `http://127.0.0.1:${server.address().port}${path}`,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+};
+
+/**
+ * Lets requests with the returned headers through `protect` as the given user.
+ * @param {object} user
+ * @param {Array<object>} [others] - Other users that can be looked up, e.g. the patients of a caregiver.
+ * @returns {object} Headers to send.
+ */
+const logInAs = (user, others = []) => {
+    const users = [user, ...others];
+    mock.method(User, 'findById', id => ({ select: async () => users.find(u => String(u._id) === String(id)) || null }));
+    mock.method(Session, 'findOne', async filter => ({ _id: filter._id, user: filter.user })); // Every session is live
+    const token = jwt.sign({ userId: user._id.toString(), sid: new mongoose.Types.ObjectId().toString() }, process.env.JWT_SECRET);
+    return { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+};
+
+/**
+ * Sends a request and reads the JSON answer.
+ * @returns {Promise<{ status: number, body: * }>}
+ */
+const request = async (url, { method = 'GET', headers, body } = {}) => {
+    const response = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+};
+
+module.exports = {
+    startApp,
+    logInAs,
+    request,
+};
@@ -0,0 +1,89 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ReminderJob = require('../models/ReminderJob');
+const { retryOrFailJob, rescheduleJob, enqueueJob, getJobKey } = require('../services/jobQueue');
+
+const SECOND = 1000;
+const DAY = 24 * 60 * 60 * SECOND;
+
+describe('retryOrFailJob', () => {
+    let updates;
+
+    beforeEach(() => {
+        updates = [];
+        mock.method(ReminderJob, 'updateOne', async (filter, update) => {
+            updates.push({ filter, update });
+            return { modifiedCount: 1 };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    // Runs a failed attempt and returns how long until the retry, and what was stored.
+    const fail = async (attempts) => {
+        const before = Date.now();
+        const retried = await retryOrFailJob({ _id: 'job-1', attempts }, new Error('Expo is down'));
+        const { filter, update } = updates[updates.length - 1];
+        return { retried, filter, set: update.$set, delay: update.$set.runAt && update.$set.runAt.getTime() - before };
+    };
+
+    it('retries after a minute, doubling the wait with each failed attempt', async () => {
+        const delays = [];
+        for (const attempts of [0, 1, 2, 3]) {
+            const { retried, set, delay } = await fail(attempts);
+            assert.equal(retried, true);
+            assert.equal(set.attempts, attempts + 1);
+            assert.equal(set.lastError, 'Expo is down');
+            delays.push(Math.round(delay / SECOND));
+        }
+        assert.deepEqual(delays, [60, 120, 240, 480]);
+    });
+
+    it('marks the job failed after the last attempt, and keeps it for 30 days', async () => {
+        const { retried, set } = await fail(4);
+
+        assert.equal(retried, false);
+        assert.equal(set.status, 'failed');
+        assert.equal(set.attempts, 5);
+        assert.equal(set.runAt, undefined);
+        assert.ok(Math.abs(set.expiresAt.getTime() - Date.now() - 30 * DAY) < 5 * SECOND);
+    });
+
+    it('only touches a job this worker holds the lease on, and gives the lease up', async () => {
+        const { filter, set } = await fail(0);
+
+        assert.equal(filter._id, 'job-1');
+        assert.equal(typeof filter.lockedBy, 'string');
+        assert.equal(set.lockedBy, null);
+        assert.equal(set.lockedUntil, null);
+    });
+
+    it('starts the retry count again when a job moves to its next stage', async () => {
+        const runAt = new Date('2025-03-01T08:15:00Z');
+        await rescheduleJob({ _id: 'job-1', attempts: 3 }, 'followUp', runAt);
+
+        const { $set } = updates[0].update;
+        assert.equal($set.stage, 'followUp');
+        assert.equal($set.runAt, runAt);
+        assert.equal($set.attempts, 0);
+        assert.equal($set.lastError, null);
+    });
+});
+
+describe('enqueueJob', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('adds a job once per dose key', async () => {
+        const stored = new Set();
+        mock.method(ReminderJob, 'updateOne', async ({ key }) => {
+            const upserted = !stored.has(key);
+            stored.add(key);
+            return { upsertedCount: upserted ? 1 : 0 };
+        });
+        const job = { key: getJobKey('med-1', 'schedule-1', '2025-03-01'), runAt: new Date() };
+
+        assert.equal(job.key, 'med-1:schedule-1:2025-03-01');
+        assert.equal(await enqueueJob(job), true);
+        assert.equal(await enqueueJob(job), false);
+    });
+});
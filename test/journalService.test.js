@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const Medication = require('../models/Medication');
+const MedicationHistory = require('../models/MedicationHistory');
+const { applyJournalFields, buildJournalSummary } = require('../services/journalService');
+
+const { ObjectId } = mongoose.Types;
+const patient = { _id: new ObjectId(), timezone: 'America/New_York' };
+
+describe('applyJournalFields', () => {
+    const newEntry = () => new JournalEntry({ user: patient._id });
+
+    it('records a symptom on the patient\'s local date', async () => {
+        const entry = newEntry();
+        const error = await applyJournalFields(entry, { type: 'symptom', name: 'Headache', severity: 'mild', recordedAt: '2025-03-02T03:00:00Z' }, patient);
+
+        assert.equal(error, null);
+        assert.equal(entry.date, '2025-03-01'); // 22:00 the evening before in New York
+        assert.equal(entry.severity, 'mild');
+        await entry.validate();
+        assert.equal(entry.name, 'headache');
+    });
+
+    it('checks vitals, filling in the default unit', async () => {
+        const entry = newEntry();
+
+        assert.match(await applyJournalFields(entry, { type: 'vital', vital: { kind: 'glucose', value: 5.5, unit: 'kg' } }, patient), /mg\/dL, mmol\/L/);
+        assert.match(await applyJournalFields(entry, { type: 'vital', vital: { kind: 'blood_pressure', systolic: 80, diastolic: 120 } }, patient), /lower than systolic/);
+        assert.match(await applyJournalFields(entry, { type: 'vital', vital: { kind: 'weight', value: -1 } }, patient), /positive value/);
+
+        assert.equal(await applyJournalFields(entry, { type: 'vital', vital: { kind: 'heart_rate', value: 64 } }, patient), null);
+        assert.equal(entry.vital.unit, 'bpm');
+        assert.equal(entry.vital.systolic, null);
+    });
+
+    it('lets an edit change the type, clearing fields of the old one', async () => {
+        const entry = newEntry();
+        await applyJournalFields(entry, { type: 'vital', vital: { kind: 'heart_rate', value: 64 } }, patient);
+
+        assert.match(await applyJournalFields(entry, { type: 'side_effect' }, patient), /need a name/);
+        assert.equal(await applyJournalFields(entry, { type: 'side_effect', name: 'nausea' }, patient), null);
+        assert.equal(entry.vital, null);
+    });
+
+    it('refuses entries in the future', async () => {
+        const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+        assert.match(await applyJournalFields(newEntry(), { type: 'symptom', name: 'cough', recordedAt: later }, patient), /future/);
+        assert.match(await applyJournalFields(newEntry(), { type: 'symptom', name: 'cough', recordedAt: 'yesterday' }, patient), /valid date/);
+    });
+});
+
+describe('buildJournalSummary', () => {
+    let medication;
+    let entries;
+    let edits;
+
+    beforeEach(() => {
+        medication = { _id: new ObjectId(), name: 'Lisinopril', status: 'active', recurrence: { startDate: '2025-03-10' }, createdAt: new Date('2025-03-10T12:00:00Z') };
+        entries = [];
+        edits = [];
+        mock.method(Medication, 'find', () => ({ sort: async () => [medication] }));
+        mock.method(JournalEntry, 'find', filter => ({
+            sort: async () => entries.filter(e => e.date >= filter.date.$gte && e.date <= filter.date.$lte),
+        }));
+        mock.method(MedicationHistory, 'find', () => ({ sort: async () => edits }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const add = (date, fields) => entries.push({ date, medication: null, severity: null, ...fields });
+
+    it('compares the days before a medication was started with the days from it on', async () => {
+        add('2025-03-08', { type: 'symptom', name: 'headache', severity: 'severe' });
+        add('2025-03-09', { type: 'symptom', name: 'headache', severity: 'moderate' });
+        add('2025-03-09', { type: 'vital', vital: { kind: 'blood_pressure', systolic: 150, diastolic: 95 } });
+        add('2025-03-11', { type: 'side_effect', name: 'cough', medication: medication._id });
+        add('2025-03-12', { type: 'vital', vital: { kind: 'blood_pressure', systolic: 130, diastolic: 85 } });
+        add('2025-03-12', { type: 'vital', vital: { kind: 'blood_pressure', systolic: 126, diastolic: 80 } });
+
+        const summary = await buildJournalSummary(patient, { from: '2025-03-01', to: '2025-03-31' }, 7);
+
+        assert.deepEqual(summary.totals, { entries: 6, symptom: 2, side_effect: 1, vital: 3 });
+        assert.deepEqual(summary.symptoms.map(s => [s.name, s.count]), [['headache', 2], ['cough', 1]]);
+        assert.deepEqual(summary.symptoms[0].severity, { mild: 0, moderate: 1, severe: 1, unrated: 0 });
+
+        const [started] = summary.medicationChanges;
+        assert.equal(started.change, 'started');
+        assert.equal(started.date, '2025-03-10');
+        assert.equal(started.linkedEntries, 1);
+        assert.equal(started.before.symptomCount, 2);
+        assert.equal(started.before.severeCount, 1);
+        assert.deepEqual(started.before.vitals.blood_pressure, { readings: 1, systolic: 150, diastolic: 95, unit: 'mmHg' });
+        assert.deepEqual(started.after.vitals.blood_pressure, { readings: 2, systolic: 128, diastolic: 82.5, unit: 'mmHg' });
+    });
+
+    it('reports vitals in one unit', async () => {
+        add('2025-03-12', { type: 'vital', vital: { kind: 'glucose', value: 100, unit: 'mg/dL' } });
+        add('2025-03-12', { type: 'vital', vital: { kind: 'glucose', value: 6, unit: 'mmol/L' } });
+
+        const { vitals } = await buildJournalSummary(patient, { from: '2025-03-01', to: '2025-03-31' }, 7);
+
+        assert.deepEqual(vitals.glucose, { readings: 2, value: 104, unit: 'mg/dL' });
+    });
+
+    it('lists dose changes once per day, and stops', async () => {
+        medication.status = 'archived';
+        medication.archive = { date: '2025-03-25' };
+        edits.push(
+            { medication: medication._id, createdAt: new Date('2025-03-20T14:00:00Z'), changes: [{ field: 'dosage.quantity' }] },
+            { medication: medication._id, createdAt: new Date('2025-03-20T15:00:00Z'), changes: [{ field: 'schedules' }, { field: 'precautions' }] },
+            { medication: medication._id, createdAt: new Date('2025-03-21T15:00:00Z'), changes: [{ field: 'name' }] },
+        );
+
+        const { medicationChanges } = await buildJournalSummary(patient, { from: '2025-03-01', to: '2025-03-31' }, 7);
+
+        assert.deepEqual(medicationChanges.map(c => [c.date, c.change, c.fields]), [
+            ['2025-03-10', 'started', []],
+            ['2025-03-20', 'dose_changed', ['dosage.quantity', 'schedules']],
+            ['2025-03-25', 'stopped', []],
+        ]);
+    });
+});
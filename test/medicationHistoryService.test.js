@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+const MedicationHistory = require('../models/MedicationHistory');
+const {
+    snapshotMedication,
+    recordCreated,
+    recordUpdate,
+    recordStatusChange,
+} = require('../services/medicationHistoryService');
+
+const { ObjectId } = mongoose.Types;
+const owner = new ObjectId();
+const caregiver = new ObjectId();
+
+const buildMedication = () => new Medication({
+    user: owner,
+    name: 'Metformin',
+    dosage: { quantity: 1, form: 'tablet', strength: { value: 500, unit: 'mg' } },
+    schedules: [{ time: '08:00' }],
+    inventory: { onHand: 30, unitsPerDose: 1 },
+});
+
+describe('medication history', () => {
+    beforeEach(() => {
+        mock.method(MedicationHistory, 'create', async entry => entry);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const recorded = () => MedicationHistory.create.mock.calls.map(call => call.arguments[0][0]);
+
+    it('snapshots tracked fields as dotted paths, leaving bookkeeping out', () => {
+        const snapshot = snapshotMedication(buildMedication());
+
+        assert.equal(snapshot.name, 'Metformin');
+        assert.equal(snapshot['dosage.strength.value'], 500);
+        assert.deepEqual(snapshot.schedules, [{ time: '08:00', quantity: null }]);
+        assert.equal(snapshot['inventory.unitsPerDose'], 1);
+        assert.equal('inventory.onHand' in snapshot, false);
+        assert.equal(snapshot.prn, null); // Limits only apply to PRN medications
+    });
+
+    it('records a new medication with its initial values', async () => {
+        const medication = buildMedication();
+        await recordCreated(medication, caregiver);
+
+        const [entry] = recorded();
+        assert.equal(entry.action, 'created');
+        assert.equal(entry.user, owner);
+        assert.equal(entry.changedBy, caregiver);
+        assert.deepEqual(entry.changes.find(change => change.field === 'name'), { field: 'name', from: null, to: 'Metformin' });
+        assert.equal(entry.changes.some(change => change.field === 'taper'), false); // Empty lists are left out
+    });
+
+    it('records only the fields an edit changed, and nothing for no-op edits', async () => {
+        const medication = buildMedication();
+        const before = snapshotMedication(medication);
+
+        assert.equal(await recordUpdate(before, medication, owner), null);
+
+        medication.dosage.strength.value = 850;
+        medication.schedules.push({ time: '20:00' });
+        medication.inventory.onHand = 12; // Not tracked
+        await recordUpdate(before, medication, owner);
+
+        const [entry] = recorded();
+        assert.equal(entry.action, 'updated');
+        assert.deepEqual(entry.changes, [
+            { field: 'dosage.strength.value', from: 500, to: 850 },
+            { field: 'schedules', from: [{ time: '08:00', quantity: null }], to: [{ time: '08:00', quantity: null }, { time: '20:00', quantity: null }] },
+        ]);
+    });
+
+    it('records archiving with the reason, and restoring', async () => {
+        const medication = buildMedication();
+        medication.status = 'archived';
+        await recordStatusChange(medication, owner, 'Rash');
+        medication.status = 'active';
+        await recordStatusChange(medication, owner);
+
+        const [archived, restored] = recorded();
+        assert.equal(archived.action, 'archived');
+        assert.equal(archived.reason, 'Rash');
+        assert.deepEqual(archived.changes, [{ field: 'status', from: 'active', to: 'archived' }]);
+        assert.equal(restored.action, 'restored');
+        assert.deepEqual(restored.changes, [{ field: 'status', from: 'archived', to: 'active' }]);
+    });
+});
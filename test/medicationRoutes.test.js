@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const CareLink = require('../models/CareLink');
+const ChangeEvent = require('../models/ChangeEvent');
+const medicationRoutes = require('../routes/medicationRoutes');
+const { getLocalDateTime } = require('../utils/timezone');
+const { startApp, logInAs, request } = require('./helpers');
+
+const user = { _id: new mongoose.Types.ObjectId(), username: 'alex', timezone: 'Asia/Kolkata' };
+const caregiver = { _id: new mongoose.Types.ObjectId(), username: 'sam', timezone: 'America/Los_Angeles' };
+
+describe('medication routes', () => {
+    let app;
+    let headers;
+    let medication;
+    let previousEvent;
+    let events;
+
+    before(async () => {
+        app = await startApp('/api/medications', medicationRoutes);
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        headers = logInAs(user);
+        medication = new Medication({ user: user._id, name: 'Metformin', amount: '500mg', schedules: [{ time: '08:00' }] });
+        mock.method(Medication, 'findOne', async filter => (String(filter._id) === String(medication._id) ? medication : null));
+        previousEvent = null;
+        events = [];
+        mock.method(DoseEvent, 'findOne', () => ({ session: async () => previousEvent }));
+        mock.method(DoseEvent, 'findOneAndUpdate', async (filter, update) => {
+            const event = { ...filter, ...update.$setOnInsert, ...update.$set };
+            events.push(event);
+            return event;
+        });
+        mock.method(DoseEvent, 'find', async filter => events.filter(e => e.date === filter.date));
+        mock.method(Medication, 'updateOne', async () => ({}));
+        mock.method(ChangeEvent, 'create', async doc => ({ ...doc, _id: new mongoose.Types.ObjectId(), createdAt: new Date() }));
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const doseUrl = () => `${app.url}/${medication._id}/schedules/${medication.schedules[0]._id}`;
+
+    describe('PATCH /:medicationId/schedules/:scheduleId', () => {
+        it('records today\'s dose in the user\'s timezone', async () => {
+            const { status, body } = await request(doseUrl(), { method: 'PATCH', headers, body: { status: 'taken', note: 'After breakfast' } });
+            const { doseEvent } = body;
+
+            assert.equal(status, 200);
+            assert.equal(doseEvent.status, 'taken');
+            assert.equal(doseEvent.date, getLocalDateTime(new Date(), user.timezone).date);
+            assert.equal(doseEvent.scheduledTime, '08:00');
+            assert.equal(doseEvent.note, 'After breakfast');
+            assert.ok(doseEvent.takenAt);
+            assert.equal(ChangeEvent.create.mock.calls[0].arguments[0].type, 'dose.updated'); // Streamed to other devices
+        });
+
+        it('still accepts { taken: true/false } from older clients', async () => {
+            const taken = await request(doseUrl(), { method: 'PATCH', headers, body: { taken: true } });
+            const untaken = await request(doseUrl(), { method: 'PATCH', headers, body: { taken: false } });
+
+            assert.equal(taken.body.doseEvent.status, 'taken');
+            assert.equal(untaken.body.doseEvent.status, 'pending');
+            assert.equal(untaken.body.doseEvent.takenAt, null);
+        });
+
+        it('responds with the medication and the day\'s outcome on its schedule entries, as older clients read it', async () => {
+            const { body } = await request(doseUrl(), { method: 'PATCH', headers, body: { status: 'taken', date: '2025-01-01' } });
+
+            assert.equal(body.name, 'Metformin');
+            assert.deepEqual(body.schedules.map(s => [s.time, s.status, s.taken]), [['08:00', 'taken', true]]);
+        });
+
+        it('keeps stock in step: taking a dose uses it up, undoing it puts it back', async () => {
+            medication.inventory = { onHand: 30, unitsPerDose: 2 };
+            const stockChanges = () => Medication.updateOne.mock.calls
+                .map(call => call.arguments[1][0].$set['inventory.onHand'].$max[1].$add[1]);
+
+            await request(doseUrl(), { method: 'PATCH', headers, body: { status: 'taken' } });
+            previousEvent = { status: 'taken', takenAt: new Date('2025-03-01T08:05:00Z') };
+            const reconfirmed = await request(doseUrl(), { method: 'PATCH', headers, body: { status: 'taken' } });
+            await request(doseUrl(), { method: 'PATCH', headers, body: { status: 'skipped' } });
+
+            assert.deepEqual(stockChanges(), [-2, 2]);
+            assert.equal(reconfirmed.body.doseEvent.takenAt, '2025-03-01T08:05:00.000Z'); // Keeps the original time
+        });
+
+        it('records an earlier day, but not a future one', async () => {
+            const past = await request(doseUrl(), { method: 'PATCH', headers, body: { status: 'skipped', date: '2025-01-01' } });
+            const future = await request(doseUrl(), { method: 'PATCH', headers, body: { status: 'taken', date: '2999-01-01' } });
+
+            assert.equal(past.status, 200);
+            assert.equal(past.body.doseEvent.date, '2025-01-01');
+            assert.equal(future.status, 400);
+        });
+
+        it('rejects an unknown or missing status', async () => {
+            const { status, body } = await request(doseUrl(), { method: 'PATCH', headers, body: { status: 'done' } });
+
+            assert.equal(status, 400);
+            assert.match(body.message, /Invalid status/);
+
+            const noBody = await request(doseUrl(), { method: 'PATCH', headers: { Authorization: headers.Authorization } });
+            assert.equal(noBody.status, 400);
+        });
+
+        it('does not find another user\'s medication', async () => {
+            const { status } = await request(`${app.url}/${new mongoose.Types.ObjectId()}/schedules/${medication.schedules[0]._id}`,
+                { method: 'PATCH', headers, body: { status: 'taken' } });
+
+            assert.equal(status, 404);
+        });
+
+        it('lets a caregiver with manage permission record the patient\'s dose, on the patient\'s day', async () => {
+            mock.method(CareLink, 'findOne', async () => ({ permission: 'manage' }));
+            const { status, body } = await request(doseUrl(), { method: 'PATCH', headers: logInAs(caregiver, [user]), body: { status: 'taken' } });
+
+            assert.equal(status, 200);
+            assert.equal(body.doseEvent.date, getLocalDateTime(new Date(), user.timezone).date);
+            assert.equal(String(CareLink.findOne.mock.calls[0].arguments[0].caregiver), String(caregiver._id));
+        });
+
+        it('does not let a caregiver with view permission record doses', async () => {
+            mock.method(CareLink, 'findOne', async () => ({ permission: 'view' }));
+            const { status } = await request(doseUrl(), { method: 'PATCH', headers: logInAs(caregiver, [user]), body: { status: 'taken' } });
+
+            assert.equal(status, 401);
+            assert.equal(DoseEvent.findOneAndUpdate.mock.callCount(), 0);
+        });
+
+        it('does not let anyone else record doses', async () => {
+            mock.method(CareLink, 'findOne', async () => null);
+            const { status } = await request(doseUrl(), { method: 'PATCH', headers: logInAs(caregiver, [user]), body: { status: 'taken' } });
+
+            assert.equal(status, 401);
+        });
+    });
+
+    describe('GET /doses', () => {
+        it('lists the dose events of a day', async () => {
+            mock.method(DoseEvent, 'find', filter => ({ sort: async () => [{ date: filter.date, status: 'taken' }] }));
+            const { status, body } = await request(`${app.url}/doses?date=2025-03-01`, { headers });
+
+            assert.equal(status, 200);
+            assert.deepEqual(body, [{ date: '2025-03-01', status: 'taken' }]);
+            assert.equal(String(DoseEvent.find.mock.calls[0].arguments[0].user), String(user._id));
+        });
+
+        it('rejects a malformed date', async () => {
+            const { status } = await request(`${app.url}/doses?date=March`, { headers });
+
+            assert.equal(status, 400);
+        });
+    });
+});
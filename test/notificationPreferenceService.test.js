@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+    validateNotificationPreferences,
+    getQuietHoursEnd,
+    isMuted,
+    buildDigest,
+} = require('../services/notificationPreferenceService');
+
+const { ObjectId } = mongoose.Types;
+
+describe('validateNotificationPreferences', () => {
+    it('accepts a partial update', () => {
+        assert.equal(validateNotificationPreferences({ quietHours: { enabled: true, start: '22:00', end: '07:00' } }), null);
+        assert.equal(validateNotificationPreferences({ digest: { time: '06:30' }, alertLevel: 'critical' }), null);
+        assert.equal(validateNotificationPreferences({ mutedMedications: [] }), null);
+    });
+
+    it('explains what is wrong', () => {
+        assert.match(validateNotificationPreferences(null), /must be an object/);
+        assert.match(validateNotificationPreferences([]), /must be an object/);
+        assert.match(validateNotificationPreferences({ quietHours: { start: '7:00' } }), /HH:MM/);
+        assert.match(validateNotificationPreferences({ quietHours: { enabled: 'yes' } }), /true or false/);
+        assert.match(validateNotificationPreferences({ mutedMedications: [42] }), /medication IDs/);
+        assert.match(validateNotificationPreferences({ digest: { time: '24:00' } }), /HH:MM/);
+        assert.match(validateNotificationPreferences({ alertLevel: 'loud' }), /normal, critical/);
+    });
+});
+
+describe('getQuietHoursEnd', () => {
+    const userWith = (quietHours, extra = {}) => ({
+        timezone: 'Europe/Berlin',
+        notificationPreferences: { quietHours: { enabled: true, ...quietHours }, ...extra },
+    });
+    const night = userWith({ start: '22:00', end: '07:00' });
+
+    it('holds reminders until quiet hours that wrap past midnight end, in the user\'s timezone', () => {
+        // 23:30 and 02:15 in Berlin (UTC+1 in winter)
+        assert.deepEqual(getQuietHoursEnd(night, new Date('2025-01-10T22:30:00Z')), new Date('2025-01-11T06:00:00Z'));
+        assert.deepEqual(getQuietHoursEnd(night, new Date('2025-01-11T01:15:40Z')), new Date('2025-01-11T06:00:00Z'));
+    });
+
+    it('is null outside quiet hours', () => {
+        assert.equal(getQuietHoursEnd(night, new Date('2025-01-11T06:00:00Z')), null); // 07:00 exactly
+        assert.equal(getQuietHoursEnd(night, new Date('2025-01-11T12:00:00Z')), null);
+    });
+
+    it('handles quiet hours within a day', () => {
+        const afternoon = userWith({ start: '13:00', end: '15:00' });
+
+        assert.deepEqual(getQuietHoursEnd(afternoon, new Date('2025-01-11T12:30:00Z')), new Date('2025-01-11T14:00:00Z'));
+        assert.equal(getQuietHoursEnd(afternoon, new Date('2025-01-11T20:00:00Z')), null);
+    });
+
+    it('never holds back critical alerts, or disabled and empty quiet hours', () => {
+        const at = new Date('2025-01-10T22:30:00Z');
+
+        assert.equal(getQuietHoursEnd(userWith({ start: '22:00', end: '07:00' }, { alertLevel: 'critical' }), at), null);
+        assert.equal(getQuietHoursEnd(userWith({ enabled: false, start: '22:00', end: '07:00' }), at), null);
+        assert.equal(getQuietHoursEnd(userWith({ start: '22:00', end: '22:00' }), at), null);
+        assert.equal(getQuietHoursEnd({ timezone: 'UTC' }, at), null);
+    });
+});
+
+describe('buildDigest', () => {
+    const medication = (name, times, extra = {}) => ({
+        _id: new ObjectId(),
+        name,
+        amount: '1 tablet',
+        schedules: times.map(time => ({ _id: new ObjectId(), time })),
+        recurrence: {},
+        ...extra,
+    });
+
+    it('lists the day\'s doses in time order, leaving muted medications out', () => {
+        const metformin = medication('Metformin', ['20:00', '8:00']);
+        const aspirin = medication('Aspirin', ['08:00']);
+        const vitamin = medication('Vitamin D', ['09:00']);
+        const user = { notificationPreferences: { mutedMedications: [vitamin._id.toString()] } };
+
+        const digest = buildDigest(user, [metformin, aspirin, vitamin], '2025-03-01');
+
+        assert.equal(isMuted(user, vitamin._id), true);
+        assert.equal(digest.title, '🗓️ Today\'s medications (3 doses)');
+        assert.deepEqual(digest.doses.map(dose => `${dose.time} ${dose.name}`), ['08:00 Aspirin', '8:00 Metformin', '20:00 Metformin']);
+    });
+
+    it('is null when nothing is due', () => {
+        const finished = medication('Amoxicillin', ['08:00'], { recurrence: { endDate: '2025-02-28' } });
+
+        assert.equal(buildDigest({}, [finished], '2025-03-01'), null);
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const DoseEvent = require('../models/DoseEvent');
+const ChangeEvent = require('../models/ChangeEvent');
+const { getDueLocalMinutes, lastCheckedWallClock, sweepMissedDoses } = require('../services/notificationService');
+
+const { ObjectId } = mongoose.Types;
+
+describe('getDueLocalMinutes', () => {
+    const timeZone = 'America/New_York';
+    const due = instant => getDueLocalMinutes(timeZone, new Date(instant)).map(m => `${m.date}T${m.time}`);
+
+    beforeEach(() => lastCheckedWallClock.clear());
+
+    it('gives the minutes since the last check, and looks back over the catch-up window first', () => {
+        assert.equal(due('2025-06-01T12:00:00Z').length, 60);
+        assert.deepEqual(due('2025-06-01T12:02:00Z'), ['2025-06-01T08:01', '2025-06-01T08:02']);
+        assert.deepEqual(due('2025-06-01T12:02:30Z'), []);
+    });
+
+    it('still checks the minutes skipped when clocks go forward', () => {
+        // 2025-03-09 01:59 EST is followed by 03:00 EDT: 02:00 to 02:59 never happen.
+        due('2025-03-09T06:59:00Z');
+        const minutes = due('2025-03-09T07:00:00Z');
+
+        assert.equal(minutes.length, 61);
+        assert.ok(minutes.includes('2025-03-09T02:30'));
+        assert.equal(minutes.at(-1), '2025-03-09T03:00');
+    });
+
+    it('checks the repeated hour only once when clocks go back', () => {
+        // 2025-11-02 01:59 EDT is followed by 01:00 EST: 01:00 to 01:59 happen twice.
+        assert.ok(due('2025-11-02T05:30:00Z').includes('2025-11-02T01:30')); // 01:30 EDT
+        due('2025-11-02T05:59:00Z');
+
+        assert.deepEqual(due('2025-11-02T06:30:00Z'), []); // 01:30 EST
+        assert.deepEqual(due('2025-11-02T07:00:00Z'), ['2025-11-02T02:00']);
+    });
+});
+
+describe('sweepMissedDoses', () => {
+    const patientId = new ObjectId();
+    let doseEvents;
+
+    beforeEach(() => {
+        const dose = (date, status) => ({ _id: new ObjectId(), user: patientId, medication: new ObjectId(), date, status });
+        // 2025-03-02 is today in New York; the sweep runs at 2025-03-02 12:00 UTC.
+        doseEvents = [dose('2025-03-01', 'pending'), dose('2025-03-01', 'taken'), dose('2025-03-02', 'pending')];
+
+        mock.method(User, 'distinct', async () => ['America/New_York']);
+        mock.method(User, 'find', filter => ({ distinct: async () => (filter.timezone === 'America/New_York' ? [patientId] : []) }));
+        mock.method(DoseEvent, 'find', async filter => doseEvents.filter(d => (filter.date ? d.date < filter.date.$lt : filter._id.$in.includes(d._id))
+            && d.status === filter.status));
+        mock.method(DoseEvent, 'updateMany', async (filter, update) => {
+            const matched = doseEvents.filter(d => filter._id.$in.includes(d._id) && d.status === filter.status);
+            matched.forEach(d => Object.assign(d, update.$set));
+            return { modifiedCount: matched.length };
+        });
+        mock.method(ChangeEvent, 'create', async event => ({ ...event, _id: new ObjectId(), createdAt: new Date() }));
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('marks earlier days\' unanswered doses missed and publishes each one', async () => {
+        assert.equal(await sweepMissedDoses(new Date('2025-03-02T12:00:00Z')), 1);
+
+        assert.deepEqual(doseEvents.map(d => d.status), ['missed', 'taken', 'pending']);
+        const [published] = ChangeEvent.create.mock.calls.map(call => call.arguments[0]);
+        assert.equal(ChangeEvent.create.mock.callCount(), 1);
+        assert.equal(published.type, 'dose.updated');
+        assert.equal(published.medication, doseEvents[0].medication);
+        assert.equal(published.data.status, 'missed');
+    });
+
+    it('publishes nothing when there is nothing to mark', async () => {
+        doseEvents[0].status = 'skipped';
+
+        assert.equal(await sweepMissedDoses(new Date('2025-03-02T12:00:00Z')), 0);
+        assert.equal(ChangeEvent.create.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateRecurrence,
+    withDefaultStartDate,
+    getCourseEndDate,
+    isDueOn,
+    getTaperStep,
+    getDoseAmount,
+} = require('../utils/recurrence');
+
+describe('isDueOn', () => {
+    it('is due every day by default', () => {
+        assert.equal(isDueOn({}, '2025-03-01'), true);
+        assert.equal(isDueOn({ recurrence: { frequency: 'daily' } }, '2025-03-02'), true);
+    });
+
+    it('is due on the chosen weekdays only', () => {
+        const medication = { recurrence: { frequency: 'weekly', daysOfWeek: [1, 4] } }; // Mondays and Thursdays
+        assert.equal(isDueOn(medication, '2025-03-03'), true); // Monday
+        assert.equal(isDueOn(medication, '2025-03-06'), true); // Thursday
+        assert.equal(isDueOn(medication, '2025-03-09'), false); // Sunday
+    });
+
+    it('is due every n days counted from the start date', () => {
+        const medication = { recurrence: { frequency: 'interval', interval: 3, startDate: '2025-02-27' } };
+        assert.equal(isDueOn(medication, '2025-02-27'), true);
+        assert.equal(isDueOn(medication, '2025-03-01'), false);
+        assert.equal(isDueOn(medication, '2025-03-02'), true); // Across the end of February
+        assert.equal(isDueOn(medication, '2025-02-24'), false); // Before the start
+    });
+
+    it('is not due before the start or after the end of the course', () => {
+        const medication = { recurrence: { startDate: '2025-03-01', endDate: '2025-03-10' } };
+        assert.equal(isDueOn(medication, '2025-02-28'), false);
+        assert.equal(isDueOn(medication, '2025-03-01'), true);
+        assert.equal(isDueOn(medication, '2025-03-10'), true);
+        assert.equal(isDueOn(medication, '2025-03-11'), false);
+    });
+
+    it('is not due after the day a medication was archived', () => {
+        const medication = { status: 'archived', archive: { date: '2025-03-05' }, recurrence: {} };
+        assert.equal(isDueOn(medication, '2025-03-05'), true);
+        assert.equal(isDueOn(medication, '2025-03-06'), false);
+    });
+});
+
+describe('tapering', () => {
+    const medication = {
+        amount: '10mg',
+        recurrence: { startDate: '2025-03-01' },
+        taper: [
+            { durationDays: 3, amount: '40mg' },
+            { durationDays: 2, amount: '20mg' },
+        ],
+    };
+
+    it('runs the steps back to back from the start date', () => {
+        assert.equal(getTaperStep(medication, '2025-02-28'), null);
+        assert.equal(getTaperStep(medication, '2025-03-01').amount, '40mg');
+        assert.equal(getTaperStep(medication, '2025-03-03').amount, '40mg');
+        assert.equal(getTaperStep(medication, '2025-03-04').amount, '20mg');
+        assert.equal(getTaperStep(medication, '2025-03-06'), null);
+    });
+
+    it('ends the course with the last step', () => {
+        assert.equal(getCourseEndDate(medication), '2025-03-05');
+        assert.equal(isDueOn(medication, '2025-03-05'), true);
+        assert.equal(isDueOn(medication, '2025-03-06'), false);
+    });
+
+    it('ends the course at endDate when that is earlier', () => {
+        const shortened = { ...medication, recurrence: { startDate: '2025-03-01', endDate: '2025-03-02' } };
+        assert.equal(getCourseEndDate(shortened), '2025-03-02');
+    });
+
+    it('uses the step\'s amount while tapering and the medication\'s otherwise', () => {
+        assert.equal(getDoseAmount(medication, '2025-03-04'), '20mg');
+        assert.equal(getDoseAmount(medication, '2025-02-28'), '10mg');
+    });
+});
+
+describe('validateRecurrence', () => {
+    it('accepts no rules, and complete rules', () => {
+        assert.equal(validateRecurrence(undefined, undefined), null);
+        assert.equal(validateRecurrence({ frequency: 'weekly', daysOfWeek: [0, 6] }), null);
+        assert.equal(validateRecurrence({ frequency: 'interval', interval: 2, startDate: '2025-03-01' }), null);
+        assert.equal(validateRecurrence(null, [{ durationDays: 5, quantity: 2 }]), null);
+    });
+
+    it('rejects incomplete or impossible rules', () => {
+        assert.match(validateRecurrence({ frequency: 'monthly' }), /frequency/);
+        assert.match(validateRecurrence({ frequency: 'weekly', daysOfWeek: [7] }), /daysOfWeek/);
+        assert.match(validateRecurrence({ frequency: 'interval', interval: 0 }), /interval/);
+        assert.match(validateRecurrence({ startDate: '2025-02-30' }), /startDate/);
+        assert.match(validateRecurrence({ startDate: '2025-03-02', endDate: '2025-03-01' }), /not be before/);
+        assert.match(validateRecurrence(undefined, [{ durationDays: 0, amount: '5mg' }]), /durationDays/);
+        assert.match(validateRecurrence(undefined, [{ durationDays: 3 }]), /quantity/);
+    });
+});
+
+describe('withDefaultStartDate', () => {
+    it('starts interval rules and tapers today when no start date was sent', () => {
+        assert.deepEqual(withDefaultStartDate({ frequency: 'interval', interval: 2 }, undefined, '2025-03-01'),
+            { frequency: 'interval', interval: 2, startDate: '2025-03-01' });
+        assert.deepEqual(withDefaultStartDate(undefined, [{ durationDays: 3, quantity: 1 }], '2025-03-01'),
+            { startDate: '2025-03-01' });
+    });
+
+    it('keeps a start date that was sent, and leaves no rules alone', () => {
+        assert.equal(withDefaultStartDate({ startDate: '2025-01-01' }, undefined, '2025-03-01').startDate, '2025-01-01');
+        assert.equal(withDefaultStartDate(undefined, undefined, '2025-03-01'), undefined);
+    });
+});
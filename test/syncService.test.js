@@ -0,0 +1,257 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const MedicationHistory = require('../models/MedicationHistory');
+const SyncOperation = require('../models/SyncOperation');
+const ChangeEvent = require('../models/ChangeEvent');
+const ReminderJob = require('../models/ReminderJob');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const { applySyncBatch, validateOperations } = require('../services/syncService');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const patient = { _id: user._id, timezone: 'UTC' };
+
+// Stands in for the SyncOperation collection, with its unique { user, key } index.
+const createKeyStore = () => {
+    const entries = new Map();
+    const id = (userId, key) => `${userId}|${key}`;
+    mock.method(SyncOperation, 'insertMany', async (docs) => {
+        let duplicate = false;
+        docs.forEach((doc) => {
+            if (entries.has(id(doc.user, doc.key))) {
+                duplicate = true;
+            } else {
+                entries.set(id(doc.user, doc.key), { _id: doc._id, key: doc.key, status: doc.status, result: doc.result });
+            }
+        });
+        if (duplicate) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        return docs;
+    });
+    mock.method(SyncOperation, 'find', async ({ user: userId, key }) => key.$in
+        .map(k => entries.get(id(userId, k)))
+        .filter(Boolean));
+    mock.method(SyncOperation, 'bulkWrite', async (ops) => {
+        ops.forEach(({ updateOne: { filter, update } }) => Object.assign(entries.get(id(filter.user, filter.key)), update.$set));
+    });
+    mock.method(SyncOperation, 'deleteMany', async ({ _id }) => {
+        const ids = _id.$in.map(String);
+        [...entries].filter(([, entry]) => ids.includes(entry._id.toString())).forEach(([k]) => entries.delete(k));
+    });
+    return entries;
+};
+
+const createPrn = key => ({
+    key,
+    type: 'create',
+    clientId: 'local-1',
+    data: { name: 'Ibuprofen', type: 'prn', dosage: { quantity: 1, form: 'tablet' } },
+});
+const logPrnDose = key => ({ key, type: 'dose', clientId: 'local-1', clientTimestamp: new Date().toISOString() });
+
+describe('applySyncBatch', () => {
+    let keys;
+    let doses;
+
+    beforeEach(() => {
+        keys = createKeyStore();
+        doses = [];
+        mock.method(mongoose.connection, 'transaction', async fn => fn({}));
+        mock.method(Medication.prototype, 'save', async function save() { return this; });
+        mock.method(Medication, 'updateOne', async () => ({}));
+        mock.method(MedicationHistory, 'create', async docs => docs);
+        mock.method(DoseEvent, 'create', async (docs) => {
+            doses.push(...docs);
+            return docs;
+        });
+        mock.method(ChangeEvent, 'create', async doc => ({ ...doc, _id: new mongoose.Types.ObjectId(), createdAt: new Date() }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('applies a batch and stores each result under its key', async () => {
+        const results = await applySyncBatch(user, patient, [createPrn('a'), logPrnDose('b')]);
+
+        assert.deepEqual(results.map(r => r.status), ['applied', 'applied']);
+        assert.equal(doses.length, 1);
+        assert.deepEqual([...keys.values()].map(entry => entry.status), ['applied', 'applied']);
+        assert.equal(keys.get(`${user._id}|b`).result.doseEvent, undefined);
+    });
+
+    it('answers a resent batch from the stored results without applying it again', async () => {
+        const [created] = await applySyncBatch(user, patient, [createPrn('a'), logPrnDose('b')]);
+        const results = await applySyncBatch(user, patient, [createPrn('a'), logPrnDose('b')]);
+
+        assert.deepEqual(results.map(r => r.status), ['duplicate', 'duplicate']);
+        assert.equal(results[0].medicationId, created.medicationId);
+        assert.equal(doses.length, 1);
+    });
+
+    it('applies a batch sent twice at once only once', async () => {
+        const batch = [createPrn('a'), logPrnDose('b')];
+        const [first, second] = await Promise.all([
+            applySyncBatch(user, patient, batch),
+            applySyncBatch(user, patient, batch),
+        ]);
+
+        assert.deepEqual(first.map(r => r.status), ['applied', 'applied']);
+        assert.deepEqual(second.map(r => r.status), ['in_progress', 'in_progress']);
+        assert.equal(doses.length, 1);
+    });
+
+    it('frees the keys of operations that were not applied', async () => {
+        const invalid = { ...createPrn('a'), data: { name: 'Ibuprofen' } };
+        const results = await applySyncBatch(user, patient, [invalid, logPrnDose('b')]);
+
+        assert.deepEqual(results.map(r => r.status), ['rejected', 'skipped']);
+        assert.equal(keys.size, 0);
+
+        const retried = await applySyncBatch(user, patient, [createPrn('a'), logPrnDose('b')]);
+        assert.deepEqual(retried.map(r => r.status), ['applied', 'applied']);
+    });
+
+    it('frees the keys when saving fails', async () => {
+        mongoose.connection.transaction.mock.mockImplementation(async () => { throw new Error('Transaction aborted'); });
+
+        await assert.rejects(applySyncBatch(user, patient, [createPrn('a')]), /Transaction aborted/);
+        assert.equal(keys.size, 0);
+    });
+
+    it('reports a conflict when the server changed the same fields since the client\'s copy', async () => {
+        const medication = new Medication({
+            user: patient._id,
+            name: 'Metformin',
+            dosage: { quantity: 1, form: 'tablet' },
+            schedules: [{ time: '08:00' }],
+            recurrence: { frequency: 'daily', startDate: '2026-01-01' },
+            updatedAt: new Date('2026-03-02T00:00:00Z'),
+        });
+        mock.method(Medication, 'findById', async () => medication);
+        mock.method(MedicationHistory, 'find', () => ({
+            sort: async () => [{
+                action: 'updated',
+                version: new Date('2026-03-02T00:00:00Z'),
+                changes: [{ field: 'schedules', from: [], to: [] }],
+            }],
+        }));
+        const update = data => ({
+            key: `update-${Object.keys(data)[0]}`,
+            type: 'update',
+            medicationId: medication._id.toString(),
+            baseUpdatedAt: '2026-03-01T00:00:00Z',
+            data,
+        });
+
+        const [conflict] = await applySyncBatch(user, patient, [update({ schedules: [{ time: '09:00' }] })]);
+        assert.equal(conflict.status, 'conflict');
+        assert.match(conflict.message, /schedules/);
+        assert.equal(conflict.server.name, 'Metformin');
+
+        const [merged] = await applySyncBatch(user, patient, [update({ precautions: 'With food' })]);
+        assert.equal(merged.status, 'applied');
+        assert.equal(merged.merged, true);
+    });
+
+    describe('archive and delete', () => {
+        let medication;
+
+        beforeEach(() => {
+            medication = new Medication({
+                user: patient._id,
+                name: 'Metformin',
+                dosage: { quantity: 1, form: 'tablet' },
+                schedules: [{ time: '08:00' }],
+                updatedAt: new Date('2026-03-01T00:00:00Z'),
+            });
+            mock.method(Medication, 'findById', async () => medication);
+            mock.method(Medication, 'deleteOne', async () => ({ deletedCount: 1 }));
+            [DoseEvent, ReminderJob, MedicationHistory].forEach(Model => mock.method(Model, 'deleteMany', async () => ({})));
+            mock.method(JournalEntry, 'updateMany', async () => ({}));
+            mock.method(User, 'updateOne', async () => ({}));
+        });
+
+        const op = (key, type, extra = {}) => ({
+            key,
+            type,
+            medicationId: medication._id.toString(),
+            baseUpdatedAt: '2026-03-01T00:00:00Z',
+            ...extra,
+        });
+        const published = () => ChangeEvent.create.mock.calls.map(call => call.arguments[0].type);
+
+        it('archives a medication, with the reason', async () => {
+            const [result] = await applySyncBatch(user, patient, [op('a', 'archive', { reason: 'Rash' })]);
+
+            assert.equal(result.status, 'applied');
+            assert.equal(medication.status, 'archived');
+            assert.equal(medication.archive.reason, 'Rash');
+            assert.equal(Medication.deleteOne.mock.callCount(), 0);
+            assert.deepEqual(published(), ['medication.archived']);
+        });
+
+        it('deletes a medication permanently, as DELETE /api/medications/:id does', async () => {
+            const [result] = await applySyncBatch(user, patient, [op('a', 'delete')]);
+
+            assert.equal(result.status, 'applied');
+            assert.equal(String(Medication.deleteOne.mock.calls[0].arguments[0]._id), String(medication._id));
+            assert.equal(String(DoseEvent.deleteMany.mock.calls[0].arguments[0].medication), String(medication._id));
+            assert.equal(MedicationHistory.deleteMany.mock.callCount(), 1);
+            assert.deepEqual(published(), ['medication.deleted']);
+        });
+
+        it('deletes archived medications too', async () => {
+            medication.status = 'archived';
+            const [result] = await applySyncBatch(user, patient, [op('a', 'delete')]);
+
+            assert.equal(result.status, 'applied');
+            assert.equal(Medication.deleteOne.mock.callCount(), 1);
+        });
+
+        it('rejects operations after a delete, which leaves the group unapplied', async () => {
+            const dose = { ...logPrnDose('b'), clientId: undefined, medicationId: medication._id.toString() };
+            const results = await applySyncBatch(user, patient, [op('a', 'delete'), dose]);
+
+            assert.deepEqual(results.map(r => r.status), ['skipped', 'rejected']);
+            assert.match(results[1].message, /deleted/);
+            assert.equal(Medication.deleteOne.mock.callCount(), 0);
+        });
+
+        it('saves nothing for a medication created and deleted in the same batch', async () => {
+            const results = await applySyncBatch(user, patient, [createPrn('a'), logPrnDose('b'), { key: 'c', type: 'delete', clientId: 'local-1' }]);
+
+            assert.deepEqual(results.map(r => r.status), ['applied', 'applied', 'applied']);
+            assert.equal(Medication.prototype.save.mock.callCount(), 0);
+            assert.equal(doses.length, 0);
+            assert.deepEqual(published(), []);
+        });
+    });
+
+    // Last: once a server is found not to support transactions, the service stops trying them.
+    it('saves without a transaction on a MongoDB server that is not a replica set', async () => {
+        mock.method(console, 'warn', () => {});
+        mongoose.connection.transaction.mock.mockImplementation(async () => {
+            throw new Error('Transaction numbers are only allowed on a replica set member or mongos');
+        });
+
+        const results = await applySyncBatch(user, patient, [createPrn('a'), logPrnDose('b')]);
+        const again = await applySyncBatch(user, patient, [createPrn('c')]);
+
+        assert.deepEqual([...results, ...again].map(r => r.status), ['applied', 'applied', 'applied']);
+        assert.equal(doses.length, 1);
+        assert.equal(mongoose.connection.transaction.mock.callCount(), 1);
+        assert.equal(console.warn.mock.callCount(), 1);
+    });
+});
+
+describe('validateOperations', () => {
+    it('rejects keys used twice in a batch', () => {
+        assert.match(validateOperations([createPrn('a'), logPrnDose('a')]), /used more than once/);
+    });
+
+    it('requires the version of the client\'s copy for edits to existing medications', () => {
+        const op = { key: 'a', type: 'update', medicationId: '0123456789abcdef01234567', data: {} };
+        assert.match(validateOperations([op]), /baseUpdatedAt/);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    resolveTimezone,
+    getLocalDateTime,
+    getUtcOffsetMinutes,
+    wallClockMinutesBetween,
+    addDays,
+    daysBetween,
+    isValidDateString,
+} = require('../utils/timezone');
+
+describe('getLocalDateTime', () => {
+    it('gives the wall-clock date and time in the timezone', () => {
+        const instant = new Date('2025-06-01T02:30:00Z');
+        assert.deepEqual(getLocalDateTime(instant, 'Asia/Kolkata'), { date: '2025-06-01', time: '08:00' });
+        assert.deepEqual(getLocalDateTime(instant, 'America/New_York'), { date: '2025-05-31', time: '22:30' });
+    });
+
+    it('follows daylight saving time', () => {
+        // New York moved from UTC-5 to UTC-4 at 2025-03-09 02:00 local.
+        assert.equal(getLocalDateTime(new Date('2025-03-09T06:59:00Z'), 'America/New_York').time, '01:59');
+        assert.equal(getLocalDateTime(new Date('2025-03-09T07:00:00Z'), 'America/New_York').time, '03:00');
+    });
+
+    it('writes midnight as 00:00', () => {
+        assert.equal(getLocalDateTime(new Date('2025-01-01T00:00:00Z'), 'UTC').time, '00:00');
+    });
+
+    it('falls back to the default timezone for a missing or unknown one', () => {
+        const instant = new Date('2025-06-01T12:00:00Z');
+        assert.deepEqual(getLocalDateTime(instant, 'Not/AZone'), getLocalDateTime(instant, DEFAULT_TIMEZONE));
+        assert.deepEqual(getLocalDateTime(instant, null), getLocalDateTime(instant, DEFAULT_TIMEZONE));
+    });
+});
+
+describe('isValidTimezone and resolveTimezone', () => {
+    it('accepts IANA names and rejects anything else', () => {
+        assert.equal(isValidTimezone('Europe/Berlin'), true);
+        assert.equal(isValidTimezone('Europe/Atlantis'), false);
+        assert.equal(isValidTimezone(''), false);
+        assert.equal(isValidTimezone(42), false);
+    });
+
+    it('keeps a valid timezone and replaces an invalid one', () => {
+        assert.equal(resolveTimezone('Asia/Tokyo'), 'Asia/Tokyo');
+        assert.equal(resolveTimezone(undefined), DEFAULT_TIMEZONE);
+    });
+});
+
+describe('getUtcOffsetMinutes', () => {
+    it('gives the offset in force at the instant', () => {
+        assert.equal(getUtcOffsetMinutes(new Date('2025-01-15T12:00:00Z'), 'Asia/Kolkata'), 330);
+        assert.equal(getUtcOffsetMinutes(new Date('2025-01-15T12:00:00Z'), 'America/New_York'), -300);
+        assert.equal(getUtcOffsetMinutes(new Date('2025-07-15T12:00:00Z'), 'America/New_York'), -240);
+        assert.equal(getUtcOffsetMinutes(new Date('2025-07-15T12:00:30Z'), 'UTC'), 0);
+    });
+});
+
+describe('wallClockMinutesBetween', () => {
+    it('lists the minutes after the start up to and including the end, across midnight', () => {
+        assert.deepEqual(wallClockMinutesBetween('2025-03-01T23:58', '2025-03-02T00:01'), [
+            { date: '2025-03-01', time: '23:59' },
+            { date: '2025-03-02', time: '00:00' },
+            { date: '2025-03-02', time: '00:01' },
+        ]);
+    });
+
+    it('is empty when the end is not after the start', () => {
+        assert.deepEqual(wallClockMinutesBetween('2025-03-01T08:00', '2025-03-01T08:00'), []);
+    });
+
+    it('stops at the limit', () => {
+        assert.equal(wallClockMinutesBetween('2025-03-01T00:00', '2025-03-05T00:00').length, 1440);
+        assert.equal(wallClockMinutesBetween('2025-03-01T00:00', '2025-03-05T00:00', 10).length, 10);
+    });
+});
+
+describe('calendar dates', () => {
+    it('adds days across month, year and leap-day boundaries', () => {
+        assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+        assert.equal(addDays('2025-02-28', 1), '2025-03-01');
+        assert.equal(addDays('2025-12-31', 1), '2026-01-01');
+        assert.equal(addDays('2025-03-01', -1), '2025-02-28');
+    });
+
+    it('counts days between dates, ignoring daylight saving time', () => {
+        assert.equal(daysBetween('2025-03-01', '2025-04-01'), 31);
+        assert.equal(daysBetween('2025-04-01', '2025-03-01'), -31);
+        assert.equal(daysBetween('2025-03-09', '2025-03-10'), 1);
+    });
+
+    it('accepts only real dates in YYYY-MM-DD format', () => {
+        assert.equal(isValidDateString('2024-02-29'), true);
+        assert.equal(isValidDateString('2025-02-29'), false);
+        assert.equal(isValidDateString('2025-2-01'), false);
+        assert.equal(isValidDateString('2025-13-01'), false);
+        assert.equal(isValidDateString(null), false);
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createSession, rotateRefreshToken, authenticateAccessToken } = require('../services/tokenService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const user = { _id: new mongoose.Types.ObjectId(), username: 'alex' };
+const req = { get: () => 'test-agent', ip: '127.0.0.1' };
+
+describe('tokenService', () => {
+    let sessions;
+
+    // Sessions kept in memory, matched the way MongoDB would match the filters tokenService uses.
+    const matches = (session, filter) => String(session._id) === String(filter._id)
+        && (filter.user === undefined || String(session.user) === String(filter.user))
+        && (filter.refreshTokenHash === undefined || session.refreshTokenHash === filter.refreshTokenHash)
+        && (filter.revokedAt === undefined || session.revokedAt === filter.revokedAt)
+        && (filter.expiresAt === undefined || session.expiresAt > filter.expiresAt.$gt);
+
+    beforeEach(() => {
+        sessions = [];
+        mock.method(Session.prototype, 'save', async function save() {
+            sessions.push(this);
+            return this;
+        });
+        mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+            const session = sessions.find(s => matches(s, filter));
+            if (!session) return null;
+            Object.assign(session, update.$set);
+            const { $each, $slice } = update.$push.previousTokenHashes;
+            session.previousTokenHashes = [...session.previousTokenHashes, ...$each].slice($slice);
+            return session;
+        });
+        mock.method(Session, 'findOne', async filter => sessions.find(s => matches(s, filter)) || null);
+        mock.method(Session, 'updateOne', async (filter, update) => {
+            const session = sessions.find(s => matches(s, filter));
+            if (session) Object.assign(session, update.$set);
+            return { modifiedCount: session ? 1 : 0 };
+        });
+        mock.method(User, 'findById', () => ({ select: async () => user }));
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('rotateRefreshToken', () => {
+        it('swaps the refresh token for a new pair bound to the same session', async () => {
+            const first = await createSession(user, req);
+            const second = await rotateRefreshToken(first.refreshToken, req);
+
+            assert.equal(second.error, undefined);
+            assert.notEqual(second.refreshToken, first.refreshToken);
+            assert.equal(second.refreshToken.split('.')[0], String(first.session._id));
+            assert.equal(jwt.verify(second.token, process.env.JWT_SECRET).sid, String(first.session._id));
+            assert.notEqual(sessions[0].refreshTokenHash, second.refreshToken); // Only the hash is stored
+
+            const third = await rotateRefreshToken(second.refreshToken, req);
+            assert.equal(third.error, undefined);
+        });
+
+        it('revokes the whole session when a rotated-out token is presented again', async () => {
+            const first = await createSession(user, req);
+            const second = await rotateRefreshToken(first.refreshToken, req);
+
+            assert.deepEqual(await rotateRefreshToken(first.refreshToken, req), { error: 'reused' });
+            assert.equal(sessions[0].revokedReason, 'reuse_detected');
+            assert.ok(sessions[0].revokedAt);
+            assert.deepEqual(await rotateRefreshToken(second.refreshToken, req), { error: 'revoked' }); // The thief's copy dies too
+        });
+
+        it('keeps a bounded number of rotated-out tokens; older ones are just invalid', async () => {
+            const first = await createSession(user, req);
+            let current = first;
+            for (let i = 0; i < 55; i += 1) current = await rotateRefreshToken(current.refreshToken, req);
+
+            assert.equal(sessions[0].previousTokenHashes.length, 50);
+            assert.deepEqual(await rotateRefreshToken(first.refreshToken, req), { error: 'invalid' });
+            assert.equal(sessions[0].revokedAt, null);
+        });
+
+        it('refuses malformed, unknown, revoked and expired tokens', async () => {
+            const { refreshToken, session } = await createSession(user, req);
+
+            assert.deepEqual(await rotateRefreshToken('not-a-token', req), { error: 'invalid' });
+            assert.deepEqual(await rotateRefreshToken(`${new mongoose.Types.ObjectId()}.abc`, req), { error: 'invalid' });
+            assert.deepEqual(await rotateRefreshToken(`${session._id}.abc`, req), { error: 'invalid' });
+
+            session.expiresAt = new Date(Date.now() - 1000);
+            assert.deepEqual(await rotateRefreshToken(refreshToken, req), { error: 'expired' });
+
+            session.revokedAt = new Date();
+            assert.deepEqual(await rotateRefreshToken(refreshToken, req), { error: 'revoked' });
+        });
+    });
+
+    describe('authenticateAccessToken', () => {
+        it('loads the user and session of a live session, and when the token expires', async () => {
+            const { token, session } = await createSession(user, req);
+
+            assert.deepEqual(await authenticateAccessToken(token), {
+                user,
+                session,
+                expiresAt: new Date(jwt.decode(token).exp * 1000),
+            });
+        });
+
+        it('refuses tokens of revoked sessions', async () => {
+            const { token, session } = await createSession(user, req);
+            session.revokedAt = new Date();
+
+            assert.match((await authenticateAccessToken(token)).message, /revoked/);
+        });
+
+        it('refuses tokens issued before sessions existed', async () => {
+            const token = jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET);
+
+            assert.match((await authenticateAccessToken(token)).message, /sign in again/);
+        });
+    });
+});
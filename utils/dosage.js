@@ -0,0 +1,263 @@
+// backend/src/utils/dosage.js
+// Structured dosage: validation, parsing of legacy free-text amounts, and human-readable rendering.
+const { getTaperStep, getDoseAmount } = require('./recurrence');
+
+const FORMS = ['tablet', 'capsule', 'ml', 'puff', 'drop', 'patch', 'injection', 'sachet', 'spray', 'suppository', 'unit', 'application'];
+const ROUTES = ['oral', 'sublingual', 'topical', 'inhaled', 'nasal', 'ophthalmic', 'otic', 'rectal', 'vaginal', 'transdermal', 'subcutaneous', 'intramuscular'];
+const STRENGTH_UNITS = ['mg', 'mcg', 'g', 'IU', 'units', '%', 'mg/ml', 'mcg/ml'];
+const FOOD_INSTRUCTIONS = ['with_food', 'without_food', 'before_food', 'after_food'];
+
+const FORM_PLURALS = { patch: 'patches', suppository: 'suppositories', ml: 'ml' };
+const ROUTE_TEXT = {
+    sublingual: 'under the tongue',
+    topical: 'on the skin',
+    inhaled: 'inhaled',
+    nasal: 'in the nose',
+    ophthalmic: 'in the eye',
+    otic: 'in the ear',
+    rectal: 'rectally',
+    vaginal: 'vaginally',
+    transdermal: 'on the skin',
+    subcutaneous: 'injected under the skin',
+    intramuscular: 'injected into the muscle',
+};
+const FOOD_TEXT = {
+    with_food: 'with food',
+    without_food: 'on an empty stomach',
+    before_food: 'before food',
+    after_food: 'after food',
+};
+
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validates structured dosage sent by a client, together with per-schedule quantities.
+ * @param {object} [dosage] - { strength: { value, unit }, quantity, form, route, withFood, maxDailyQuantity }
+ * @param {Array<object>} [schedules] - Schedule entries; each may override the dose quantity with `quantity`.
+ * @returns {string|null} An error message, or null when valid.
+ */
+const validateDosage = (dosage, schedules = []) => {
+    if (dosage !== undefined && dosage !== null) {
+        if (typeof dosage !== 'object' || Array.isArray(dosage)) {
+            return 'Dosage must be an object.';
+        }
+        const { strength, quantity, form, route, withFood, maxDailyQuantity } = dosage;
+        if (strength !== undefined && strength !== null
+            && (typeof strength !== 'object' || !isPositiveNumber(strength.value) || !STRENGTH_UNITS.includes(strength.unit))) {
+            return `Dosage strength needs a value greater than 0 and a unit (${STRENGTH_UNITS.join(', ')}).`;
+        }
+        if (quantity !== undefined && quantity !== null && !isPositiveNumber(quantity)) {
+            return 'Dosage quantity must be a number greater than 0.';
+        }
+        if (form !== undefined && form !== null && !FORMS.includes(form)) {
+            return `Dosage form must be one of: ${FORMS.join(', ')}.`;
+        }
+        if (route !== undefined && route !== null && !ROUTES.includes(route)) {
+            return `Dosage route must be one of: ${ROUTES.join(', ')}.`;
+        }
+        if (withFood !== undefined && withFood !== null && !FOOD_INSTRUCTIONS.includes(withFood)) {
+            return `Dosage withFood must be one of: ${FOOD_INSTRUCTIONS.join(', ')}.`;
+        }
+        if (maxDailyQuantity !== undefined && maxDailyQuantity !== null && !isPositiveNumber(maxDailyQuantity)) {
+            return 'Dosage maxDailyQuantity must be a number greater than 0.';
+        }
+    }
+
+    if (schedules.some(s => s.quantity !== undefined && s.quantity !== null && !isPositiveNumber(s.quantity))) {
+        return 'Schedule quantities must be numbers greater than 0.';
+    }
+    const maxDaily = dosage && dosage.maxDailyQuantity;
+    if (maxDaily) {
+        const dailyTotal = schedules.reduce((sum, s) => sum + (s.quantity || (dosage && dosage.quantity) || 0), 0);
+        if (dailyTotal > maxDaily) {
+            return `The scheduled doses add up to ${dailyTotal} a day, above the maximum of ${maxDaily}.`;
+        }
+    }
+    return null;
+};
+
+const WORD_NUMBERS = { half: 0.5, '½': 0.5, '¼': 0.25, one: 1, two: 2, three: 3, four: 4, five: 5 };
+const FORM_WORDS = [
+    [/^(tablets?|tabs?|pills?)$/, 'tablet'],
+    [/^(capsules?|caps?)$/, 'capsule'],
+    [/^(ml|mls|millilit(?:er|re)s?|cc)$/, 'ml'],
+    [/^(tsp|teaspoons?)$/, 'ml', 5],
+    [/^(tbsp|tablespoons?)$/, 'ml', 15],
+    [/^(puffs?|inhalations?)$/, 'puff'],
+    [/^(drops?)$/, 'drop'],
+    [/^(patch|patches)$/, 'patch'],
+    [/^(injections?|shots?)$/, 'injection'],
+    [/^(sachets?)$/, 'sachet'],
+    [/^(sprays?)$/, 'spray'],
+    [/^(suppositor(?:y|ies))$/, 'suppository'],
+    [/^(units?|iu)$/, 'unit'],
+    [/^(applications?)$/, 'application'],
+];
+const STRENGTH_WORDS = { mg: 'mg', mcg: 'mcg', 'µg': 'mcg', ug: 'mcg', g: 'g', '%': '%', 'mg/ml': 'mg/ml', 'mcg/ml': 'mcg/ml' };
+
+const parseNumber = (text) => {
+    if (text in WORD_NUMBERS) return WORD_NUMBERS[text];
+    const fraction = /^(\d+)\/(\d+)$/.exec(text);
+    if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+    return Number(text);
+};
+
+// Numbers, words (units, forms, "of", "x") and "/" or "×"; anything else, such as the "-" of "1-2", ends the match.
+const AMOUNT_TOKEN = /\s*(?:(\d+\/\d+|\d+(?:\.\d+)?|(?:half|one|two|three|four|five)(?![a-z])|½|¼)|([a-zµ%]+(?:\/[a-zµ]+)?)|([/×]))/y;
+const CONNECTORS = ['x', '×', 'of', '/']; // "2 x 500 mg", "2 tablets of 500 mg", "250mg/5ml"
+
+const tokenizeAmount = (text) => {
+    const tokens = [];
+    AMOUNT_TOKEN.lastIndex = 0;
+    while (AMOUNT_TOKEN.lastIndex < text.length) {
+        const match = AMOUNT_TOKEN.exec(text);
+        if (!match) return null;
+        const [, number, word, symbol] = match;
+        if (number !== undefined) tokens.push({ number });
+        else tokens.push({ word: word || symbol });
+    }
+    return tokens;
+};
+
+/**
+ * Reads a legacy free-text amount such as "2 pills", "500mg", "1 tab 250 mg", "2 x 500mg" or "1/2 tsp".
+ * The whole text must be read: ranges ("1-2 tablets"), alternatives ("1 or 2") and anything else
+ * it does not know give null rather than a guess.
+ * @param {string} amount
+ * @returns {object|null} { quantity, form, strength } (form/strength may be null), or null if not understood.
+ */
+const parseAmount = (amount) => {
+    if (typeof amount !== 'string') return null;
+    const tokens = tokenizeAmount(amount.toLowerCase().replace(/,/g, '.').trim());
+    if (!tokens || tokens.length === 0) return null;
+    let quantity = null;
+    let form = null;
+    let strength = null;
+
+    for (let i = 0; i < tokens.length; i += 1) {
+        const { number, word } = tokens[i];
+        if (CONNECTORS.includes(word)) {
+            // Only between two parts of the amount
+            if (i === 0 || i === tokens.length - 1 || CONNECTORS.includes(tokens[i - 1].word)) return null;
+            continue;
+        }
+
+        let value = null;
+        let unit = word;
+        if (number !== undefined) {
+            value = parseNumber(number);
+            if (!isPositiveNumber(value)) return null;
+            if (tokens[i + 1] && tokens[i + 1].word === 'a') i += 1; // "half a tablet"
+            const next = tokens[i + 1];
+            unit = '';
+            if (next && next.word !== undefined && !CONNECTORS.includes(next.word)) {
+                unit = next.word;
+                i += 1;
+            }
+        }
+
+        const formWord = FORM_WORDS.find(([regex]) => regex.test(unit));
+        if (formWord) {
+            if (form !== null) return null;
+            [, form] = formWord;
+            if (value !== null) {
+                if (quantity !== null) return null;
+                quantity = value * (formWord[2] || 1);
+            } else if (formWord[2]) {
+                return null; // "tsp" without a number
+            }
+        } else if (STRENGTH_WORDS[unit] && value !== null) {
+            if (strength !== null) return null;
+            strength = { value, unit: STRENGTH_WORDS[unit] };
+        } else if (unit === '' && value !== null) {
+            if (quantity !== null) return null;
+            quantity = value; // A bare number: a count of whatever the medication comes as
+        } else {
+            return null;
+        }
+    }
+
+    if (quantity === null && strength === null) return null;
+    return { quantity: quantity === null ? 1 : quantity, form, strength };
+};
+
+const formatNumber = value => String(Math.round(value * 1000) / 1000);
+
+/**
+ * Renders a quantity of a form, e.g. "2 tablets", "1 tablet", "5 ml", "0.5 tablet".
+ */
+const formatQuantity = (quantity, form) => {
+    if (!form) return formatNumber(quantity);
+    const plural = quantity > 1 ? (FORM_PLURALS[form] || `${form}s`) : form;
+    return `${formatNumber(quantity)} ${plural}`;
+};
+
+/**
+ * Renders a dose, e.g. "2 tablets of 500 mg", or with instructions "2 tablets of 500 mg, with food".
+ * @param {object} dosage
+ * @param {number} [quantity] - Overrides dosage.quantity (per-schedule or taper quantities).
+ * @param {object} [options]
+ * @param {boolean} [options.instructions] - Append route and food instructions.
+ * @returns {string}
+ */
+const formatDose = (dosage, quantity = dosage.quantity, { instructions = false } = {}) => {
+    const strength = dosage.strength && dosage.strength.value
+        ? `${formatNumber(dosage.strength.value)} ${dosage.strength.unit}`
+        : null;
+    let text = formatQuantity(quantity, dosage.form);
+    if (strength && dosage.form) {
+        text = `${text} of ${strength}`;
+    } else if (strength) {
+        text = quantity === 1 ? strength : `${text} x ${strength}`; // e.g. "500 mg", "2 x 500 mg"
+    }
+
+    if (instructions) {
+        const extras = [ROUTE_TEXT[dosage.route], FOOD_TEXT[dosage.withFood]].filter(Boolean);
+        if (extras.length > 0) text += `, ${extras.join(', ')}`;
+    }
+    return text;
+};
+
+/**
+ * How many units of dosage.form one dose is on a date: the taper step's quantity, else the schedule
+ * entry's, else the medication's.
+ * @param {object} medication
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {object} [scheduleEntry]
+ * @returns {number|null} null for medications with only a free-text amount.
+ */
+const getDoseQuantity = (medication, date, scheduleEntry) => {
+    const step = getTaperStep(medication, date);
+    if (step && step.quantity) return step.quantity;
+    if (scheduleEntry && scheduleEntry.quantity) return scheduleEntry.quantity;
+    return (medication.dosage && medication.dosage.quantity) || null;
+};
+
+/**
+ * Renders the dose to take at a schedule entry on a date, e.g. "1 tablet of 500 mg, with food".
+ * Medications without structured dosage fall back to their free-text amount.
+ * @param {object} medication
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {object} [scheduleEntry]
+ * @param {object} [options] - See formatDose.
+ * @returns {string}
+ */
+const describeDose = (medication, date, scheduleEntry, options) => {
+    const step = getTaperStep(medication, date);
+    const quantity = getDoseQuantity(medication, date, scheduleEntry);
+    if (!quantity || (step && step.amount && !step.quantity)) return getDoseAmount(medication, date);
+    return formatDose(medication.dosage, quantity, options);
+};
+
+module.exports = {
+    FORMS,
+    ROUTES,
+    STRENGTH_UNITS,
+    FOOD_INSTRUCTIONS,
+    validateDosage,
+    parseAmount,
+    formatQuantity,
+    formatDose,
+    getDoseQuantity,
+    describeDose,
+};
@@ -0,0 +1,154 @@
+// backend/src/utils/recurrence.js
+// Evaluates and validates the recurrence rules stored on a Medication.
+// All dates are the user's local calendar dates in "YYYY-MM-DD" format.
+const { addDays, daysBetween, isValidDateString } = require('./timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'interval'];
+const MAX_INTERVAL_DAYS = 365;
+
+/**
+ * Validates recurrence rules and tapering steps sent by a client.
+ * @param {object} [recurrence] - { frequency, daysOfWeek, interval, startDate, endDate }
+ * @param {Array<object>} [taper] - [{ durationDays, amount }], applied back to back from startDate.
+ * @returns {string|null} An error message, or null when the rules are valid.
+ */
+const validateRecurrence = (recurrence, taper) => {
+    if (recurrence !== undefined && recurrence !== null) {
+        if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+            return 'Recurrence must be an object.';
+        }
+        const { frequency = 'daily', daysOfWeek, interval, startDate, endDate } = recurrence;
+
+        if (!FREQUENCIES.includes(frequency)) {
+            return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}.`;
+        }
+        if (frequency === 'weekly' && (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0
+            || daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+            return 'Weekly recurrence needs daysOfWeek as a list of weekday numbers (0 = Sunday to 6 = Saturday).';
+        }
+        if (frequency === 'interval' && (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL_DAYS)) {
+            return `Interval recurrence needs a whole number interval between 1 and ${MAX_INTERVAL_DAYS} days.`;
+        }
+        if (startDate != null && !isValidDateString(startDate)) {
+            return 'Recurrence startDate must be a date in YYYY-MM-DD format.';
+        }
+        if (endDate != null && !isValidDateString(endDate)) {
+            return 'Recurrence endDate must be a date in YYYY-MM-DD format.';
+        }
+        if (startDate && endDate && endDate < startDate) {
+            return 'Recurrence endDate must not be before startDate.';
+        }
+    }
+
+    if (taper !== undefined && taper !== null) {
+        if (!Array.isArray(taper)) {
+            return 'Taper must be a list of steps.';
+        }
+        const hasDose = step => (typeof step.quantity === 'number' && step.quantity > 0)
+            || (typeof step.amount === 'string' && step.amount.trim() !== '');
+        if (taper.some(step => !step || !Number.isInteger(step.durationDays) || step.durationDays < 1 || !hasDose(step))) {
+            return 'Each taper step needs a whole number durationDays (at least 1) and a quantity (or amount).';
+        }
+    }
+    return null;
+};
+
+/**
+ * Fills in the start date (the user's "today") when rules need an anchor but the client sent none.
+ * @param {object} [recurrence]
+ * @param {Array<object>} [taper]
+ * @param {string} today - The user's local date.
+ * @returns {object|undefined} The recurrence to store.
+ */
+const withDefaultStartDate = (recurrence, taper, today) => {
+    const needsAnchor = (recurrence && recurrence.frequency === 'interval') || (Array.isArray(taper) && taper.length > 0);
+    if (!recurrence && !needsAnchor) return recurrence;
+    return { ...(recurrence || {}), startDate: (recurrence && recurrence.startDate) || today };
+};
+
+/**
+ * The last day of a fixed course: the earliest of endDate, the end of the last taper step and,
+ * for archived medications, the day they were archived.
+ * @param {object} medication
+ * @returns {string|null}
+ */
+const getCourseEndDate = (medication) => {
+    const recurrence = medication.recurrence || {};
+    const taper = medication.taper || [];
+    let endDate = recurrence.endDate || null;
+    const earlier = date => (endDate && endDate < date ? endDate : date);
+
+    if (taper.length > 0 && recurrence.startDate) {
+        const totalDays = taper.reduce((sum, step) => sum + step.durationDays, 0);
+        endDate = earlier(addDays(recurrence.startDate, totalDays - 1));
+    }
+    if (medication.status === 'archived' && medication.archive) {
+        endDate = earlier(medication.archive.date);
+    }
+    return endDate;
+};
+
+/**
+ * Whether a medication's doses are due on a given local date.
+ * @param {object} medication
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+const isDueOn = (medication, date) => {
+    const recurrence = medication.recurrence || {};
+    const { frequency = 'daily', startDate } = recurrence;
+
+    if (startDate && date < startDate) return false;
+    const endDate = getCourseEndDate(medication);
+    if (endDate && date > endDate) return false;
+
+    if (frequency === 'weekly') {
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        return (recurrence.daysOfWeek || []).includes(weekday);
+    }
+    if (frequency === 'interval' && startDate) {
+        return daysBetween(startDate, date) % (recurrence.interval || 1) === 0;
+    }
+    return true;
+};
+
+/**
+ * The taper step active on a date, if the medication is tapering then.
+ * @param {object} medication
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {object|null}
+ */
+const getTaperStep = (medication, date) => {
+    const taper = medication.taper || [];
+    const startDate = medication.recurrence && medication.recurrence.startDate;
+    if (taper.length === 0 || !startDate || date < startDate) return null;
+
+    let stepStart = startDate;
+    for (const step of taper) {
+        const stepEnd = addDays(stepStart, step.durationDays - 1);
+        if (date <= stepEnd) return step;
+        stepStart = addDays(stepEnd, 1);
+    }
+    return null;
+};
+
+/**
+ * The free-text amount to take on a date: the active taper step's amount, otherwise the medication's amount.
+ * For structured dosage use describeDose() in utils/dosage.js.
+ * @param {object} medication
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string}
+ */
+const getDoseAmount = (medication, date) => {
+    const step = getTaperStep(medication, date);
+    return (step && step.amount) || medication.amount;
+};
+
+module.exports = {
+    validateRecurrence,
+    withDefaultStartDate,
+    getCourseEndDate,
+    isDueOn,
+    getTaperStep,
+    getDoseAmount,
+};
@@ -0,0 +1,30 @@
+// backend/src/utils/redact.js
+// Keeps passwords, codes and tokens out of logs.
+
+const SECRET_KEYS = /pass(word)?|secret|token|code|authorization|cookie/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copies a value for logging with secret fields replaced by "[REDACTED]", at any depth.
+ * @param {*} value - e.g. a request body or headers.
+ * @returns {*}
+ */
+const redactSecrets = (value, depth = 0) => {
+    if (Array.isArray(value)) return value.map(item => redactSecrets(item, depth + 1));
+    if (!value || typeof value !== 'object' || depth > 5) return value;
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+        key,
+        SECRET_KEYS.test(key) ? REDACTED : redactSecrets(field, depth + 1),
+    ]));
+};
+
+/**
+ * A URL for logging with secret query parameters (e.g. ?access_token= on the event stream) redacted.
+ * @param {string} url
+ * @returns {string}
+ */
+const redactUrl = url => url.replace(/([?&])([^=&]+)=[^&]*/g, (param, separator, key) => (
+    SECRET_KEYS.test(key) ? `${separator}${key}=${REDACTED}` : param
+));
+
+module.exports = { redactSecrets, redactUrl };
@@ -0,0 +1,159 @@
+// backend/src/utils/timezone.js
+// Helpers for working with users' IANA timezones using the built-in Intl API.
+
+// Timezone used for users who have not picked one yet (previous behaviour: server local time).
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const MAX_RANGE_DAYS = 366; // Longest ?from=&to= range a report may ask for
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Checks whether a string is a timezone the runtime understands (e.g. "Asia/Kolkata").
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimezone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Falls back to the default timezone when a user has none (or an invalid one) stored.
+ * @param {string|null|undefined} timeZone
+ * @returns {string}
+ */
+const resolveTimezone = (timeZone) => (isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE);
+
+/**
+ * Returns the wall-clock date and time of an instant in the given timezone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ date: string, time: string }} e.g. { date: '2025-03-30', time: '08:00' }
+ */
+const getLocalDateTime = (date, timeZone) => {
+    const parts = getFormatter(resolveTimezone(timeZone)).formatToParts(date);
+    const get = (type) => parts.find(p => p.type === type).value;
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        time: `${get('hour')}:${get('minute')}`,
+    };
+};
+
+/**
+ * The timezone's offset from UTC at an instant, in minutes (e.g. 330 for Asia/Kolkata, -240 for New York in summer).
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+const getUtcOffsetMinutes = (date, timeZone) => {
+    const { date: localDate, time } = getLocalDateTime(date, timeZone);
+    const wholeMinute = Math.floor(date.getTime() / 60000) * 60000;
+    return Math.round((Date.parse(`${localDate}T${time}:00Z`) - wholeMinute) / 60000);
+};
+
+/**
+ * Lists every wall-clock minute after `fromExclusive` up to and including `toInclusive`.
+ * Both arguments are local wall-clock strings in "YYYY-MM-DDTHH:MM" format.
+ * @param {string} fromExclusive
+ * @param {string} toInclusive
+ * @param {number} [limit=1440] - Safety cap on the number of minutes returned.
+ * @returns {Array<{ date: string, time: string }>}
+ */
+const wallClockMinutesBetween = (fromExclusive, toInclusive, limit = 1440) => {
+    const minutes = [];
+    // Wall-clock values are treated as UTC purely for arithmetic, so no DST rules apply here.
+    let cursor = Date.parse(`${fromExclusive}:00Z`) + 60 * 1000;
+    const end = Date.parse(`${toInclusive}:00Z`);
+    while (cursor <= end && minutes.length < limit) {
+        const iso = new Date(cursor).toISOString();
+        minutes.push({ date: iso.slice(0, 10), time: iso.slice(11, 16) });
+        cursor += 60 * 1000;
+    }
+    return minutes;
+};
+
+/**
+ * Adds (or subtracts) whole days to a "YYYY-MM-DD" calendar date.
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+const addDays = (date, days) => {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+};
+
+/**
+ * Number of calendar days from `from` to `to` ("YYYY-MM-DD"); negative if `to` is earlier.
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+/**
+ * Checks for a real calendar date in "YYYY-MM-DD" format.
+ * @param {string} date
+ * @returns {boolean}
+ */
+const isValidDateString = (date) => typeof date === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(date)
+    && !Number.isNaN(Date.parse(`${date}T00:00:00Z`))
+    && new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) === date;
+
+/**
+ * Parses ?from=&to= report query parameters (local "YYYY-MM-DD" dates). Defaults to the last 30 days ending today.
+ * @param {object} query - { from, to }
+ * @param {string} timeZone - Decides what "today" is.
+ * @returns {{ from: string, to: string }|{ error: string }}
+ */
+const parseDateRange = (query, timeZone) => {
+    const to = query.to || getLocalDateTime(new Date(), timeZone).date;
+    const from = query.from || addDays(to, -29);
+
+    if (!isValidDateString(from) || !isValidDateString(to)) {
+        return { error: 'The "from" and "to" parameters must be dates in YYYY-MM-DD format.' };
+    }
+    if (from > to) {
+        return { error: '"from" must not be after "to".' };
+    }
+    if (daysBetween(from, to) >= MAX_RANGE_DAYS) {
+        return { error: `The date range must not exceed ${MAX_RANGE_DAYS} days.` };
+    }
+    return { from, to };
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    resolveTimezone,
+    getLocalDateTime,
+    getUtcOffsetMinutes,
+    wallClockMinutesBetween,
+    addDays,
+    daysBetween,
+    isValidDateString,
+    parseDateRange,
+};